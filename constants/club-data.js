@@ -137,6 +137,25 @@ export const PGA_CLUB_DATA = {
     }
 };
 
+// Typical stock lofts for each club in PGA_CLUB_DATA (degrees)
+export const CLUB_LOFTS = {
+    driver: 10.5,
+    threewood: 15,
+    fivewood: 18,
+    hybrid: 21,
+    three_iron: 21,
+    four_iron: 24,
+    five_iron: 27,
+    six_iron: 30,
+    seven_iron: 34,
+    eight_iron: 38,
+    nine_iron: 42,
+    pitching_wedge: 46,
+    gap_wedge: 50,
+    sand_wedge: 56,
+    lob_wedge: 60
+};
+
 // Typical ranges for each parameter
 export const PARAMETER_RANGES = {
     ballSpeed: {
@@ -166,6 +185,16 @@ export const PARAMETER_RANGES = {
     }
 };
 
+// Typical club delivery for each shot shape (right-handed player, degrees to target)
+// Positive face is open/right, positive path is in-to-out/right
+export const SHOT_SHAPES = {
+    straight: { faceAngle: 0, clubPath: 0 },
+    draw: { faceAngle: 1, clubPath: 4 },
+    fade: { faceAngle: -1, clubPath: -4 },
+    hook: { faceAngle: -1, clubPath: 5 },
+    slice: { faceAngle: 2, clubPath: -5 }
+};
+
 // Environmental impact coefficients
 export const ENVIRONMENTAL_COEFFICIENTS = {
     temperature: {
@@ -1,28 +1,10 @@
 // Ball flight physics calculations
+import { createWindProfile, calculateWindProfileFactor } from './calculations/wind-profile.js';
+import { calculateDewPoint } from './calculations/air-density-calculations.js';
+import { calculateBallSpeedFactor } from './calculations/ball-temperature.js';
 
-/**
- * Calculate dew point using Magnus formula
- * @param {number} temp - Temperature in Fahrenheit
- * @param {number} humidity - Relative humidity (0-100)
- * @returns {number} Dew point in Fahrenheit
- */
-export function calculateDewPoint(temp, humidity) {
-    // Convert temp to Celsius for calculation
-    const tempC = (temp - 32) * 5/9;
-    
-    // Constants for Magnus formula
-    const a = 17.27;
-    const b = 237.7;
-    
-    // Calculate gamma using relative humidity
-    const gamma = ((a * tempC) / (b + tempC)) + Math.log(humidity/100);
-    
-    // Calculate dew point in Celsius
-    const dewPointC = (b * gamma) / (a - gamma);
-    
-    // Convert back to Fahrenheit
-    return (dewPointC * 9/5) + 32;
-}
+// Dew point lives with the other moisture calculations; re-exported for existing callers
+export { calculateDewPoint };
 
 /**
  * Calculate spin decay during flight
@@ -104,18 +86,18 @@ export function calculateBallFlightAdjustments(conditions, ballData, clubData) {
 /**
  * Calculate ball compression factor
  * @param {Object} clubData - Club-specific data
- * @param {number} temperature - Temperature in Fahrenheit
+ * @param {number} temperature - Air temperature in Fahrenheit
  * @param {number} humidity - Relative humidity (0-100)
+ * @param {number} [ballTemperature] - Ball temperature in Fahrenheit; the air temperature if omitted
  * @returns {number} Ball compression factor
  */
-export function calculateBallCompression(clubData, temperature, humidity) {
+export function calculateBallCompression(clubData, temperature, humidity, ballTemperature = temperature) {
     if (!clubData) return 0.95; // default compression factor
     
     const baseCompression = clubData.compression || 0.95;
     
-    // Non-linear temperature effect (more pronounced at extremes)
-    const tempDiff = temperature - 70;
-    const tempEffect = Math.sign(tempDiff) * Math.pow(Math.abs(tempDiff) / 50, 1.2) * 0.05;
+    // Ball speed lost or gained by the ball's own temperature
+    const tempEffect = calculateBallSpeedFactor(ballTemperature, clubData.compressionRating).ballSpeedFactor - 1;
     
     // Humidity effect (higher humidity slightly reduces compression)
     const humidityEffect = -0.02 * (humidity / 100);
@@ -243,3 +225,334 @@ export function calculateHeightAtTime(trajectoryData, timeInFlight, apexHeight)
     
     return apexHeight * heightFactor;
 }
+
+// Regulation ball and atmosphere constants (SI units)
+const BALL_MASS = 0.04593;          // kg
+const BALL_RADIUS = 0.04267 / 2;    // m
+const BALL_AREA = Math.PI * BALL_RADIUS * BALL_RADIUS; // m²
+const STANDARD_AIR_DENSITY = 1.225; // kg/m³ at 59°F, 29.92 inHg, dry air
+const GRAVITY = 9.80665;            // m/s²
+
+// Unit conversions
+const MPH_TO_MS = 0.44704;
+const M_TO_YARDS = 1.0936133;
+const M_TO_FEET = 3.2808399;
+const RPM_TO_RADS = Math.PI / 30;
+
+// Aerodynamic model, calibrated against the PGA_CLUB_DATA carry, apex and landing angles
+const DRAG_BASE = 0.2;
+const DRAG_SPIN_SLOPE = 0.4;
+const LIFT_BASE = 0.1;
+const LIFT_SPIN_SLOPE = 0.8;
+const LIFT_MAX = 0.25;
+const SPIN_DECAY_RATE = 0.08;       // fraction of spin lost per second at density ratio 1
+
+/**
+ * Calculate drag and lift coefficients for a spinning ball
+ * @param {number} spinFactor - Ratio of surface speed to air speed (rω/v)
+ * @returns {Object} Drag and lift coefficients
+ */
+export function calculateAerodynamicCoefficients(spinFactor) {
+    const spin = Math.max(0, spinFactor);
+
+    return {
+        dragCoefficient: DRAG_BASE + DRAG_SPIN_SLOPE * spin,
+        liftCoefficient: Math.min(LIFT_MAX, LIFT_BASE + LIFT_SPIN_SLOPE * spin)
+    };
+}
+
+/**
+ * Integrate the flight of a ball from launch to landing
+ *
+ * Coordinates are x downrange, y up and z to the right of the target line.
+ * Drag acts against the ball's velocity relative to the air and Magnus lift
+ * acts along spin × velocity, so wind, density and spin all come out of one model.
+ *
+ * @param {Object} params - Launch and environment parameters
+ * @param {number} params.ballSpeed - Ball speed in mph
+ * @param {number} params.launchAngle - Vertical launch angle in degrees
+ * @param {number} params.spinRate - Total spin in RPM
+ * @param {number} [params.spinAxis=0] - Spin axis tilt in degrees (positive curves right)
+ * @param {number} [params.launchDirection=0] - Horizontal start direction in degrees (positive right)
+ * @param {number} [params.airDensity=1] - Air density ratio (1 = standard conditions)
+ * @param {number} [params.dragFactor=1] - Multiplier on the drag coefficient, e.g. from falling rain
+ * @param {Object} [params.wind] - Air velocity in mph ({x: tailwind, y: updraft, z: left-to-right})
+ * @param {Object} [params.windProfile] - Wind profile options; when set, wind is the reported
+ *     wind and is scaled with the ball's height, otherwise it blows uniformly
+ * @param {Object} [options] - Integration options
+ * @param {number} [options.timeStep=0.01] - Integration step in seconds
+ * @param {number} [options.sampleInterval=0.1] - Spacing of returned path points in seconds
+ * @param {number} [options.landingHeight=0] - Height of the landing area above the tee in feet
+ * @returns {Object} Sampled flight path and landing characteristics
+ */
+export function calculateTrajectory(params = {}, options = {}) {
+    const {
+        ballSpeed = 150,
+        launchAngle = 12,
+        spinRate = 2500,
+        spinAxis = 0,
+        launchDirection = 0,
+        airDensity = 1.0,
+        dragFactor = 1.0,
+        wind = {},
+        windProfile = null
+    } = params;
+
+    const {
+        timeStep = 0.01,
+        sampleInterval = 0.1,
+        maxFlightTime = 20,
+        landingHeight = 0
+    } = options;
+
+    if (typeof ballSpeed !== 'number' || isNaN(ballSpeed) || ballSpeed <= 0) {
+        throw new Error('Ball speed must be a positive number');
+    }
+    if (typeof launchAngle !== 'number' || isNaN(launchAngle) || launchAngle < -10 || launchAngle > 80) {
+        throw new Error('Launch angle must be between -10 and 80 degrees');
+    }
+    if (typeof spinRate !== 'number' || isNaN(spinRate) || spinRate < 0) {
+        throw new Error('Spin rate must be a non-negative number');
+    }
+    if (typeof airDensity !== 'number' || isNaN(airDensity) || airDensity <= 0) {
+        throw new Error('Air density must be a positive number');
+    }
+    if (typeof dragFactor !== 'number' || isNaN(dragFactor) || dragFactor <= 0) {
+        throw new Error('Drag factor must be a positive number');
+    }
+
+    const windVelocity = {
+        x: (wind.x || 0) * MPH_TO_MS,
+        y: (wind.y || 0) * MPH_TO_MS,
+        z: (wind.z || 0) * MPH_TO_MS
+    };
+    const profile = windProfile ? createWindProfile(windProfile) : null;
+    const windAt = height => {
+        if (!profile) return windVelocity;
+        const factor = calculateWindProfileFactor(Math.max(0, height) * M_TO_FEET, profile);
+        return { x: windVelocity.x * factor, y: windVelocity.y * factor, z: windVelocity.z * factor };
+    };
+
+    // Spin axis as a unit vector: pure backspin points along +z, tilt rolls it toward -y
+    const axisRad = spinAxis * Math.PI / 180;
+    const spinDirection = { x: 0, y: -Math.sin(axisRad), z: Math.cos(axisRad) };
+    const initialOmega = spinRate * RPM_TO_RADS;
+    const decayRate = SPIN_DECAY_RATE * airDensity;
+    const rho = STANDARD_AIR_DENSITY * airDensity;
+
+    const launchRad = launchAngle * Math.PI / 180;
+    const directionRad = launchDirection * Math.PI / 180;
+    const speed = ballSpeed * MPH_TO_MS;
+    let state = {
+        x: 0, y: 0, z: 0,
+        vx: speed * Math.cos(launchRad) * Math.cos(directionRad),
+        vy: speed * Math.sin(launchRad),
+        vz: speed * Math.cos(launchRad) * Math.sin(directionRad)
+    };
+
+    const acceleration = (s, t) => {
+        const air = windAt(s.y);
+        const rel = { x: s.vx - air.x, y: s.vy - air.y, z: s.vz - air.z };
+        const v = Math.hypot(rel.x, rel.y, rel.z) || 1e-9;
+        const omega = initialOmega * Math.exp(-decayRate * t);
+        const { dragCoefficient, liftCoefficient } = calculateAerodynamicCoefficients(BALL_RADIUS * omega / v);
+        const k = 0.5 * rho * BALL_AREA * v / BALL_MASS;
+        const drag = dragCoefficient * dragFactor;
+
+        // Magnus direction is spin × velocity, scaled to the relative air speed
+        const lift = {
+            x: spinDirection.y * rel.z - spinDirection.z * rel.y,
+            y: spinDirection.z * rel.x - spinDirection.x * rel.z,
+            z: spinDirection.x * rel.y - spinDirection.y * rel.x
+        };
+
+        return {
+            x: -k * drag * rel.x + k * liftCoefficient * lift.x,
+            y: -k * drag * rel.y + k * liftCoefficient * lift.y - GRAVITY,
+            z: -k * drag * rel.z + k * liftCoefficient * lift.z
+        };
+    };
+
+    const toPoint = (s, t) => ({
+        x: s.x * M_TO_YARDS,
+        y: s.y * M_TO_YARDS,
+        z: s.z * M_TO_YARDS,
+        t: Number(t.toFixed(3))
+    });
+
+    const groundLevel = landingHeight / M_TO_FEET;
+    const points = [toPoint(state, 0)];
+    const stepsPerSample = Math.max(1, Math.round(sampleInterval / timeStep));
+    let apex = { height: 0, distance: 0, time: 0 };
+    let t = 0;
+    let step = 0;
+
+    while (t < maxFlightTime) {
+        // Midpoint (RK2) step
+        const a1 = acceleration(state, t);
+        const half = timeStep / 2;
+        const mid = {
+            x: state.x + state.vx * half,
+            y: state.y + state.vy * half,
+            z: state.z + state.vz * half,
+            vx: state.vx + a1.x * half,
+            vy: state.vy + a1.y * half,
+            vz: state.vz + a1.z * half
+        };
+        const a2 = acceleration(mid, t + half);
+        const next = {
+            x: state.x + mid.vx * timeStep,
+            y: state.y + mid.vy * timeStep,
+            z: state.z + mid.vz * timeStep,
+            vx: state.vx + a2.x * timeStep,
+            vy: state.vy + a2.y * timeStep,
+            vz: state.vz + a2.z * timeStep
+        };
+
+        if (next.y < groundLevel && next.vy < 0) {
+            if (state.y < groundLevel) {
+                throw new Error('Trajectory never reaches the landing height');
+            }
+
+            // Interpolate to the exact ground crossing
+            const fraction = (state.y - groundLevel) / (state.y - next.y);
+            const landing = {};
+            Object.keys(state).forEach(key => {
+                landing[key] = state[key] + (next[key] - state[key]) * fraction;
+            });
+            const landingTime = t + timeStep * fraction;
+            points.push(toPoint(landing, landingTime));
+
+            const horizontalSpeed = Math.hypot(landing.vx, landing.vz);
+            const landingSpeed = Math.hypot(landing.vx, landing.vy, landing.vz);
+            const landingSpin = spinRate * Math.exp(-decayRate * landingTime);
+
+            return {
+                points,
+                carryDistance: landing.x * M_TO_YARDS,
+                lateralDistance: landing.z * M_TO_YARDS,
+                maxHeight: apex.height * M_TO_FEET,
+                apexDistance: apex.distance * M_TO_YARDS,
+                timeToApex: apex.time,
+                flightTime: landingTime,
+                landingAngle: Math.atan2(-landing.vy, horizontalSpeed) * 180 / Math.PI,
+                landingSpeed: landingSpeed / MPH_TO_MS,
+                landingSpin
+            };
+        }
+
+        state = next;
+        t += timeStep;
+        step++;
+
+        if (state.y > apex.height) {
+            apex = { height: state.y, distance: state.x, time: t };
+        }
+        if (step % stepsPerSample === 0) {
+            points.push(toPoint(state, t));
+        }
+    }
+
+    throw new Error('Trajectory did not land within the maximum flight time');
+}
+
+/**
+ * Derive start direction and spin axis from face and path using the D-plane
+ * @param {Object} delivery - Club delivery at impact
+ * @param {number} delivery.faceAngle - Face angle to target in degrees (positive open/right)
+ * @param {number} delivery.clubPath - Club path to target in degrees (positive in-to-out/right)
+ * @param {number} [delivery.launchAngle=12] - Vertical launch angle in degrees
+ * @returns {Object} Start direction and spin axis in degrees
+ */
+export function calculateStartConditions(delivery = {}) {
+    const {
+        faceAngle = 0,
+        clubPath = 0,
+        launchAngle = 12
+    } = delivery;
+
+    if (typeof faceAngle !== 'number' || isNaN(faceAngle) || Math.abs(faceAngle) > 20) {
+        throw new Error('Face angle must be between -20 and 20 degrees');
+    }
+    if (typeof clubPath !== 'number' || isNaN(clubPath) || Math.abs(clubPath) > 20) {
+        throw new Error('Club path must be between -20 and 20 degrees');
+    }
+
+    // Launch is roughly 80% of dynamic loft; lower lofts tilt the axis more for the same face-to-path
+    const dynamicLoft = Math.max(5, launchAngle / 0.8) * Math.PI / 180;
+
+    // The face dominates start direction, more so with less loft
+    const faceWeight = Math.min(0.9, Math.max(0.7, 0.9 - (launchAngle - 10) * 0.01));
+    const startDirection = faceWeight * faceAngle + (1 - faceWeight) * clubPath;
+
+    const faceToPath = (faceAngle - clubPath) * Math.PI / 180;
+    const spinAxis = Math.atan(Math.tan(faceToPath) / Math.sin(dynamicLoft)) * 180 / Math.PI;
+
+    return {
+        startDirection,
+        spinAxis: Math.max(-45, Math.min(45, spinAxis)),
+        faceToPath: faceAngle - clubPath
+    };
+}
+
+/**
+ * Classify a shot shape from its spin axis (right-handed player)
+ * @param {number} spinAxis - Spin axis tilt in degrees
+ * @returns {string} Shot shape name
+ */
+export function classifyShotShape(spinAxis) {
+    if (Math.abs(spinAxis) < 2) return 'straight';
+    if (spinAxis <= -15) return 'hook';
+    if (spinAxis < 0) return 'draw';
+    if (spinAxis >= 15) return 'slice';
+    return 'fade';
+}
+
+/**
+ * Calculate lateral curvature and final offline distance for a shaped shot
+ * @param {Object} clubData - Club launch data (ballSpeed, launchAngle, spinRate)
+ * @param {Object} delivery - Face angle and club path in degrees
+ * @param {Object} [conditions] - Air density ratio and shot-frame wind vector in mph
+ * @returns {Object} Start line, curvature, wind drift and offline distances in yards
+ */
+export function calculateShotCurvature(clubData, delivery = {}, conditions = {}) {
+    if (!clubData) {
+        throw new Error('Club data is required');
+    }
+
+    const { airDensity = 1.0, wind = {} } = conditions;
+    const launchAngle = clubData.launchAngle ?? 12;
+    const { startDirection, spinAxis, faceToPath } = calculateStartConditions({
+        ...delivery,
+        launchAngle
+    });
+
+    const launch = {
+        ballSpeed: clubData.ballSpeed,
+        launchAngle,
+        spinRate: clubData.spinRate,
+        spinAxis,
+        launchDirection: startDirection,
+        airDensity
+    };
+
+    const trajectory = calculateTrajectory({ ...launch, wind });
+    const calm = calculateTrajectory(launch);
+
+    // Where the ball would finish on its start line with no curve at all
+    const startLine = trajectory.carryDistance * Math.tan(startDirection * Math.PI / 180);
+    const windDrift = trajectory.lateralDistance - calm.lateralDistance;
+
+    return {
+        shape: classifyShotShape(spinAxis),
+        startDirection,
+        spinAxis,
+        faceToPath,
+        startLine,
+        curvature: calm.lateralDistance - startLine,
+        windDrift,
+        offline: trajectory.lateralDistance,
+        carryDistance: trajectory.carryDistance,
+        trajectory
+    };
+}
@@ -6,11 +6,30 @@
 /**
  * Calculate relative air density based on temperature, pressure, and humidity
  * @param {number} temperature - Temperature in Fahrenheit
- * @param {number} pressure - Barometric pressure in inHg
+ * @param {number} pressure - Barometric pressure in inHg, between 25 and 32
  * @param {number} humidity - Relative humidity as percentage (0-100)
  * @returns {number} Relative air density (1.0 = standard conditions)
  */
 export function calculateAirDensity(temperature, pressure, humidity) {
+    return calculateRelativeDensity(temperature, pressure, humidity, { min: 25, max: 32 });
+}
+
+/**
+ * Calculate relative air density from the pressure at the course
+ *
+ * Unlike calculateAirDensity this accepts the low station pressures of
+ * mountain courses; convert readings with pressure-calculations first.
+ *
+ * @param {number} temperature - Temperature in Fahrenheit
+ * @param {number} stationPressure - Station pressure in inHg, between 15 and 32
+ * @param {number} humidity - Relative humidity as percentage (0-100)
+ * @returns {number} Relative air density (1.0 = standard conditions)
+ */
+export function calculateStationAirDensity(temperature, stationPressure, humidity) {
+    return calculateRelativeDensity(temperature, stationPressure, humidity, { min: 15, max: 32 });
+}
+
+function calculateRelativeDensity(temperature, pressure, humidity, pressureRange) {
     // Validate inputs with detailed error messages
     if (typeof temperature !== 'number' || isNaN(temperature)) {
         console.error('Invalid temperature value:', temperature);
@@ -28,9 +47,9 @@ export function calculateAirDensity(temperature, pressure, humidity) {
         console.error('Temperature out of range:', temperature);
         throw new Error('Temperature must be between -40°F and 120°F');
     }
-    if (pressure < 25 || pressure > 32) {
+    if (pressure < pressureRange.min || pressure > pressureRange.max) {
         console.error('Pressure out of range:', pressure);
-        throw new Error('Pressure must be between 25 and 32 inHg');
+        throw new Error(`Pressure must be between ${pressureRange.min} and ${pressureRange.max} inHg`);
     }
     if (humidity < 0 || humidity > 100) {
         console.error('Humidity out of range:', humidity);
@@ -0,0 +1,131 @@
+/**
+ * Ball temperature module
+ *
+ * A golf ball's core stiffens and gives back less energy as it cools, so the
+ * ball's own temperature, not the air's, sets how much ball speed it keeps.
+ * The ball warms or cools towards its surroundings after leaving storage, and
+ * its temperature and compression rating map to a coefficient of restitution
+ * (COR) and a ball-speed factor against a ball at the reference temperature.
+ *
+ * @module ball-temperature
+ */
+
+/**
+ * Ball temperature the launch data is measured at; the USGA conditions test balls to 75°F
+ */
+export const REFERENCE_BALL_TEMPERATURE = 75;
+
+/**
+ * Compression rating of the reference ball, a typical tour ball
+ */
+export const REFERENCE_COMPRESSION = 90;
+
+const REFERENCE_COR = 0.78; // reference ball at reference temperature, driver impact speed
+const COR_PER_DEGREE = 0.0004; // per °F for the reference ball; firmer cores lose more in the cold
+const COR_PER_COMPRESSION_POINT = 0.0002; // a softer ball gives back a little less when warm
+const COMPRESSION_PER_DEGREE = 0.5; // rating points a core stiffens per °F colder
+
+/**
+ * Where a ball warms or cools to, and how fast
+ * timeConstant: minutes to close 63% of the gap; temperature: °F
+ */
+export const BALL_STORAGE = {
+    air: { timeConstant: 30 },
+    pocket: { timeConstant: 45, temperature: 80 }
+};
+
+const MIN_TEMPERATURE = -20;
+const MAX_TEMPERATURE = 130;
+
+/**
+ * Nearest temperature the ball model covers, for a ball temperature taken from the air
+ * @param {number} temperature - Temperature in °F
+ * @returns {number} Temperature within -20°F to 130°F
+ */
+export function clampBallTemperature(temperature) {
+    return Math.min(MAX_TEMPERATURE, Math.max(MIN_TEMPERATURE, temperature));
+}
+
+function validateTemperature(value, name) {
+    if (typeof value !== 'number' || isNaN(value) || value < MIN_TEMPERATURE || value > MAX_TEMPERATURE) {
+        throw new Error(`${name} must be between ${MIN_TEMPERATURE}°F and ${MAX_TEMPERATURE}°F`);
+    }
+}
+
+function validateCompression(compression) {
+    if (typeof compression !== 'number' || isNaN(compression) || compression < 30 || compression > 120) {
+        throw new Error('Compression rating must be between 30 and 120');
+    }
+}
+
+/**
+ * Temperature of a ball some time after it left storage
+ *
+ * Newton's law of cooling towards the air, or towards body heat while it is
+ * kept in a pocket.
+ *
+ * @param {number} airTemperature - Air temperature in °F
+ * @param {Object} [options] - Where the ball has been
+ * @param {number} [options.storageTemperature] - Temperature of the car, house or bag it came from in °F; the air temperature if omitted
+ * @param {number} [options.minutesOut=0] - Minutes since it left storage
+ * @param {string} [options.heldIn='air'] - BALL_STORAGE key: 'air' or 'pocket'
+ * @returns {number} Ball temperature in °F
+ */
+export function calculateBallTemperature(airTemperature, options = {}) {
+    const { storageTemperature = airTemperature, minutesOut = 0, heldIn = 'air' } = options;
+    validateTemperature(airTemperature, 'Air temperature');
+    validateTemperature(storageTemperature, 'Storage temperature');
+    if (typeof minutesOut !== 'number' || isNaN(minutesOut) || minutesOut < 0) {
+        throw new Error('Minutes out must be a non-negative number');
+    }
+    const storage = BALL_STORAGE[heldIn];
+    if (!storage) {
+        throw new Error(`Unknown ball storage: ${heldIn}`);
+    }
+
+    const surroundings = storage.temperature ?? airTemperature;
+    return surroundings + (storageTemperature - surroundings) * Math.exp(-minutesOut / storage.timeConstant);
+}
+
+/**
+ * Coefficient of restitution of a ball at a temperature
+ * @param {number} ballTemperature - Ball temperature in °F
+ * @param {number} [compression=90] - Compression rating of the ball
+ * @returns {Object} {cor, effectiveCompression}
+ */
+export function calculateBallCOR(ballTemperature, compression = REFERENCE_COMPRESSION) {
+    validateTemperature(ballTemperature, 'Ball temperature');
+    validateCompression(compression);
+
+    const temperatureDiff = ballTemperature - REFERENCE_BALL_TEMPERATURE;
+    const sensitivity = COR_PER_DEGREE * compression / REFERENCE_COMPRESSION;
+
+    return {
+        cor: REFERENCE_COR
+            + COR_PER_COMPRESSION_POINT * (compression - REFERENCE_COMPRESSION)
+            + sensitivity * temperatureDiff,
+        // A cold ball feels, and plays, like a firmer one
+        effectiveCompression: compression - COMPRESSION_PER_DEGREE * temperatureDiff
+    };
+}
+
+/**
+ * Ball speed of a ball at a temperature against the reference ball
+ *
+ * Ball speed off the face scales with 1 + COR for the same club speed.
+ *
+ * @param {number} ballTemperature - Ball temperature in °F
+ * @param {number} [compression=90] - Compression rating of the ball
+ * @returns {Object} {cor, effectiveCompression, ballSpeedFactor, ballSpeedLoss (fraction, positive when slower)}
+ */
+export function calculateBallSpeedFactor(ballTemperature, compression = REFERENCE_COMPRESSION) {
+    const { cor, effectiveCompression } = calculateBallCOR(ballTemperature, compression);
+    const ballSpeedFactor = (1 + cor) / (1 + REFERENCE_COR);
+
+    return {
+        cor,
+        effectiveCompression,
+        ballSpeedFactor,
+        ballSpeedLoss: 1 - ballSpeedFactor
+    };
+}
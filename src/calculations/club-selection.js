@@ -0,0 +1,294 @@
+/**
+ * Club selection calculations module
+ * @module club-selection
+ */
+
+import { calculateTrajectory } from '../ball-physics.js';
+import { calculateGroundRoll } from './ground-calculations.js';
+import { simulateDispersion } from './dispersion-calculations.js';
+import { PGA_CLUB_DATA } from '../../constants/club-data.js';
+
+/**
+ * Partial swing adjustments relative to a stock full swing
+ */
+export const SWING_TYPES = {
+    full: { label: 'Full', speedFactor: 1.0, spinFactor: 1.0, launchOffset: 0, penalty: 0 },
+    threeQuarter: { label: '3/4', speedFactor: 0.9, spinFactor: 0.92, launchOffset: -1, penalty: 3 },
+    half: { label: '1/2', speedFactor: 0.75, spinFactor: 0.8, launchOffset: -2, penalty: 6 }
+};
+
+/**
+ * Trajectory height adjustments relative to a stock ball flight
+ */
+export const TRAJECTORY_HEIGHTS = {
+    low: { label: 'Low', launchOffset: -3, spinFactor: 0.9, penalty: 1.5 },
+    medium: { label: 'Stock', launchOffset: 0, spinFactor: 1.0, penalty: 0 },
+    high: { label: 'High', launchOffset: 3, spinFactor: 1.1, penalty: 1.5 }
+};
+
+// Common shorthand for clubs in the bag, keyed to PGA_CLUB_DATA
+const CLUB_ALIASES = {
+    d: 'driver',
+    '1w': 'driver',
+    '3w': 'threewood',
+    '5w': 'fivewood',
+    h: 'hybrid',
+    '3h': 'hybrid',
+    '4h': 'hybrid',
+    pw: 'pitching_wedge',
+    gw: 'gap_wedge',
+    aw: 'gap_wedge',
+    approachwedge: 'gap_wedge',
+    sw: 'sand_wedge',
+    lw: 'lob_wedge'
+};
+
+// Ball speed and spin a calibrated club may be scaled to, relative to its tour profile
+const MIN_SPEED_FACTOR = 0.3;
+const MAX_SPEED_FACTOR = 1.5;
+
+// Share of a club's stock carry past the target its slowest swing may still fly and be worth trying
+const MAX_OVERSHOOT = 1.15;
+
+// Simulated shots behind each option's dispersion
+const DISPERSION_SAMPLES = 100;
+
+// Standard normal quantile at the 90th percentile
+const Z_90 = 1.2816;
+
+const IRON_NUMBERS = ['three', 'four', 'five', 'six', 'seven', 'eight', 'nine'];
+
+function normalizeClubName(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Find the PGA_CLUB_DATA key for a club name such as "7-Iron", "3 Wood" or "PW"
+ * @param {string} name - Club name as entered by the player
+ * @returns {string|null} Matching PGA_CLUB_DATA key, or null if unknown
+ */
+export function findClubKey(name) {
+    const normalized = normalizeClubName(name);
+    if (!normalized) return null;
+
+    if (CLUB_ALIASES[normalized]) {
+        return CLUB_ALIASES[normalized];
+    }
+
+    const match = Object.entries(PGA_CLUB_DATA).find(([key, data]) =>
+        normalizeClubName(key) === normalized || normalizeClubName(data.name) === normalized
+    );
+    if (match) return match[0];
+
+    // "7iron", "7i"
+    const iron = normalized.match(/^([3-9])i(ron)?$/);
+    if (iron) return `${IRON_NUMBERS[Number(iron[1]) - 3]}_iron`;
+
+    // "3wood", "5wood"
+    const wood = normalized.match(/^([35])wood$/);
+    if (wood) return wood[1] === '3' ? 'threewood' : 'fivewood';
+
+    if (normalized.includes('hybrid')) return 'hybrid';
+
+    return null;
+}
+
+/**
+ * Build launch conditions that reproduce a player's stock carry for a club
+ *
+ * The matching tour launch profile is kept and ball speed and spin are scaled
+ * together until the integrator carries the club's distance in standard air.
+ *
+ * @param {Object} club - Club from the bag ({name or type, distance})
+ * @returns {Object} Launch data for calculateTrajectory plus the club name
+ */
+export function calibrateClubLaunch(club) {
+    if (!club || typeof club !== 'object') {
+        throw new Error('Club must be a valid object');
+    }
+
+    const name = club.name || club.type;
+    const distance = Number(club.distance);
+    if (!distance || distance <= 0) {
+        throw new Error(`Club distance must be positive: ${name}`);
+    }
+
+    const key = findClubKey(name);
+    const reference = key ? PGA_CLUB_DATA[key] : Object.values(PGA_CLUB_DATA).reduce((best, data) =>
+        Math.abs(data.carryDistance - distance) < Math.abs(best.carryDistance - distance) ? data : best
+    );
+
+    const carryAt = factor => calculateTrajectory({
+        ballSpeed: reference.ballSpeed * factor,
+        launchAngle: reference.launchAngle,
+        spinRate: reference.spinRate * factor
+    }).carryDistance;
+
+    // Carry rises with ball speed, so the target is bracketed and the factor
+    // found by false position, halving the weight of an end that keeps being
+    // kept so the search cannot stall (the Illinois method)
+    let lower = MIN_SPEED_FACTOR;
+    let upper = MAX_SPEED_FACTOR;
+    const lowestCarry = carryAt(lower);
+    const highestCarry = carryAt(upper);
+    if (distance < lowestCarry || distance > highestCarry) {
+        throw new Error(`Club distance must be between ${Math.ceil(lowestCarry)} and ` +
+            `${Math.floor(highestCarry)} yards for a ${reference.name}: ${distance}`);
+    }
+
+    let lowerMiss = lowestCarry - distance;
+    let upperMiss = highestCarry - distance;
+    let factor = upper;
+    let kept = 0;
+    for (let i = 0; i < 40; i++) {
+        factor = (lower * upperMiss - upper * lowerMiss) / (upperMiss - lowerMiss);
+        const miss = carryAt(factor) - distance;
+        if (Math.abs(miss) < 0.1) break;
+        if (miss < 0) {
+            lower = factor;
+            lowerMiss = miss;
+            if (kept === -1) upperMiss /= 2;
+            kept = -1;
+        } else {
+            upper = factor;
+            upperMiss = miss;
+            if (kept === 1) lowerMiss /= 2;
+            kept = 1;
+        }
+    }
+
+    return {
+        name,
+        key,
+        ballSpeed: reference.ballSpeed * factor,
+        launchAngle: reference.launchAngle,
+        spinRate: reference.spinRate * factor,
+        distance
+    };
+}
+
+/**
+ * Recommend clubs, swings and trajectories for a target distance
+ * @param {number} targetDistance - Target carry in yards
+ * @param {Array<Object>} clubs - Club profiles, or bag entries ({name or type, distance})
+ * @param {Object} [conditions] - Air density ratio, shot-frame wind vector, wind profile and landing surface
+ * @param {Object} [options] - Search options
+ * @param {Array<string>} [options.swings] - SWING_TYPES keys to try
+ * @param {Array<string>} [options.heights] - TRAJECTORY_HEIGHTS keys to try
+ * @param {string} [options.target='carry'] - Whether to match 'carry' or 'total'
+ * @param {number} [options.limit=5] - Number of options to return
+ * @returns {Array<Object>} Options ranked best first, each with the expected miss, its spread (one
+ *     standard deviation of the carry in yards, from the profile's dispersion or simulated) and the
+ *     simulated dispersion: P10/P50/P90 carry and total and the 90% landing ellipse
+ */
+export function recommendClubs(targetDistance, clubs, conditions = {}, options = {}) {
+    if (typeof targetDistance !== 'number' || isNaN(targetDistance) || targetDistance <= 0) {
+        throw new Error('Target distance must be a positive number');
+    }
+    if (!Array.isArray(clubs) || clubs.length === 0) {
+        throw new Error('At least one club is required');
+    }
+
+    const {
+        airDensity = 1.0,
+        wind = {},
+        windProfile = null,
+        surface = 'green'
+    } = conditions;
+
+    const {
+        swings = Object.keys(SWING_TYPES),
+        heights = Object.keys(TRAJECTORY_HEIGHTS),
+        target = 'carry',
+        limit = 5
+    } = options;
+
+    const results = [];
+    const slowest = Math.min(...swings.map(swingKey => SWING_TYPES[swingKey]?.speedFactor ?? 1));
+
+    clubs.forEach(club => {
+        // Skip clubs that cannot get there with a full swing or still fly past it with the slowest one
+        const stock = Number(club?.carry ?? club?.distance);
+        if (stock < targetDistance * 0.85 || stock * slowest > targetDistance * MAX_OVERSHOOT) return;
+
+        // A club profile carries the player's own launch data, and its measured
+        // carry stands: the model only says how far the swing and flight move it
+        const launch = typeof club.ballSpeed === 'number' ? club : calibrateClubLaunch(club);
+        const carryScale = typeof club.carry === 'number' && club.carry > 0 && launch === club
+            ? club.carry / calculateTrajectory(launch).carryDistance
+            : 1;
+
+        swings.forEach(swingKey => {
+            const swing = SWING_TYPES[swingKey];
+            if (!swing) throw new Error(`Unknown swing type: ${swingKey}`);
+
+            heights.forEach(heightKey => {
+                const height = TRAJECTORY_HEIGHTS[heightKey];
+                if (!height) throw new Error(`Unknown trajectory height: ${heightKey}`);
+
+                const flight = {
+                    ballSpeed: launch.ballSpeed * swing.speedFactor,
+                    launchAngle: Math.max(2, launch.launchAngle + swing.launchOffset + height.launchOffset),
+                    spinRate: launch.spinRate * swing.spinFactor * height.spinFactor
+                };
+                const trajectory = calculateTrajectory({ ...flight, airDensity, wind, windProfile });
+                const ground = calculateGroundRoll(trajectory, surface);
+                const carry = trajectory.carryDistance * carryScale;
+                const total = ground.total + carry - trajectory.carryDistance;
+                const predicted = target === 'total' ? total : carry;
+                const miss = predicted - targetDistance;
+
+                results.push({
+                    flight,
+                    carryScale,
+                    // Measured at a full swing, so a partial swing spreads in proportion to its carry
+                    measuredSpread: club.dispersion?.carry > 0 ? club.dispersion.carry * carry / stock : null,
+                    option: {
+                        club: launch.name,
+                        swing: swingKey,
+                        height: heightKey,
+                        label: [launch.name, swing.label, height.label].join(' · '),
+                        carry,
+                        total,
+                        lateral: trajectory.lateralDistance,
+                        maxHeight: trajectory.maxHeight,
+                        miss,
+                        score: Math.abs(miss) + swing.penalty + height.penalty
+                    }
+                });
+            });
+        });
+    });
+
+    // Dispersion is only simulated for the options returned; it is the costly part
+    const withDispersion = ({ flight, carryScale, measuredSpread, option }) => {
+        const simulated = simulateDispersion(flight, { airDensity, wind, windProfile, surface },
+            { samples: DISPERSION_SAMPLES, seed: 1 });
+        // Moved to the measured carry as the option itself is; roll is not scaled
+        const extraCarry = option.carry * (1 - 1 / carryScale);
+        const shift = ({ p10, p50, p90 }, by) => ({ p10: by(p10), p50: by(p50), p90: by(p90) });
+        const carry = shift(simulated.carry, value => value * carryScale);
+        const spread = measuredSpread ?? (carry.p90 - carry.p10) / (2 * Z_90);
+
+        return {
+            ...option,
+            spread,
+            dispersion: {
+                // A measured spread replaces the simulated one around the middle carry
+                carry: measuredSpread === null
+                    ? carry
+                    : { p10: carry.p50 - Z_90 * spread, p50: carry.p50, p90: carry.p50 + Z_90 * spread },
+                total: shift(simulated.total, value => value + extraCarry),
+                ellipse: {
+                    ...simulated.ellipse,
+                    center: { ...simulated.ellipse.center, x: simulated.ellipse.center.x * carryScale }
+                }
+            }
+        };
+    };
+
+    return results
+        .sort((a, b) => a.option.score - b.option.score)
+        .slice(0, limit)
+        .map(withDispersion);
+}
@@ -0,0 +1,224 @@
+/**
+ * Shot dispersion calculations module
+ * @module dispersion-calculations
+ */
+
+import { calculateTrajectory } from '../ball-physics.js';
+import { calculateGroundRoll } from './ground-calculations.js';
+import { PARAMETER_RANGES } from '../../constants/club-data.js';
+
+/**
+ * Default shot-to-shot variability, as one standard deviation of each launch parameter
+ * Launch tolerances come from PARAMETER_RANGES; start line and spin axis are in degrees
+ */
+export const DEFAULT_DISPERSION = {
+    ballSpeed: PARAMETER_RANGES.ballSpeed.tolerance,
+    launchAngle: PARAMETER_RANGES.launchAngle.tolerance,
+    spinRate: PARAMETER_RANGES.spinRate.tolerance,
+    startDirection: 2,
+    spinAxis: 3
+};
+
+/**
+ * Create a seeded pseudo-random generator (mulberry32)
+ * @param {number} [seed] - Seed for repeatable sampling; random if omitted
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+export function createRandom(seed = Math.floor(Math.random() * 2 ** 32)) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Standard normal sample (Box-Muller)
+function sampleNormal(random) {
+    const u = 1 - random();
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Value at a percentile of an ascending sorted array, interpolating between samples
+ * @param {Array<number>} sorted - Values sorted ascending
+ * @param {number} percentile - Percentile from 0 to 100
+ * @returns {number} Interpolated value
+ */
+export function calculatePercentile(sorted, percentile) {
+    if (!Array.isArray(sorted) || sorted.length === 0) {
+        throw new Error('At least one value is required');
+    }
+    if (typeof percentile !== 'number' || percentile < 0 || percentile > 100) {
+        throw new Error('Percentile must be between 0 and 100');
+    }
+
+    const index = (sorted.length - 1) * percentile / 100;
+    const lower = Math.floor(index);
+    const upper = Math.ceil(index);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+/**
+ * Fit a confidence ellipse to landing points
+ * @param {Array<Object>} points - Landing points ({x downrange, z lateral} in yards)
+ * @param {number} [confidence=0.9] - Share of shots the ellipse should contain
+ * @returns {Object} Center, semi-axes in yards and major-axis angle in degrees from the target line
+ */
+export function calculateLandingEllipse(points, confidence = 0.9) {
+    if (!Array.isArray(points) || points.length < 2) {
+        throw new Error('At least two landing points are required');
+    }
+    if (typeof confidence !== 'number' || confidence <= 0 || confidence >= 1) {
+        throw new Error('Confidence must be between 0 and 1');
+    }
+
+    const n = points.length;
+    const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+    const meanZ = points.reduce((sum, p) => sum + p.z, 0) / n;
+
+    let sxx = 0;
+    let szz = 0;
+    let sxz = 0;
+    points.forEach(p => {
+        const dx = p.x - meanX;
+        const dz = p.z - meanZ;
+        sxx += dx * dx;
+        szz += dz * dz;
+        sxz += dx * dz;
+    });
+    sxx /= n - 1;
+    szz /= n - 1;
+    sxz /= n - 1;
+
+    // Eigenvalues of the 2x2 covariance matrix
+    const trace = sxx + szz;
+    const spread = Math.sqrt(((sxx - szz) / 2) ** 2 + sxz ** 2);
+    const major = trace / 2 + spread;
+    const minor = Math.max(0, trace / 2 - spread);
+
+    // Chi-square quantile with two degrees of freedom
+    const scale = Math.sqrt(-2 * Math.log(1 - confidence));
+
+    return {
+        center: { x: meanX, z: meanZ },
+        semiMajor: scale * Math.sqrt(major),
+        semiMinor: scale * Math.sqrt(minor),
+        angle: 0.5 * Math.atan2(2 * sxz, sxx - szz) * 180 / Math.PI,
+        confidence
+    };
+}
+
+/**
+ * Simulate shot-to-shot variability around a club's nominal launch
+ * @param {Object} clubData - Nominal launch (ballSpeed, launchAngle, spinRate, optional spinAxis/launchDirection)
+ * @param {Object} [conditions] - Air density ratio, shot-frame wind vector, gust in mph,
+ *     wind profile and landing surface
+ * @param {Object} [options] - Simulation options
+ * @param {number} [options.samples=500] - Number of simulated shots
+ * @param {Object} [options.dispersion] - Standard deviations overriding DEFAULT_DISPERSION
+ * @param {number} [options.seed] - Seed for repeatable results
+ * @param {number} [options.confidence=0.9] - Landing ellipse confidence
+ * @returns {Object} Percentile carries and totals, landing ellipse and the landing points
+ */
+export function simulateDispersion(clubData, conditions = {}, options = {}) {
+    if (!clubData || typeof clubData !== 'object') {
+        throw new Error('Club data is required');
+    }
+
+    const {
+        airDensity = 1.0,
+        wind = {},
+        gust = 0,
+        windProfile = null,
+        surface = 'green'
+    } = conditions;
+
+    const {
+        samples = 500,
+        dispersion = {},
+        seed,
+        confidence = 0.9
+    } = options;
+
+    if (!Number.isInteger(samples) || samples < 10) {
+        throw new Error('Samples must be an integer of at least 10');
+    }
+    if (typeof gust !== 'number' || isNaN(gust) || gust < 0) {
+        throw new Error('Gust must be a non-negative number');
+    }
+
+    const spread = { ...DEFAULT_DISPERSION, ...dispersion };
+    const random = createRandom(seed);
+
+    // Gusts add up to `gust` mph along the sustained wind direction
+    const windSpeed = Math.hypot(wind.x || 0, wind.y || 0, wind.z || 0);
+
+    const landings = [];
+    for (let i = 0; i < samples; i++) {
+        const gustFactor = windSpeed > 0 ? 1 + random() * gust / windSpeed : 1;
+        const trajectory = calculateTrajectory({
+            ballSpeed: Math.max(1, clubData.ballSpeed + sampleNormal(random) * spread.ballSpeed),
+            launchAngle: Math.max(-10, Math.min(80,
+                clubData.launchAngle + sampleNormal(random) * spread.launchAngle)),
+            spinRate: Math.max(0, clubData.spinRate + sampleNormal(random) * spread.spinRate),
+            spinAxis: (clubData.spinAxis || 0) + sampleNormal(random) * spread.spinAxis,
+            launchDirection: (clubData.launchDirection || 0) +
+                sampleNormal(random) * spread.startDirection,
+            airDensity,
+            wind: {
+                x: (wind.x || 0) * gustFactor,
+                y: (wind.y || 0) * gustFactor,
+                z: (wind.z || 0) * gustFactor
+            },
+            windProfile
+        }, { sampleInterval: Infinity });
+        const ground = calculateGroundRoll(trajectory, surface);
+
+        landings.push({
+            x: trajectory.carryDistance,
+            z: trajectory.lateralDistance,
+            total: ground.total
+        });
+    }
+
+    const carries = landings.map(p => p.x).sort((a, b) => a - b);
+    const totals = landings.map(p => p.total).sort((a, b) => a - b);
+    const laterals = landings.map(p => p.z).sort((a, b) => a - b);
+    const percentiles = sorted => ({
+        p10: calculatePercentile(sorted, 10),
+        p50: calculatePercentile(sorted, 50),
+        p90: calculatePercentile(sorted, 90)
+    });
+
+    return {
+        samples,
+        carry: percentiles(carries),
+        total: percentiles(totals),
+        lateral: percentiles(laterals),
+        ellipse: calculateLandingEllipse(landings, confidence),
+        landings
+    };
+}
+
+/**
+ * Share of simulated shots landing within a target circle
+ * @param {Object} result - Result from simulateDispersion
+ * @param {Object} target - Target center ({x downrange, z lateral} in yards) and radius in yards
+ * @returns {number} Probability from 0 to 1
+ */
+export function calculateLandingProbability(result, target) {
+    if (!result || !Array.isArray(result.landings)) {
+        throw new Error('Dispersion result is required');
+    }
+    if (!target || typeof target.radius !== 'number' || target.radius <= 0) {
+        throw new Error('Target radius must be a positive number');
+    }
+
+    const { x = 0, z = 0, radius } = target;
+    const inside = result.landings.filter(p => Math.hypot(p.x - x, p.z - z) <= radius).length;
+    return inside / result.landings.length;
+}
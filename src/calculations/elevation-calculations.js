@@ -0,0 +1,70 @@
+/**
+ * Elevation change calculations module
+ * @module elevation-calculations
+ */
+
+import { calculateTrajectory } from '../ball-physics.js';
+
+/**
+ * Calculate the "plays like" distance to a target above or below the player
+ *
+ * With launch data the shot is flown to the flat ground and to the target height,
+ * and the target distance is scaled by the ratio of the two carries. Without launch
+ * data the descent angle is projected through the height difference instead.
+ *
+ * @param {number} distance - Distance to the target in yards
+ * @param {number} heightDifference - Target height relative to the player in feet (positive uphill)
+ * @param {Object} [shot] - Launch data for calculateTrajectory, or just a landingAngle in degrees
+ * @returns {Object} Plays-like distance and adjustment in yards
+ */
+export function calculateElevationEffect(distance, heightDifference, shot = {}) {
+    if (typeof distance !== 'number' || isNaN(distance)) {
+        throw new Error('Distance must be a valid number');
+    }
+    if (distance <= 0) {
+        throw new Error('Distance must be positive');
+    }
+    if (typeof heightDifference !== 'number' || isNaN(heightDifference)) {
+        throw new Error('Height difference must be a valid number');
+    }
+    if (Math.abs(heightDifference) > 300) {
+        throw new Error('Height difference must be within 300 feet');
+    }
+
+    if (heightDifference === 0) {
+        return {
+            playsLike: distance,
+            adjustment: 0,
+            heightDifference,
+            landingAngle: shot.landingAngle ?? null,
+            method: 'flat'
+        };
+    }
+
+    let playsLike;
+    let landingAngle;
+    let method;
+
+    if (shot.ballSpeed !== undefined) {
+        const flat = calculateTrajectory(shot);
+        const elevated = calculateTrajectory(shot, { landingHeight: heightDifference });
+        playsLike = distance * flat.carryDistance / elevated.carryDistance;
+        landingAngle = elevated.landingAngle;
+        method = 'trajectory';
+    } else {
+        landingAngle = shot.landingAngle ?? 45;
+        if (landingAngle <= 0 || landingAngle >= 90) {
+            throw new Error('Landing angle must be between 0 and 90 degrees');
+        }
+        playsLike = distance + (heightDifference / 3) / Math.tan(landingAngle * Math.PI / 180);
+        method = 'descent-angle';
+    }
+
+    return {
+        playsLike: Number(playsLike.toFixed(2)),
+        adjustment: Number((playsLike - distance).toFixed(2)),
+        heightDifference,
+        landingAngle,
+        method
+    };
+}
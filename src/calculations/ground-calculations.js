@@ -0,0 +1,208 @@
+/**
+ * Ground interaction calculations module
+ * @module ground-calculations
+ */
+
+import { calculateSpinDecay, calculateDewPointEffect } from '../ball-physics.js';
+
+const GRAVITY = 9.80665;            // m/s²
+const MPH_TO_MS = 0.44704;
+const M_TO_YARDS = 1.0936133;
+const M_TO_FEET = 3.2808399;
+const BALL_RADIUS = 0.04267 / 2;    // m
+const RPM_TO_RADS = Math.PI / 30;
+
+/**
+ * Default surface descriptions
+ * firmness: 0 (soft) to 1 (firm), grassHeight in inches
+ */
+export const SURFACE_PRESETS = {
+    green: { firmness: 0.6, grassHeight: 0.125 },
+    fairway: { firmness: 0.5, grassHeight: 0.5 },
+    rough: { firmness: 0.4, grassHeight: 2.0 },
+    fringe: { firmness: 0.5, grassHeight: 0.375 }
+};
+
+/**
+ * Estimate turf wetness from the temperature/dew point spread
+ * @param {number} dewPoint - Dew point in Fahrenheit
+ * @param {number} temp - Temperature in Fahrenheit
+ * @returns {number} Wetness from 0 (dry) to 1 (soaked)
+ */
+export function calculateTurfWetness(dewPoint, temp) {
+    if (typeof dewPoint !== 'number' || isNaN(dewPoint)) {
+        throw new Error('Dew point must be a valid number');
+    }
+    if (typeof temp !== 'number' || isNaN(temp)) {
+        throw new Error('Temperature must be a valid number');
+    }
+
+    // The dew point spin factor drops 5% on dewy turf; map that drop onto 0-1
+    const { spinFactor } = calculateDewPointEffect(dewPoint, temp);
+    return Number(Math.min(1, (1 - spinFactor) / 0.05).toFixed(6));
+}
+
+/**
+ * Resolve a surface description against the presets
+ * @param {Object|string} surface - Surface type name or description
+ * @returns {Object} Complete surface description
+ */
+export function resolveSurface(surface = 'fairway') {
+    const description = typeof surface === 'string' ? { type: surface } : { ...surface };
+    const type = description.type || 'fairway';
+    const preset = SURFACE_PRESETS[type];
+    if (!preset) {
+        throw new Error(`Unknown surface type: ${type}`);
+    }
+
+    const resolved = { type, ...preset, ...description };
+    if (resolved.wetness === undefined) {
+        resolved.wetness = resolved.wet ? 1 : 0;
+    }
+
+    if (resolved.firmness < 0 || resolved.firmness > 1) {
+        throw new Error('Firmness must be between 0 and 1');
+    }
+    if (resolved.grassHeight < 0) {
+        throw new Error('Grass height must be non-negative');
+    }
+    if (resolved.wetness < 0 || resolved.wetness > 1) {
+        throw new Error('Wetness must be between 0 and 1');
+    }
+
+    return resolved;
+}
+
+/**
+ * Calculate surface response coefficients
+ * @param {Object} surface - Resolved surface description
+ * @returns {Object} Restitution, impact friction and rolling resistance
+ */
+export function calculateSurfaceResponse(surface) {
+    const { firmness, grassHeight, wetness } = surface;
+
+    // Firm turf returns more of the impact; water cushions it
+    const restitution = (0.08 + 0.22 * firmness) * (1 - 0.35 * wetness);
+
+    // Soft turf lets the ball plough in and grip; a wet film lets it skid
+    const friction = (0.6 - 0.3 * firmness) * (1 - 0.3 * wetness);
+
+    // Rolling resistance as a fraction of g, rising with grass length and standing water
+    const rollingResistance = (0.1 + 0.3 * grassHeight) * (1 + 0.5 * wetness);
+
+    // Pitch mark tilt in degrees per m/s of impact speed; the crater's front wall slows the ball
+    const craterTilt = 1.5 - 0.8 * firmness;
+
+    // Long grass cushions the ball from the turf so backspin grips less
+    const spinGrip = 1 / (1 + grassHeight);
+
+    return { restitution, friction, rollingResistance, craterTilt, spinGrip };
+}
+
+/**
+ * Calculate bounce, check and rollout after landing
+ * @param {Object} landing - Landing state, e.g. a calculateTrajectory result
+ * @param {number} landing.carryDistance - Carry in yards
+ * @param {number} landing.landingAngle - Descent angle in degrees
+ * @param {number} landing.landingSpeed - Ball speed at landing in mph
+ * @param {number} [landing.landingSpin] - Residual backspin in RPM
+ * @param {number} [landing.spinRate] - Launch spin in RPM, decayed when landingSpin is missing
+ * @param {number} [landing.flightTime] - Flight time in seconds, used with spinRate
+ * @param {number} [landing.airDensity=1] - Air density ratio, used with spinRate
+ * @param {Object|string} [surface='fairway'] - Landing surface description
+ * @returns {Object} Carry, total and the ground phase breakdown in yards
+ */
+export function calculateGroundRoll(landing, surface = 'fairway') {
+    if (!landing || typeof landing !== 'object') {
+        throw new Error('Landing data must be a valid object');
+    }
+
+    const { carryDistance, landingAngle, landingSpeed } = landing;
+    if (typeof carryDistance !== 'number' || isNaN(carryDistance) || carryDistance < 0) {
+        throw new Error('Carry distance must be a non-negative number');
+    }
+    if (typeof landingAngle !== 'number' || isNaN(landingAngle) || landingAngle <= 0 || landingAngle > 90) {
+        throw new Error('Landing angle must be between 0 and 90 degrees');
+    }
+    if (typeof landingSpeed !== 'number' || isNaN(landingSpeed) || landingSpeed < 0) {
+        throw new Error('Landing speed must be a non-negative number');
+    }
+
+    const residualSpin = landing.landingSpin ?? calculateSpinDecay(
+        landing.spinRate || 0,
+        landing.airDensity || 1,
+        landing.flightTime || 0
+    );
+
+    const resolved = resolveSurface(surface);
+    const {
+        restitution,
+        friction,
+        rollingResistance,
+        craterTilt,
+        spinGrip
+    } = calculateSurfaceResponse(resolved);
+
+    const angle = landingAngle * Math.PI / 180;
+    const speed = landingSpeed * MPH_TO_MS;
+    let forward = speed * Math.cos(angle);
+    let descent = speed * Math.sin(angle);
+    let spinSpeed = residualSpin * RPM_TO_RADS * BALL_RADIUS * spinGrip; // backspin surface speed, m/s
+
+    let bounceDistance = 0;
+    let bounceHeight = 0;
+    let bounces = 0;
+    let checked = false;
+
+    while (descent > 0.5 && bounces < 10) {
+        // Resolve the impact against the sloped front wall of the pitch mark
+        const tilt = craterTilt * descent * Math.PI / 180;
+        const normal = descent * Math.cos(tilt) + forward * Math.sin(tilt);
+        let tangential = forward * Math.cos(tilt) - descent * Math.sin(tilt);
+
+        // Friction works on the contact slip until the ball rolls (solid sphere, 5/7 rule)
+        const slide = tangential - friction * (1 + restitution) * normal;
+        const roll = (5 * tangential - 2 * spinSpeed) / 7;
+        const gripped = slide <= roll;
+        tangential = gripped ? roll : slide;
+        spinSpeed = gripped ? -tangential : spinSpeed;
+
+        const rebound = restitution * normal;
+        forward = tangential * Math.cos(tilt) - rebound * Math.sin(tilt);
+        const rise = tangential * Math.sin(tilt) + rebound * Math.cos(tilt);
+
+        if (bounces === 0 && forward <= 0.5) {
+            checked = true;
+        }
+        bounces++;
+
+        if (rise <= 0) break;
+        if (bounces === 1) {
+            bounceHeight = rise * rise / (2 * GRAVITY);
+        }
+        bounceDistance += forward * 2 * rise / GRAVITY;
+        descent = rise;
+    }
+
+    // Whatever is left rolls out against turf resistance (negative rolls back toward the player)
+    const deceleration = GRAVITY * rollingResistance;
+    const rollout = Math.sign(forward) * forward * forward / (2 * deceleration);
+
+    const bounce = bounceDistance * M_TO_YARDS;
+    const roll = bounce + rollout * M_TO_YARDS;
+
+    return {
+        carry: carryDistance,
+        total: Math.max(0, carryDistance + roll),
+        roll,
+        bounce: {
+            count: bounces,
+            distance: bounce,
+            height: bounceHeight * M_TO_FEET
+        },
+        rollout: rollout * M_TO_YARDS,
+        checked,
+        residualSpin,
+        surface: resolved
+    };
+}
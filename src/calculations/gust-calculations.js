@@ -0,0 +1,70 @@
+/**
+ * Gust calculations module
+ * @module gust-calculations
+ */
+
+/**
+ * Default chance that a shot flies through a gust rather than the sustained wind
+ */
+export const DEFAULT_GUST_PROBABILITY = 0.25;
+
+/**
+ * Adjusted distances at sustained wind, at gust speed, and their probability-weighted mean
+ * @param {number} windSpeed - Sustained wind speed in mph
+ * @param {number} [gustSpeed] - Gust speed in mph (e.g. gust_mph); sustained speed if omitted
+ * @param {Function} calculateDistance - Returns the adjusted distance for a wind speed in mph
+ * @param {Object} [options] - Gust options
+ * @param {number} [options.gustProbability=0.25] - Chance the shot is hit into a gust
+ * @returns {Object} Sustained, gust and expected distances with the low/high range
+ */
+export function calculateGustRange(windSpeed, gustSpeed, calculateDistance, options = {}) {
+    if (typeof windSpeed !== 'number' || isNaN(windSpeed) || windSpeed < 0) {
+        throw new Error('Wind speed must be a non-negative number');
+    }
+    const gust = gustSpeed ?? windSpeed;
+    if (typeof gust !== 'number' || isNaN(gust)) {
+        throw new Error('Gust speed must be a valid number');
+    }
+    if (gust < windSpeed) {
+        throw new Error('Gust speed must not be less than the sustained wind speed');
+    }
+    if (typeof calculateDistance !== 'function') {
+        throw new Error('Distance calculation must be a function');
+    }
+
+    const { gustProbability = DEFAULT_GUST_PROBABILITY } = options;
+    if (typeof gustProbability !== 'number' || gustProbability < 0 || gustProbability > 1) {
+        throw new Error('Gust probability must be between 0 and 1');
+    }
+
+    const sustained = calculateDistance(windSpeed);
+    const gusting = gust > windSpeed ? calculateDistance(gust) : sustained;
+    const expected = sustained * (1 - gustProbability) + gusting * gustProbability;
+
+    return {
+        sustained,
+        gust: gusting,
+        expected,
+        low: Math.min(sustained, gusting),
+        high: Math.max(sustained, gusting),
+        isGusty: gust > windSpeed,
+        windSpeed,
+        gustSpeed: gust,
+        gustProbability
+    };
+}
+
+/**
+ * Format a gust range as a plays-like yardage, e.g. "plays 162-171"
+ * @param {Object} range - Result from calculateGustRange
+ * @returns {string} Plays-like text
+ */
+export function formatPlaysLike(range) {
+    if (!range || typeof range.low !== 'number' || typeof range.high !== 'number') {
+        throw new Error('Gust range is required');
+    }
+
+    const low = Math.round(range.low);
+    const high = Math.round(range.high);
+    return low === high ? `plays ${low}` : `plays ${low}-${high}`;
+}
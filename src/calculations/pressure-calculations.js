@@ -0,0 +1,172 @@
+/**
+ * Pressure calculations module
+ *
+ * Weather sources report pressure at the station, reduced to sea level, or as
+ * an altimeter setting, in several units. Air density needs the pressure the
+ * ball actually flies through, so every reading is turned into station
+ * pressure in inHg here. This is the only place altitude is applied.
+ *
+ * @module pressure-calculations
+ */
+
+import { calculatePressureAtAltitude } from './altitude-calculations.js';
+
+/**
+ * What a pressure reading refers to
+ */
+export const PRESSURE_TYPES = Object.freeze({
+    STATION: 'station',
+    SEA_LEVEL: 'seaLevel',
+    ALTIMETER: 'altimeter'
+});
+
+/**
+ * inHg per unit
+ */
+export const PRESSURE_UNITS = Object.freeze({
+    inHg: 1,
+    hPa: 0.0295300,
+    mb: 0.0295300,
+    kPa: 0.295300,
+    mmHg: 1 / 25.4
+});
+
+const STANDARD_PRESSURE = 29.92; // inHg
+const HPA_STANDARD = 1013.25;
+const LAPSE_EXPONENT = 0.190284;
+const FT_TO_M = 0.3048;
+
+function validateElevation(elevation) {
+    if (typeof elevation !== 'number' || isNaN(elevation)) {
+        throw new Error('Elevation must be a valid number');
+    }
+}
+
+/**
+ * Convert a pressure between units
+ * @param {number} value - Pressure
+ * @param {string} [from='inHg'] - PRESSURE_UNITS key of the value
+ * @param {string} [to='inHg'] - PRESSURE_UNITS key to convert to
+ * @returns {number} Pressure in the target unit
+ */
+export function convertPressure(value, from = 'inHg', to = 'inHg') {
+    if (typeof value !== 'number' || isNaN(value) || value <= 0) {
+        throw new Error('Pressure must be a positive number');
+    }
+    for (const unit of [from, to]) {
+        if (!PRESSURE_UNITS[unit]) {
+            throw new Error(`Unknown pressure unit: ${unit}`);
+        }
+    }
+    return value * PRESSURE_UNITS[from] / PRESSURE_UNITS[to];
+}
+
+/**
+ * Convert hectopascals (millibars) to inches of mercury
+ * @param {number} hPa - Pressure in hPa
+ * @returns {number} Pressure in inHg
+ */
+export function hpaToInHg(hPa) {
+    return convertPressure(hPa, 'hPa');
+}
+
+/**
+ * Station pressure from pressure reduced to sea level
+ * @param {number} seaLevelPressure - Sea-level pressure (QNH or SLP) in inHg
+ * @param {number} elevation - Station elevation in feet
+ * @returns {number} Station pressure in inHg
+ */
+export function seaLevelToStationPressure(seaLevelPressure, elevation) {
+    validateElevation(elevation);
+    return seaLevelPressure * calculatePressureAtAltitude(elevation) / STANDARD_PRESSURE;
+}
+
+/**
+ * Sea-level pressure from station pressure
+ * @param {number} stationPressure - Station pressure in inHg
+ * @param {number} elevation - Station elevation in feet
+ * @returns {number} Sea-level pressure in inHg
+ */
+export function stationToSeaLevelPressure(stationPressure, elevation) {
+    validateElevation(elevation);
+    return stationPressure * STANDARD_PRESSURE / calculatePressureAtAltitude(elevation);
+}
+
+/**
+ * Station pressure from an altimeter setting and field elevation
+ *
+ * Inverts the altimeter setting formula used by ASOS stations (NOAA
+ * Technical Memorandum NWS-TDL-63).
+ *
+ * @param {number} altimeter - Altimeter setting in inHg
+ * @param {number} elevation - Field elevation in feet
+ * @returns {number} Station pressure in inHg
+ */
+export function altimeterToStationPressure(altimeter, elevation) {
+    if (typeof altimeter !== 'number' || isNaN(altimeter) || altimeter <= 0) {
+        throw new Error('Altimeter setting must be a positive number');
+    }
+    if (typeof elevation !== 'number' || isNaN(elevation)) {
+        throw new Error('Field elevation must be a valid number');
+    }
+
+    const altimeterHpa = convertPressure(altimeter, 'inHg', 'hPa');
+    const height = elevation * FT_TO_M;
+    const reduced = Math.pow(altimeterHpa, LAPSE_EXPONENT) -
+        Math.pow(HPA_STANDARD, LAPSE_EXPONENT) * 0.0065 * height / 288;
+    return hpaToInHg(Math.pow(reduced, 1 / LAPSE_EXPONENT) + 0.3);
+}
+
+/**
+ * Elevation at which sea-level pressure falls to the station pressure
+ *
+ * Inverts calculatePressureAtAltitude, so converting back with
+ * seaLevelToStationPressure gives the same station pressure.
+ *
+ * @param {number} stationPressure - Station pressure in inHg
+ * @param {number} seaLevelPressure - Sea-level pressure in inHg
+ * @returns {number} Elevation in feet
+ */
+export function calculatePressureElevation(stationPressure, seaLevelPressure) {
+    const target = STANDARD_PRESSURE * stationPressure / seaLevelPressure;
+    let low = -1000;
+    let high = 30000;
+    for (let i = 0; i < 40; i++) {
+        const middle = (low + high) / 2;
+        if (calculatePressureAtAltitude(middle) > target) {
+            low = middle;
+        } else {
+            high = middle;
+        }
+    }
+    return (low + high) / 2;
+}
+
+/**
+ * Station pressure in inHg from any reading
+ * @param {number} pressure - Pressure reading
+ * @param {Object} [options] - What the reading is
+ * @param {string} [options.type='seaLevel'] - PRESSURE_TYPES value
+ * @param {string} [options.unit='inHg'] - PRESSURE_UNITS key
+ * @param {number} [options.elevation=0] - Station elevation in feet
+ * @returns {number} Station pressure in inHg
+ */
+export function toStationPressure(pressure, options = {}) {
+    const {
+        type = PRESSURE_TYPES.SEA_LEVEL,
+        unit = 'inHg',
+        elevation = 0
+    } = options;
+    const inHg = convertPressure(pressure, unit);
+
+    switch (type) {
+        case PRESSURE_TYPES.STATION:
+            return inHg;
+        case PRESSURE_TYPES.SEA_LEVEL:
+            return seaLevelToStationPressure(inHg, elevation);
+        case PRESSURE_TYPES.ALTIMETER:
+            return altimeterToStationPressure(inHg, elevation);
+        default:
+            throw new Error(`Unknown pressure type: ${type}`);
+    }
+}
@@ -0,0 +1,115 @@
+/**
+ * Rain calculations module
+ *
+ * Falling rain adds drag, water between the face and a wet ball strips spin
+ * (a flyer), and soaked turf kills the rollout. The first two change the
+ * flight, the last feeds the ground model's wetness and firmness.
+ *
+ * @module rain-calculations
+ */
+
+const IN_TO_MM = 25.4;
+const STANDARD_AIR_DENSITY = 1.225; // kg/m³
+const REFERENCE_DRAG_COEFFICIENT = 0.25;
+
+// Rain rates at which the ball and the turf are fully wet, in inches per hour
+const BALL_SOAKING_RATE = 0.1;
+const TURF_SOAKING_RATE = 0.25;
+
+// Flyer spin loss: a driver keeps most of its spin, a wedge loses far more
+const FLYER_SPIN_LOSS = { low: 0.1, high: 0.35 };
+const FLYER_SPIN_RANGE = { low: 2500, high: 8500 }; // RPM
+const FLYER_LAUNCH_OFFSET = 1; // degrees higher off a soaked face
+
+// Share of the turf's firmness lost once rain has saturated it; dew only wets the surface
+const TURF_SOFTENING = 0.6;
+
+function validateFraction(value, name) {
+    if (typeof value !== 'number' || isNaN(value) || value < 0 || value > 1) {
+        throw new Error(`${name} must be between 0 and 1`);
+    }
+}
+
+function validateRate(precipitationRate) {
+    if (typeof precipitationRate !== 'number' || isNaN(precipitationRate) || precipitationRate < 0) {
+        throw new Error('Precipitation rate must be a non-negative number');
+    }
+}
+
+/**
+ * Mass of falling rain per volume of air
+ * @param {number} precipitationRate - Rain rate in inches per hour
+ * @returns {number} Liquid water content in kg/m³
+ */
+export function calculateRainWaterContent(precipitationRate) {
+    validateRate(precipitationRate);
+    // Empirical fit for liquid water content in g/m³ from rain rate in mm/h
+    return 0.072 * Math.pow(precipitationRate * IN_TO_MM, 0.88) / 1000;
+}
+
+/**
+ * Drag multiplier from the ball sweeping up raindrops
+ *
+ * Each drop the ball hits takes up its momentum, a force of water content ×
+ * speed² × area, which is compared with the aerodynamic drag on the same area.
+ *
+ * @param {number} precipitationRate - Rain rate in inches per hour
+ * @returns {number} Multiplier on the drag coefficient (1 = dry)
+ */
+export function calculateRainDragFactor(precipitationRate) {
+    const waterContent = calculateRainWaterContent(precipitationRate);
+    return 1 + waterContent / (0.5 * STANDARD_AIR_DENSITY * REFERENCE_DRAG_COEFFICIENT);
+}
+
+/**
+ * Spin and launch change from water trapped between the face and the ball
+ * @param {number} ballWetness - Ball wetness from 0 (dry) to 1 (soaked)
+ * @param {number} spinRate - Dry spin rate of the shot in RPM
+ * @returns {Object} {spinFactor, launchOffset (degrees)}
+ */
+export function calculateWetBallEffect(ballWetness, spinRate) {
+    validateFraction(ballWetness, 'Ball wetness');
+    if (typeof spinRate !== 'number' || isNaN(spinRate) || spinRate < 0) {
+        throw new Error('Spin rate must be a non-negative number');
+    }
+
+    const spinShare = Math.min(1, Math.max(0,
+        (spinRate - FLYER_SPIN_RANGE.low) / (FLYER_SPIN_RANGE.high - FLYER_SPIN_RANGE.low)
+    ));
+    const maxLoss = FLYER_SPIN_LOSS.low + (FLYER_SPIN_LOSS.high - FLYER_SPIN_LOSS.low) * spinShare;
+
+    return {
+        spinFactor: 1 - maxLoss * ballWetness,
+        launchOffset: FLYER_LAUNCH_OFFSET * ballWetness
+    };
+}
+
+/**
+ * Rain inputs resolved into what the flight and ground models use
+ * @param {Object} [rain] - Rain inputs
+ * @param {number} [rain.precipitationRate=0] - Rain rate in inches per hour
+ * @param {number} [rain.lieWetness=0] - Wetness of the grass the ball sits in, 0 to 1
+ * @param {number} [rain.dewWetness=0] - Turf wetness from dew, 0 to 1
+ * @returns {Object} {precipitationRate, lieWetness, ballWetness, turfWetness, turfSoftening, dragFactor, isWet}
+ */
+export function resolveRainConditions(rain = {}) {
+    const { precipitationRate = 0, lieWetness = 0, dewWetness = 0 } = rain;
+    validateRate(precipitationRate);
+    validateFraction(lieWetness, 'Lie wetness');
+    validateFraction(dewWetness, 'Dew wetness');
+
+    // Any steady rain soaks the ball; the turf takes heavier rain to saturate
+    const ballWetness = Math.max(lieWetness, Math.min(1, precipitationRate / BALL_SOAKING_RATE));
+    const turfSaturation = Math.min(1, precipitationRate / TURF_SOAKING_RATE);
+    const turfWetness = Math.max(dewWetness, lieWetness, turfSaturation);
+
+    return {
+        precipitationRate,
+        lieWetness,
+        ballWetness,
+        turfWetness,
+        turfSoftening: TURF_SOFTENING * turfSaturation,
+        dragFactor: calculateRainDragFactor(precipitationRate),
+        isWet: ballWetness > 0 || precipitationRate > 0
+    };
+}
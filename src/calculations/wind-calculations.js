@@ -3,14 +3,20 @@
  * @module wind-calculations
  */
 
+import { calculateFlightWindFactor } from './wind-profile.js';
+import { resolveWindComponents } from './wind-frame.js';
+
 /**
  * Calculate wind effect on shot distance and direction
  * @param {number} windSpeed - Wind speed in mph
- * @param {number} windDirection - Wind direction in degrees (0-360)
+ * @param {number} windDirection - Direction the wind comes from relative to the shot in degrees
+ *     (0 headwind, 90 from the right, 180 tailwind); see wind-frame for compass winds
  * @param {number} shotHeight - Maximum shot height in yards
+ * @param {Object} [windProfile] - Wind profile options (roughness, referenceHeight, model)
  * @returns {Object} Object containing distance and lateral effects as percentages
+ * @deprecated Use computeShot from yardage-engine, which flies the shot through the wind
  */
-export function calculateWindEffect(windSpeed, windDirection, shotHeight) {
+export function calculateWindEffect(windSpeed, windDirection, shotHeight, windProfile = {}) {
     // Input validation
     if (typeof windSpeed !== 'number' || isNaN(windSpeed)) {
         console.error('Invalid wind speed:', windSpeed);
@@ -50,13 +56,12 @@ export function calculateWindEffect(windSpeed, windDirection, shotHeight) {
         };
     }
 
-    // Convert wind direction to radians and calculate components
-    const windAngleRad = (windDirection * Math.PI) / 180;
-    const headwindComponent = -Math.cos(windAngleRad); // Negative because 0° is headwind
-    const crosswindComponent = -Math.sin(windAngleRad); // Negative because 90° should push ball left
+    // Unit head (positive into the player) and cross (positive pushes right) components
+    const { headwind: headwindComponent, crosswind: crosswindComponent } =
+        resolveWindComponents(1, windDirection);
 
-    // Calculate height factor (higher shots are affected more by wind)
-    const heightFactor = 1 + (shotHeight / 100) * 0.5;
+    // Average wind along the flight relative to the reported wind (higher shots see more)
+    const heightFactor = calculateFlightWindFactor(shotHeight * 3, windProfile);
 
     // Calculate headwind effect (1% per mph for headwind, 0.6% per mph for tailwind)
     let distanceEffect;
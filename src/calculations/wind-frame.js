@@ -0,0 +1,92 @@
+/**
+ * Wind reference frame module
+ *
+ * Weather services report where the wind blows FROM, in degrees clockwise from
+ * true north. Shot calculations need the wind relative to the line of play, so
+ * everything that consumes wind should go through these conversions.
+ *
+ * @module wind-frame
+ */
+
+// 16-point compass, clockwise from north
+const COMPASS_POINTS = [
+    'N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE',
+    'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'
+];
+
+/**
+ * Wrap an angle into the 0-360 range
+ * @param {number} degrees - Angle in degrees
+ * @returns {number} Equivalent angle from 0 up to 360
+ */
+export function normalizeAngle(degrees) {
+    return ((degrees % 360) + 360) % 360;
+}
+
+/**
+ * Read a wind or shot direction given in degrees or as a compass point
+ * @param {number|string} direction - Degrees clockwise from north, or a label such as 'NNE'
+ * @returns {number} Direction in degrees from 0 up to 360
+ */
+export function parseDirection(direction) {
+    if (typeof direction === 'string') {
+        const trimmed = direction.trim().toUpperCase();
+        const index = COMPASS_POINTS.indexOf(trimmed);
+        if (index !== -1) return index * 22.5;
+        if (trimmed === '' || isNaN(Number(trimmed))) {
+            throw new Error(`Unknown compass direction: ${direction}`);
+        }
+        return normalizeAngle(Number(trimmed));
+    }
+    if (typeof direction !== 'number' || isNaN(direction)) {
+        throw new Error('Direction must be a number of degrees or a compass point');
+    }
+    return normalizeAngle(direction);
+}
+
+/**
+ * Angle the wind comes from relative to the line of play
+ * 0 is straight into the player's face, 90 from the right, 180 from behind
+ * @param {number|string} windFrom - Meteorological wind direction (where it blows from, true north)
+ * @param {number|string} [shotBearing=0] - Bearing of the shot from true north
+ * @returns {number} Relative wind angle in degrees from 0 up to 360
+ */
+export function calculateRelativeWindAngle(windFrom, shotBearing = 0) {
+    return normalizeAngle(parseDirection(windFrom) - parseDirection(shotBearing));
+}
+
+/**
+ * Split a reported wind into head and cross components for a shot
+ * @param {number} windSpeed - Wind speed in mph
+ * @param {number|string} windFrom - Meteorological wind direction (where it blows from, true north)
+ * @param {number|string} [shotBearing=0] - Bearing of the shot from true north
+ * @returns {Object} headwind (positive into the player, negative helping) and
+ *     crosswind (positive pushes the ball right) in mph, plus the relative angle
+ */
+export function resolveWindComponents(windSpeed, windFrom, shotBearing = 0) {
+    if (typeof windSpeed !== 'number' || isNaN(windSpeed) || windSpeed < 0) {
+        throw new Error('Wind speed must be a non-negative number');
+    }
+
+    const relativeAngle = calculateRelativeWindAngle(windFrom, shotBearing);
+    const radians = relativeAngle * Math.PI / 180;
+
+    // Adding 0 turns -0 into 0 for winds straight down the line
+    return {
+        headwind: windSpeed * Math.cos(radians) + 0,
+        crosswind: -windSpeed * Math.sin(radians) + 0,
+        relativeAngle
+    };
+}
+
+/**
+ * Reported wind as an air velocity in the trajectory frame
+ * @param {number} windSpeed - Wind speed in mph
+ * @param {number|string} windFrom - Meteorological wind direction (where it blows from, true north)
+ * @param {number|string} [shotBearing=0] - Bearing of the shot from true north
+ * @returns {Object} Wind vector in mph ({x: tailwind, y: updraft, z: left-to-right})
+ */
+export function toShotFrameWind(windSpeed, windFrom, shotBearing = 0) {
+    const { headwind, crosswind } = resolveWindComponents(windSpeed, windFrom, shotBearing);
+    return { x: -headwind + 0, y: 0, z: crosswind };
+}
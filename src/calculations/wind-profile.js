@@ -0,0 +1,120 @@
+/**
+ * Wind profile calculations module
+ * @module wind-profile
+ */
+
+/**
+ * Height weather stations report wind at, in feet (10 m anemometer)
+ */
+export const DEFAULT_REFERENCE_HEIGHT = 32.8;
+
+/**
+ * Surface roughness presets
+ * roughnessLength is the log-law z0 in feet, exponent is the matching power-law alpha
+ */
+export const ROUGHNESS_PRESETS = {
+    links: { label: 'Links', roughnessLength: 0.03, exponent: 0.11 },        // z0 ≈ 0.01 m, open dunes
+    parkland: { label: 'Parkland', roughnessLength: 0.33, exponent: 0.16 },  // z0 ≈ 0.1 m, scattered trees
+    treeLined: { label: 'Tree-lined', roughnessLength: 1.64, exponent: 0.25 } // z0 ≈ 0.5 m, enclosed holes
+};
+
+/**
+ * Resolve profile options into a complete wind profile
+ * @param {Object} [options] - Profile options
+ * @param {string} [options.roughness='parkland'] - ROUGHNESS_PRESETS key
+ * @param {number} [options.referenceHeight=32.8] - Height of the reported wind in feet
+ * @param {string} [options.model='log'] - 'log' or 'power' law
+ * @param {number} [options.roughnessLength] - Override for the log-law roughness in feet
+ * @param {number} [options.exponent] - Override for the power-law exponent
+ * @returns {Object} Wind profile
+ */
+export function createWindProfile(options = {}) {
+    const {
+        roughness = 'parkland',
+        referenceHeight = DEFAULT_REFERENCE_HEIGHT,
+        model = 'log'
+    } = options;
+
+    const preset = ROUGHNESS_PRESETS[roughness];
+    if (!preset) {
+        throw new Error(`Unknown surface roughness: ${roughness}`);
+    }
+    if (model !== 'log' && model !== 'power') {
+        throw new Error('Wind profile model must be log or power');
+    }
+
+    const roughnessLength = options.roughnessLength ?? preset.roughnessLength;
+    const exponent = options.exponent ?? preset.exponent;
+
+    if (typeof roughnessLength !== 'number' || isNaN(roughnessLength) || roughnessLength <= 0) {
+        throw new Error('Roughness length must be a positive number');
+    }
+    if (typeof exponent !== 'number' || isNaN(exponent) || exponent <= 0 || exponent >= 1) {
+        throw new Error('Profile exponent must be between 0 and 1');
+    }
+    if (typeof referenceHeight !== 'number' || isNaN(referenceHeight) || referenceHeight <= roughnessLength) {
+        throw new Error('Reference height must be above the roughness length');
+    }
+
+    return { model, roughness, roughnessLength, exponent, referenceHeight };
+}
+
+/**
+ * Ratio of wind speed at a height to the reported wind speed
+ * @param {number} height - Height above the ground in feet
+ * @param {Object} [profile] - Wind profile or options for createWindProfile
+ * @returns {number} Wind speed factor (1 at the reference height)
+ */
+export function calculateWindProfileFactor(height, profile = {}) {
+    if (typeof height !== 'number' || isNaN(height)) {
+        throw new Error('Height must be a valid number');
+    }
+
+    const { model, roughnessLength, exponent, referenceHeight } = createWindProfile(profile);
+
+    if (height <= roughnessLength) return 0;
+
+    if (model === 'power') {
+        return Math.pow(height / referenceHeight, exponent);
+    }
+    return Math.log(height / roughnessLength) / Math.log(referenceHeight / roughnessLength);
+}
+
+/**
+ * Wind speed at a height above the ground
+ * @param {number} referenceSpeed - Reported wind speed in mph
+ * @param {number} height - Height above the ground in feet
+ * @param {Object} [profile] - Wind profile or options for createWindProfile
+ * @returns {number} Wind speed in mph
+ */
+export function calculateWindAtHeight(referenceSpeed, height, profile = {}) {
+    if (typeof referenceSpeed !== 'number' || isNaN(referenceSpeed) || referenceSpeed < 0) {
+        throw new Error('Wind speed must be a non-negative number');
+    }
+    return referenceSpeed * calculateWindProfileFactor(height, profile);
+}
+
+/**
+ * Average wind factor felt over a flight with the given apex
+ *
+ * The ball's height is taken as a parabola in time, so the factor weights
+ * each height by how long the ball spends there.
+ *
+ * @param {number} apexHeight - Maximum height of the shot in feet
+ * @param {Object} [profile] - Wind profile or options for createWindProfile
+ * @returns {number} Time-averaged wind speed factor
+ */
+export function calculateFlightWindFactor(apexHeight, profile = {}) {
+    if (typeof apexHeight !== 'number' || isNaN(apexHeight) || apexHeight <= 0) {
+        throw new Error('Apex height must be a positive number');
+    }
+
+    const resolved = createWindProfile(profile);
+    const steps = 20;
+    let sum = 0;
+    for (let i = 0; i < steps; i++) {
+        const s = (i + 0.5) / steps;
+        sum += calculateWindProfileFactor(4 * apexHeight * s * (1 - s), resolved);
+    }
+    return sum / steps;
+}
@@ -1,4 +1,6 @@
 // Wind adjustment calculations and visualizations
+import { computeShot } from './yardage-engine.js';
+
 document.addEventListener('DOMContentLoaded', function() {
     // Elements
     const windSpeedInput = document.getElementById('wind-speed');
@@ -91,16 +93,10 @@ document.addEventListener('DOMContentLoaded', function() {
     }
 
     function calculateWindEffects(speed, direction, height) {
-        const heightFactor = WIND_FACTOR[height];
-        let carry = 0;
-        let side = 0;
-
-        // Calculate based on direction
-        const angle = DIRECTION_ANGLES[direction] * (Math.PI / 180);
-        carry = -speed * Math.cos(angle) * heightFactor;
-        side = speed * Math.sin(angle) * heightFactor;
+        // Wind directions on this page are relative to a 100-yard shot played due north
+        const shot = computeShot({ windSpeed: speed, windDirection: direction }, { distance: 100, height });
 
-        return { carry, side };
+        return { carry: shot.breakdown.wind, side: shot.lateral };
     }
 
     function calculateTrajectory(windSpeed, direction, height) {
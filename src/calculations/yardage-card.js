@@ -0,0 +1,58 @@
+/**
+ * Yardage card module
+ *
+ * A yardage card lists how a set of clubs and stock yardages play in one set
+ * of conditions, so it can be printed or saved before the round.
+ *
+ * @module yardage-card
+ */
+
+import { computeShot } from './yardage-engine.js';
+
+export const DEFAULT_CARD_DISTANCES = [100, 125, 150, 175, 200];
+
+/**
+ * Plays-like yardages for a bag and a list of target distances
+ *
+ * Wind only counts when a bearing is given; without one the card shows the
+ * air density and elevation effects that hold for every hole.
+ *
+ * @param {Object} conditions - Conditions as passed to computeShot
+ * @param {Object} [options] - Card options
+ * @param {Array<Object>} [options.clubs=[]] - Bag entries ({name or type, distance})
+ * @param {Array<number>} [options.distances=DEFAULT_CARD_DISTANCES] - Target distances in yards
+ * @param {number|string} [options.bearing] - Direction of play, to include the wind
+ * @returns {Object} {clubs: [{club, distance, carry, total}], distances: [{distance, playsLike}]}
+ */
+export function buildYardageCard(conditions, options = {}) {
+    const {
+        clubs = [],
+        distances = DEFAULT_CARD_DISTANCES,
+        bearing
+    } = options;
+
+    if (!Array.isArray(clubs) || !Array.isArray(distances)) {
+        throw new Error('Clubs and distances must be arrays');
+    }
+
+    const shotConditions = bearing === undefined
+        ? { ...conditions, windSpeed: 0, windGust: 0 }
+        : conditions;
+    const shot = { bearing: bearing ?? 0 };
+
+    return {
+        clubs: clubs.map(club => {
+            const result = computeShot(shotConditions, shot, club);
+            return {
+                club: result.club,
+                distance: club.distance,
+                carry: result.carry,
+                total: result.total
+            };
+        }),
+        distances: distances.map(distance => ({
+            distance,
+            playsLike: computeShot(shotConditions, { ...shot, distance }).playsLike
+        }))
+    };
+}
@@ -0,0 +1,352 @@
+/**
+ * Yardage engine module
+ *
+ * The single public entry point for shot calculations. Pages, the worker and
+ * tools call computeShot and read its breakdown rather than combining the
+ * individual calculation modules themselves. ENGINE_VERSION is bumped whenever
+ * the numbers it produces change.
+ *
+ * @module yardage-engine
+ */
+
+import { calculateTrajectory, calculateStartConditions, classifyShotShape } from '../ball-physics.js';
+import { calculateStationAirDensity, calculateDewPoint } from './air-density-calculations.js';
+import { toStationPressure, PRESSURE_TYPES } from './pressure-calculations.js';
+import { calculateGroundRoll, calculateTurfWetness, resolveSurface } from './ground-calculations.js';
+import { calibrateClubLaunch, findClubKey, TRAJECTORY_HEIGHTS } from './club-selection.js';
+import { resolveWindComponents, toShotFrameWind } from './wind-frame.js';
+import { calculateGustRange } from './gust-calculations.js';
+import { resolveRainConditions, calculateWetBallEffect } from './rain-calculations.js';
+import {
+    calculateBallSpeedFactor,
+    clampBallTemperature,
+    REFERENCE_BALL_TEMPERATURE,
+    REFERENCE_COMPRESSION
+} from './ball-temperature.js';
+import { PGA_CLUB_DATA, SHOT_SHAPES } from '../../constants/club-data.js';
+
+export const ENGINE_VERSION = '1.6.0';
+
+const STANDARD_PRESSURE = 29.92; // inHg
+
+/**
+ * Fill in standard values for missing conditions and derive air density
+ * @param {Object} conditions - Weather conditions as passed to computeShot
+ * @returns {Object} Complete conditions with stationPressure, airDensity, dewPoint, ball speed factor, rain effects and turf wetness
+ */
+export function resolveConditions(conditions = {}) {
+    const {
+        temperature = 59,
+        humidity = 0,
+        pressure = STANDARD_PRESSURE,
+        pressureType = PRESSURE_TYPES.SEA_LEVEL,
+        pressureUnit = 'inHg',
+        altitude = 0,
+        windSpeed = 0,
+        windGust,
+        windDirection = 0,
+        windProfile = null,
+        surface = 'fairway',
+        precipitationRate = 0,
+        lieWetness = 0,
+        // A ball left out settles at the air temperature, as far as the ball model goes;
+        // without a reading it is the launch data's ball
+        ballTemperature = typeof conditions.temperature === 'number'
+            ? clampBallTemperature(conditions.temperature)
+            : REFERENCE_BALL_TEMPERATURE,
+        ballCompression = REFERENCE_COMPRESSION
+    } = conditions;
+
+    if (typeof altitude !== 'number' || isNaN(altitude)) {
+        throw new Error('Altitude must be a valid number');
+    }
+    if (typeof windSpeed !== 'number' || isNaN(windSpeed) || windSpeed < 0) {
+        throw new Error('Wind speed must be a non-negative number');
+    }
+
+    // Altitude only enters through the station pressure; a station reading already includes it
+    const stationPressure = toStationPressure(pressure, {
+        type: pressureType,
+        unit: pressureUnit,
+        elevation: altitude
+    });
+    const airDensity = calculateStationAirDensity(temperature, stationPressure, humidity);
+    const dewPoint = calculateDewPoint(temperature, humidity);
+    const rain = resolveRainConditions({
+        precipitationRate,
+        lieWetness,
+        dewWetness: calculateTurfWetness(dewPoint, temperature)
+    });
+    const { ballSpeedFactor } = calculateBallSpeedFactor(ballTemperature, ballCompression);
+
+    return {
+        temperature,
+        humidity,
+        pressure,
+        pressureType,
+        pressureUnit,
+        stationPressure,
+        altitude,
+        windSpeed,
+        windGust: Math.max(windSpeed, Number(windGust) || 0),
+        windDirection,
+        windProfile,
+        surface,
+        airDensity,
+        dewPoint,
+        ballTemperature,
+        ballCompression,
+        ballSpeedFactor,
+        precipitationRate,
+        lieWetness,
+        ballWetness: rain.ballWetness,
+        dragFactor: rain.dragFactor,
+        turfSoftening: rain.turfSoftening,
+        wetness: rain.turfWetness
+    };
+}
+
+/**
+ * Launch conditions for a club given as launch data, a bag entry or a club name
+ * @param {Object|string|null} club - Launch data, {name or type, distance}, or a club name
+ * @param {number} [distance] - Target distance used when no club is given
+ * @returns {Object} Launch data for calculateTrajectory plus the club name
+ */
+export function resolveClubLaunch(club, distance) {
+    if (club && typeof club === 'object' && typeof club.ballSpeed === 'number') {
+        return { name: club.name || 'Custom', ...club };
+    }
+    if (typeof club === 'string') {
+        const key = findClubKey(club);
+        if (!key) {
+            throw new Error(`Unknown club: ${club}`);
+        }
+        return { ...PGA_CLUB_DATA[key], key };
+    }
+    if (club && typeof club === 'object') {
+        return calibrateClubLaunch(club);
+    }
+    if (typeof distance !== 'number' || isNaN(distance) || distance <= 0) {
+        throw new Error('A club or a positive shot distance is required');
+    }
+
+    // No club: a tour ball flight scaled to carry the target in standard air
+    return calibrateClubLaunch({ name: 'Reference', distance });
+}
+
+/**
+ * Face and path a shot is played with
+ * @param {Object} shot - Shot description with shape, or faceAngle and clubPath
+ * @returns {Object|null} {faceAngle, clubPath}, or null to fly the club's own start line and curve
+ */
+function resolveDelivery({ shape, faceAngle, clubPath }) {
+    if (shape !== undefined) {
+        if (!SHOT_SHAPES[shape]) {
+            throw new Error(`Unknown shot shape: ${shape}`);
+        }
+        return SHOT_SHAPES[shape];
+    }
+    if (faceAngle === undefined && clubPath === undefined) {
+        return null;
+    }
+    return { faceAngle: faceAngle ?? 0, clubPath: clubPath ?? 0 };
+}
+
+/**
+ * Compute how a shot plays in the given conditions
+ *
+ * The club is flown through the trajectory model in standard air, then with
+ * today's air, ball temperature, rain, wind and elevation added one at a time so
+ * each effect can be reported separately. Plays-like adjustments are positive when the shot plays
+ * longer than its yardage. A club profile's carry and breakdown are scaled to its measured carry.
+ *
+ * @param {Object} [conditions] - Weather conditions
+ * @param {number} [conditions.temperature=59] - Temperature in Fahrenheit
+ * @param {number} [conditions.humidity=0] - Relative humidity (0-100)
+ * @param {number} [conditions.pressure=29.92] - Barometric pressure
+ * @param {string} [conditions.pressureType='seaLevel'] - Whether pressure is station, seaLevel or altimeter
+ * @param {string} [conditions.pressureUnit='inHg'] - Unit of pressure (inHg, hPa, mb, kPa, mmHg)
+ * @param {number} [conditions.altitude=0] - Course altitude in feet, to reduce sea-level or altimeter pressure
+ * @param {number} [conditions.windSpeed=0] - Sustained wind in mph
+ * @param {number} [conditions.windGust] - Gust speed in mph
+ * @param {number|string} [conditions.windDirection=0] - Where the wind blows from (degrees true or compass point)
+ * @param {Object} [conditions.windProfile] - Wind profile options (roughness, referenceHeight, model)
+ * @param {string|Object} [conditions.surface='fairway'] - Landing surface
+ * @param {number} [conditions.precipitationRate=0] - Rain rate in inches per hour
+ * @param {number} [conditions.lieWetness=0] - Wetness of the lie from 0 (dry) to 1 (soaked)
+ * @param {number} [conditions.ballTemperature] - Ball temperature in Fahrenheit, e.g. from calculateBallTemperature;
+ *     the air temperature held to -20°F to 130°F if omitted, or the launch data's 75°F ball when that is omitted too
+ * @param {number} [conditions.ballCompression=90] - Compression rating of the ball
+ * @param {Object} [shot] - Shot description
+ * @param {number} [shot.distance] - Yardage to the target; the club's standard carry if omitted
+ * @param {number|string} [shot.bearing=0] - Direction of play from true north
+ * @param {number} [shot.elevationChange=0] - Target height above the player in feet
+ * @param {string} [shot.height='medium'] - TRAJECTORY_HEIGHTS key
+ * @param {string} [shot.shape] - SHOT_SHAPES key, e.g. 'draw'
+ * @param {number} [shot.faceAngle] - Face angle to target in degrees (positive open), instead of a shape
+ * @param {number} [shot.clubPath] - Club path to target in degrees (positive in-to-out), instead of a shape
+ * @param {Object|string} [club] - Launch data, a bag entry ({name or type, distance}) or a club name
+ * @returns {Object} Plays-like yardage, flight results and the per-effect breakdown
+ */
+export function computeShot(conditions = {}, shot = {}, club = null) {
+    const resolved = resolveConditions(conditions);
+    const {
+        distance,
+        bearing = 0,
+        elevationChange = 0,
+        height = 'medium'
+    } = shot;
+
+    if (distance !== undefined && (typeof distance !== 'number' || isNaN(distance) || distance <= 0)) {
+        throw new Error('Shot distance must be a positive number');
+    }
+    if (typeof elevationChange !== 'number' || isNaN(elevationChange)) {
+        throw new Error('Elevation change must be a valid number');
+    }
+    const trajectoryHeight = TRAJECTORY_HEIGHTS[height];
+    if (!trajectoryHeight) {
+        throw new Error(`Unknown trajectory height: ${height}`);
+    }
+
+    const delivery = resolveDelivery(shot);
+
+    const launch = resolveClubLaunch(club, distance);
+    const stockFlight = {
+        ballSpeed: launch.ballSpeed,
+        launchAngle: launch.launchAngle,
+        spinRate: launch.spinRate,
+        spinAxis: launch.spinAxis || 0,
+        launchDirection: launch.launchDirection || 0
+    };
+    const flight = {
+        ...stockFlight,
+        launchAngle: stockFlight.launchAngle + trajectoryHeight.launchOffset,
+        spinRate: stockFlight.spinRate * trajectoryHeight.spinFactor
+    };
+    // Face and path set the start line and tilt the spin axis (D-plane)
+    if (delivery) {
+        const start = calculateStartConditions({ ...delivery, launchAngle: flight.launchAngle });
+        flight.spinAxis = start.spinAxis;
+        flight.launchDirection = start.startDirection;
+    }
+    // A cold or soft ball comes off the face slower
+    const ballFlight = { ...flight, ballSpeed: flight.ballSpeed * resolved.ballSpeedFactor };
+    // Water on the ball and face strips spin and launches it a little higher
+    const wetBall = calculateWetBallEffect(resolved.ballWetness, flight.spinRate);
+    const wetFlight = {
+        ...ballFlight,
+        launchAngle: flight.launchAngle + wetBall.launchOffset,
+        spinRate: flight.spinRate * wetBall.spinFactor,
+        dragFactor: resolved.dragFactor
+    };
+    const flyWith = (windSpeed, landingHeight = elevationChange) => calculateTrajectory({
+        ...wetFlight,
+        airDensity: resolved.airDensity,
+        wind: toShotFrameWind(windSpeed, resolved.windDirection, bearing),
+        windProfile: resolved.windProfile
+    }, { landingHeight });
+
+    // Add one effect at a time
+    const standard = calculateTrajectory(flight);
+    const inAir = calculateTrajectory({ ...flight, airDensity: resolved.airDensity });
+    const withBall = resolved.ballSpeedFactor !== 1
+        ? calculateTrajectory({ ...ballFlight, airDensity: resolved.airDensity })
+        : inAir;
+    const isWet = resolved.ballWetness > 0 || resolved.dragFactor > 1;
+    const inRain = isWet ? calculateTrajectory({ ...wetFlight, airDensity: resolved.airDensity }) : withBall;
+    const withWind = flyWith(resolved.windSpeed, 0);
+    const trajectory = elevationChange ? flyWith(resolved.windSpeed) : withWind;
+
+    // Rain-soaked turf is softer as well as wetter, so the ball stops where it lands
+    const surface = resolveSurface(
+        typeof resolved.surface === 'string'
+            ? { type: resolved.surface, wetness: resolved.wetness }
+            : { wetness: resolved.wetness, ...resolved.surface }
+    );
+    const ground = calculateGroundRoll(trajectory, {
+        ...surface,
+        firmness: surface.firmness * (1 - resolved.turfSoftening)
+    });
+
+    // A profile's measured carry stands; the model only says how far the conditions move it
+    const isStock = trajectoryHeight.launchOffset === 0 && trajectoryHeight.spinFactor === 1 && !delivery;
+    const carryScale = typeof launch.carry === 'number' && launch.carry > 0
+        ? launch.carry / (isStock ? standard : calculateTrajectory(stockFlight)).carryDistance
+        : 1;
+
+    const target = distance ?? standard.carryDistance * carryScale;
+    const scale = target / standard.carryDistance;
+
+    // Extra carry converts to a shorter plays-like yardage, scaled to the target
+    const breakdown = {
+        standardCarry: standard.carryDistance * carryScale,
+        airDensity: (inAir.carryDistance - standard.carryDistance) * carryScale,
+        ballTemperature: (withBall.carryDistance - inAir.carryDistance) * carryScale,
+        rain: (inRain.carryDistance - withBall.carryDistance) * carryScale,
+        wind: (withWind.carryDistance - inRain.carryDistance) * carryScale,
+        elevation: (trajectory.carryDistance - withWind.carryDistance) * carryScale
+    };
+    const adjustments = {
+        airDensity: (standard.carryDistance - inAir.carryDistance) * scale,
+        ballTemperature: (inAir.carryDistance - withBall.carryDistance) * scale,
+        rain: (withBall.carryDistance - inRain.carryDistance) * scale,
+        wind: (inRain.carryDistance - withWind.carryDistance) * scale,
+        elevation: (withWind.carryDistance - trajectory.carryDistance) * scale
+    };
+    const playsLike = target + adjustments.airDensity + adjustments.ballTemperature + adjustments.rain +
+        adjustments.wind + adjustments.elevation;
+
+    const gust = calculateGustRange(resolved.windSpeed, resolved.windGust, windSpeed =>
+        windSpeed === resolved.windSpeed
+            ? playsLike
+            : target - (flyWith(windSpeed).carryDistance - standard.carryDistance) * scale
+    );
+
+    const wind = resolveWindComponents(resolved.windSpeed, resolved.windDirection, bearing);
+
+    // Where the ball would finish on its start line with no curve and no wind
+    const startLine = inRain.carryDistance * Math.tan(flight.launchDirection * Math.PI / 180);
+
+    return {
+        version: ENGINE_VERSION,
+        club: launch.name,
+        distance: target,
+        playsLike,
+        carry: trajectory.carryDistance * carryScale,
+        total: ground.total + trajectory.carryDistance * (carryScale - 1),
+        lateral: trajectory.lateralDistance,
+        shape: {
+            name: classifyShotShape(flight.spinAxis),
+            startDirection: flight.launchDirection,
+            spinAxis: flight.spinAxis,
+            startLine,
+            curvature: inRain.lateralDistance - startLine,
+            windDrift: withWind.lateralDistance - inRain.lateralDistance
+        },
+        maxHeight: trajectory.maxHeight,
+        landingAngle: trajectory.landingAngle,
+        breakdown,
+        adjustments,
+        gust,
+        conditions: {
+            ...resolved,
+            headwind: wind.headwind,
+            crosswind: wind.crosswind,
+            relativeWindAngle: wind.relativeAngle
+        },
+        trajectory,
+        ground
+    };
+}
+
+/**
+ * Versioned engine namespace
+ */
+export const YardageEngine = {
+    version: ENGINE_VERSION,
+    computeShot,
+    resolveConditions,
+    resolveClubLaunch
+};
+
+export default YardageEngine;
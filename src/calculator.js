@@ -4,93 +4,80 @@ const resultsSection = document.getElementById('results');
 const adjustedDistanceDisplay = document.getElementById('adjusted-distance');
 const clubOption1Display = document.getElementById('club-option-1');
 const clubOption2Display = document.getElementById('club-option-2');
-
-// Load clubs from localStorage
+const teeTimeInput = document.getElementById('tee-time');
+const forecastBtn = document.getElementById('forecast-btn');
+const forecastResults = document.getElementById('forecast-results');
+
+import { computeShot } from './calculations/yardage-engine.js';
+import { recommendClubs } from './calculations/club-selection.js';
+import { getConfiguredWeatherProvider } from './weather/weather-providers.js';
+import { toShotConditions } from './weather/weather-provider.js';
+import { getTeeTimeForecast } from './weather/tee-time-forecast.js';
+import { getActiveConditions } from './weather/conditions-presets.js';
+import { WeatherCache } from './weather/weather-cache.js';
+import { ConditionsTimeline } from './weather/conditions-timeline.js';
+import { ClubProfileStore } from './clubs/club-profile.js';
+import { readBallTemperature } from './utils/ball-inputs.js';
+import { escapeHtml } from './utils/html.js';
+
+const weatherCache = new WeatherCache();
+const conditionsTimeline = new ConditionsTimeline();
+const clubStore = new ClubProfileStore();
+
+// Club profiles from the clubs page, flown with the player's own launch data
 function getClubs() {
-    return JSON.parse(localStorage.getItem('clubs') || '[]');
-}
-
-// Get cached weather data
-function getCachedWeather() {
-    const cachedData = localStorage.getItem('weatherData');
-    if (!cachedData) return null;
-
-    const { data, timestamp } = JSON.parse(cachedData);
-    const cacheAge = Date.now() - timestamp;
-    const cacheTimeout = 30 * 60 * 1000; // 30 minutes
-
-    return cacheAge < cacheTimeout ? data : null;
+    return clubStore.list();
 }
 
-import { calculateWindEffect } from './calculations/wind-calculations.js';
-import { calculateAirDensity } from './calculations/air-density-calculations.js';
-import { calculateAltitudeEffect } from './calculations/core-calculations.js';
-
-// Calculate adjusted distance based on weather conditions
-async function getAdjustedDistance(distance) {
+// Calculate adjusted distance based on weather conditions and elevation change
+async function getAdjustedDistance(distance, elevationChange = 0) {
     try {
-        let weatherData = getCachedWeather();
+        // An active preset stands in for the live weather
+        let conditions = getActiveConditions();
 
-        if (!weatherData) {
-            // Get current weather conditions
+        if (!conditions) {
+            // Get current weather conditions, reusing a recent reading from here
             const position = await new Promise((resolve, reject) => {
                 navigator.geolocation.getCurrentPosition(resolve, reject);
             });
 
             const { latitude, longitude } = position.coords;
-            const apiKey = process.env.TOMORROW_API_KEY;
-            const url = `https://api.tomorrow.io/v4/weather/realtime?location=${latitude},${longitude}&apikey=${apiKey}&units=imperial`;
-
-            const response = await fetch(url);
-            const data = await response.json();
-            weatherData = data.data;
-
-            // Cache the weather data
-            localStorage.setItem('weatherData', JSON.stringify({
-                data: weatherData,
-                timestamp: Date.now()
-            }));
+            ({ conditions } = await weatherCache.getOrFetch(
+                getConfiguredWeatherProvider(),
+                { latitude, longitude },
+                { staleWhileRevalidate: true }
+            ));
+
+            // Carry the recent trend forward to now, so a front moving through shows up mid-round
+            conditionsTimeline.add(conditions);
+            conditions = conditionsTimeline.project() || conditions;
         }
 
-        // Get environmental parameters
-        const temperature = weatherData.values.temperature;
-        const pressure = weatherData.values.pressureSeaLevel || 29.92; // Default to standard pressure if not available
-        const humidity = weatherData.values.humidity || 0;
-        const altitude = weatherData.values.altitude || 0;
+        // Get environmental parameters; the page has no shot bearing, so wind is left out
+        const weather = { ...toShotConditions(conditions), windSpeed: 0, windGust: 0 };
+        weather.ballTemperature = readBallTemperature(weather.temperature);
 
         // Log weather conditions
         console.log('Weather conditions:', {
-            temperature: `${temperature}°F`,
-            pressure: `${pressure} inHg`,
-            humidity: `${humidity}%`,
-            altitude: `${altitude} ft`
-        });
-        
-        // Calculate air density effects
-        const airDensity = calculateAirDensity(temperature, pressure, humidity);
-        
-        // Calculate altitude effects
-        const altitudeEffects = calculateAltitudeEffect(altitude);
-
-        // Log calculations
-        console.log('Environmental effects:', {
-            airDensityMultiplier: airDensity,
-            altitudeMultiplier: altitudeEffects.total
+            source: conditions.source,
+            temperature: `${weather.temperature}°F`,
+            stationPressure: `${weather.pressure.toFixed(2)} inHg`,
+            humidity: `${weather.humidity}%`,
+            altitude: `${weather.altitude} ft`
         });
 
-        // Calculate distance adjustments
-        const airDensityEffect = (airDensity - 1) * distance;
-        const altitudeEffect = (altitudeEffects.total - 1) * distance;
+        const shot = computeShot(weather, { distance, elevationChange });
 
         // Log adjustments
         console.log('Distance adjustments:', {
-            airDensityEffect: `${Math.round(airDensityEffect)} yards (${((airDensity - 1) * 100).toFixed(1)}%)`,
-            altitudeEffect: `${Math.round(altitudeEffect)} yards (${((altitudeEffects.total - 1) * 100).toFixed(1)}%)`,
-            total: `${Math.round(airDensityEffect + altitudeEffect)} yards`
+            engineVersion: shot.version,
+            airDensityEffect: `${Math.round(shot.adjustments.airDensity)} yards`,
+            elevationEffect: `${Math.round(shot.adjustments.elevation)} yards`,
+            total: `${Math.round(shot.playsLike - distance)} yards`
         });
 
         // Calculate final adjusted distance
-        const adjustedDistance = Math.round(distance + airDensityEffect + altitudeEffect);
+        const adjustedDistance = Math.round(shot.playsLike);
 
         // Validate final distance
         if (adjustedDistance < distance * 0.85 || adjustedDistance > distance * 1.15) {
@@ -103,42 +90,37 @@ async function getAdjustedDistance(distance) {
         
         return adjustedDistance;
     } catch (error) {
+        // An unadjusted yardage shown as plays-like would be wrong without saying so
         console.error('Error calculating adjusted distance:', error);
-        return distance; // Return unadjusted distance if calculation fails
+        throw new Error(`Unable to adjust the distance for conditions: ${error.message}`);
     }
 }
 
-// Find the best club options for a given distance
+// Find the best club options for a given plays-like distance
 function findClubOptions(distance) {
     const clubs = getClubs();
     if (clubs.length === 0) {
         return ['No clubs saved', 'Please add clubs first'];
     }
 
-    // Sort clubs by distance
-    clubs.sort((a, b) => b.distance - a.distance);
-
-    // Find clubs that are closest to the target distance
-    let option1 = clubs[0];
-    let option2 = clubs[0];
-
-    for (let i = 0; i < clubs.length; i++) {
-        if (clubs[i].distance < distance) {
-            option1 = clubs[i - 1] || clubs[i];
-            option2 = clubs[i];
-            break;
-        }
+    // The plays-like distance already accounts for conditions, so search in standard air
+    const options = recommendClubs(distance, clubs, {}, { limit: 2 });
+    if (options.length === 0) {
+        return ['No club reaches this distance', 'Check your club distances'];
     }
 
-    return [
-        `${option1.type} (${option1.distance} yards)`,
-        `${option2.type} (${option2.distance} yards)`
-    ];
+    // Eight shots in ten carry between P10 and P90 and land inside the ellipse
+    return options.map(({ label, carry, total, dispersion: { carry: range, ellipse } }) =>
+        `${label} (${Math.round(carry)} carry, ${Math.round(total)} total; ` +
+        `80% carry ${Math.round(range.p10)}-${Math.round(range.p90)}, ` +
+        `90% land in ${Math.round(ellipse.semiMajor * 2)} x ${Math.round(ellipse.semiMinor * 2)} yds)`
+    );
 }
 
 // Calculate shot
 calculateBtn.addEventListener('click', async () => {
     const distance = parseInt(document.getElementById('shot-distance').value);
+    const elevationChange = parseFloat(document.getElementById('elevation-change')?.value) || 0;
     
     if (!distance) {
         alert('Please enter a valid distance');
@@ -151,10 +133,10 @@ calculateBtn.addEventListener('click', async () => {
 
     try {
         // Get adjusted distance based on conditions
-        const adjustedDistance = await getAdjustedDistance(distance);
+        const adjustedDistance = await getAdjustedDistance(distance, elevationChange);
         
         // Find club options
-        const [club1, club2] = findClubOptions(adjustedDistance);
+        const [club1, club2 = '--'] = findClubOptions(adjustedDistance);
 
         // Display results
         resultsSection.style.display = 'block';
@@ -163,10 +145,101 @@ calculateBtn.addEventListener('click', async () => {
         clubOption2Display.textContent = club2;
     } catch (error) {
         console.error('Error:', error);
-        alert('Error calculating distance. Please try again.');
+        resultsSection.style.display = 'none';
+        alert(error.message);
     } finally {
         // Reset button state
         calculateBtn.disabled = false;
         calculateBtn.innerHTML = 'Calculate';
     }
 });
+
+// Render the hour-by-hour yardage cards for a round
+function renderRoundForecast(forecast) {
+    const directions = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+    const windLabel = degrees => directions[Math.round(degrees / 45) % 8];
+
+    forecastResults.innerHTML = forecast.hours.map(({ time, conditions, card }) => {
+        const rows = card.clubs.length
+            ? card.clubs.map(entry => `
+                <div class="flex justify-between">
+                    <span class="text-gray-300">${escapeHtml(entry.club)}</span>
+                    <span class="text-white">${Math.round(entry.carry)} carry</span>
+                </div>`)
+            : card.distances.map(entry => `
+                <div class="flex justify-between">
+                    <span class="text-gray-300">${entry.distance} yards</span>
+                    <span class="text-white">plays ${Math.round(entry.playsLike)}</span>
+                </div>`);
+
+        return `
+            <div class="bg-gray-700/50 p-4 rounded-lg">
+                <div class="flex justify-between text-sm text-gray-400 mb-2">
+                    <span>${new Date(time).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}</span>
+                    <span>${Math.round(conditions.temperature)}°F •
+                        ${Math.round(conditions.windSpeed)}-${Math.round(conditions.windGust)} mph ${windLabel(conditions.windDirection)}</span>
+                </div>
+                ${rows.join('')}
+            </div>`;
+    }).join('');
+    forecastResults.classList.remove('hidden');
+}
+
+// Build the round's yardage cards from the forecast for the chosen tee time
+forecastBtn?.addEventListener('click', async () => {
+    const teeTime = new Date(teeTimeInput.value);
+    if (isNaN(teeTime.getTime())) {
+        alert('Please choose a tee time');
+        return;
+    }
+
+    forecastBtn.disabled = true;
+    forecastBtn.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Building...';
+
+    try {
+        const position = await new Promise((resolve, reject) => {
+            navigator.geolocation.getCurrentPosition(resolve, reject);
+        });
+        const { latitude, longitude } = position.coords;
+
+        const forecast = await getTeeTimeForecast(
+            getConfiguredWeatherProvider(),
+            { latitude, longitude },
+            teeTime,
+            { clubs: getClubs() }
+        );
+
+        // Keep the cards so they are still available on the course without a connection
+        localStorage.setItem('roundForecast', JSON.stringify(forecast));
+        renderRoundForecast(forecast);
+    } catch (error) {
+        console.error('Error building round forecast:', error);
+        alert(`Unable to build the round forecast: ${error.message}`);
+    } finally {
+        forecastBtn.disabled = false;
+        forecastBtn.innerHTML = 'Build Yardage Cards';
+    }
+});
+
+// Saved cards until the round is over; cards that are over or cannot be read are removed
+function readSavedForecast() {
+    try {
+        const forecast = JSON.parse(localStorage.getItem('roundForecast') || 'null');
+        if (!forecast) {
+            return null;
+        }
+        const lastHour = forecast.hours[forecast.hours.length - 1];
+        if (Date.parse(lastHour.time) > Date.now()) {
+            return forecast;
+        }
+    } catch (error) {
+        console.error('Error reading the saved round forecast:', error);
+    }
+    localStorage.removeItem('roundForecast');
+    return null;
+}
+
+const savedForecast = forecastResults ? readSavedForecast() : null;
+if (savedForecast) {
+    renderRoundForecast(savedForecast);
+}
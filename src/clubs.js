@@ -1,14 +1,58 @@
 // Club management functionality
+import { ClubProfileStore } from './clubs/club-profile.js';
+import { importLaunchMonitorSession } from './clubs/launch-monitor-import.js';
+import { normalizeSession, findSessionConditions, mergeSessionConditions } from './clubs/session-normalization.js';
+import { ConditionsTimeline } from './weather/conditions-timeline.js';
+import { generateBag } from './clubs/bag-generator.js';
+import { analyzeBagGapping } from './clubs/bag-gapping.js';
+import { toShotConditions } from './weather/weather-provider.js';
+import { escapeHtml } from './utils/html.js';
+
 const clubForm = document.getElementById('club-form');
 const clubList = document.getElementById('club-list');
+const clubType = document.getElementById('club-type');
+const gappingResults = document.getElementById('gapping-results');
+const importForm = document.getElementById('import-form');
+const importFile = document.getElementById('import-file');
+const importFormat = document.getElementById('import-format');
+const importResults = document.getElementById('import-results');
+const importTime = document.getElementById('import-time');
+const bagForm = document.getElementById('bag-form');
+const bagDriverSpeed = document.getElementById('bag-driver-speed');
+const bagHandicap = document.getElementById('bag-handicap');
+const bagKnownClub = document.getElementById('bag-known-club');
+const bagKnownCarry = document.getElementById('bag-known-carry');
+
+// Session conditions; empty inputs are left to the defaults
+const sessionFields = {
+    temperature: document.getElementById('import-temperature'),
+    humidity: document.getElementById('import-humidity'),
+    altitude: document.getElementById('import-altitude'),
+    pressure: document.getElementById('import-pressure')
+};
+
+// Launch data inputs and how the form shows each saved value
+const fields = {
+    carry: { input: document.getElementById('club-distance'), digits: 0 },
+    loft: { input: document.getElementById('club-loft'), digits: 1 },
+    ballSpeed: { input: document.getElementById('club-ball-speed'), digits: 1 },
+    launchAngle: { input: document.getElementById('club-launch-angle'), digits: 1 },
+    spinRate: { input: document.getElementById('club-spin-rate'), digits: 0 }
+};
+
+const store = new ClubProfileStore();
+const conditionsTimeline = new ConditionsTimeline();
+
+// Clubs saved before profiles are converted on this first read
+let clubs = store.list();
+let editingId = null;
 
-// Load clubs from localStorage
-let clubs = JSON.parse(localStorage.getItem('clubs') || '[]');
+const round = (value, digits) => Number(value.toFixed(digits));
 
 // Render clubs
 function renderClubs() {
     clubList.innerHTML = '';
-    clubs.sort((a, b) => b.distance - a.distance).forEach((club, index) => {
+    clubs.forEach(club => {
         const clubElement = document.createElement('div');
         clubElement.className = 'flex items-center justify-between bg-gray-700/50 p-4 rounded-lg';
         clubElement.innerHTML = `
@@ -17,40 +61,219 @@ function renderClubs() {
                     <i class="fas fa-golf-ball text-green-400"></i>
                 </div>
                 <div>
-                    <div class="text-white font-semibold">${club.type}</div>
-                    <div class="text-gray-400 text-sm">${club.distance} yards</div>
+                    <div class="text-white font-semibold">${escapeHtml(club.name)}${club.loft ? ` · ${club.loft}°` : ''}</div>
+                    <div class="text-gray-400 text-sm">${Math.round(club.carry)} carry · ${Math.round(club.total)} total yards</div>
+                    <div class="text-gray-500 text-xs">
+                        ${club.ballSpeed.toFixed(1)} mph · ${club.launchAngle.toFixed(1)}° launch ·
+                        ${Math.round(club.spinRate)} rpm · ${Math.round(club.apexHeight)} ft apex ·
+                        ${club.landingAngle.toFixed(0)}° landing
+                    </div>
                 </div>
             </div>
-            <button onclick="deleteClub(${index})" class="text-red-400 hover:text-red-300">
-                <i class="fas fa-trash"></i>
-            </button>
+            <div class="flex gap-3">
+                <button onclick="editClub('${club.id}')" class="text-gray-400 hover:text-white">
+                    <i class="fas fa-pen"></i>
+                </button>
+                <button onclick="deleteClub('${club.id}')" class="text-red-400 hover:text-red-300">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
         `;
         clubList.appendChild(clubElement);
     });
+    renderGapping();
 }
 
-// Add new club
+// Gaps through the bag at standard conditions and, with a recent reading, in the current air
+function renderGapping() {
+    if (!gappingResults) return;
+    if (clubs.length < 2) {
+        gappingResults.innerHTML = '<div class="text-gray-400">Add at least two clubs to see the gaps</div>';
+        return;
+    }
+
+    const reading = conditionsTimeline.project();
+    let analysis;
+    try {
+        analysis = analyzeBagGapping(clubs, reading ? toShotConditions(reading) : null);
+    } catch (error) {
+        console.error('Error analysing gaps:', error);
+        gappingResults.innerHTML = '';
+        return;
+    }
+
+    const statusClass = { overlap: 'text-yellow-400', hole: 'text-red-400', ok: 'text-gray-400' };
+    gappingResults.innerHTML = `
+        ${analysis.standard.gaps.map(gap => {
+            const now = analysis.current?.gaps.find(entry => entry.longer === gap.longer && entry.shorter === gap.shorter);
+            return `
+                <div class="flex justify-between">
+                    <span>${escapeHtml(gap.longer)} → ${escapeHtml(gap.shorter)}</span>
+                    <span>
+                        <span class="${statusClass[gap.status]}">${Math.round(gap.gap)} yds${gap.status === 'ok' ? '' : ` ${gap.status}`}</span>
+                        ${now ? `· <span class="${statusClass[now.status]}">${Math.round(now.gap)} today</span>` : ''}
+                    </span>
+                </div>`;
+        }).join('')}
+        ${analysis.suggestions.map(suggestion => `
+            <div class="text-green-400"><i class="fas fa-wrench mr-2"></i>${escapeHtml(suggestion.message)}</div>`).join('')}
+    `;
+}
+
+// Values typed into the form, leaving out empty fields
+function readForm() {
+    const values = {};
+    Object.entries(fields).forEach(([field, { input }]) => {
+        const value = parseFloat(input.value);
+        if (!isNaN(value)) {
+            values[field] = value;
+        }
+    });
+    return values;
+}
+
+// Save a new club, or only the values that were edited on an existing one
 clubForm.addEventListener('submit', (e) => {
     e.preventDefault();
-    const type = document.getElementById('club-type').value;
-    const distance = parseInt(document.getElementById('club-distance').value);
+    const name = clubType.options[clubType.selectedIndex].text;
+    const values = readForm();
 
-    if (!type || !distance) {
-        alert('Please fill in all fields');
+    try {
+        const existing = store.get(editingId ?? name);
+        if (existing) {
+            const changes = Object.fromEntries(Object.entries(values).filter(([field, value]) =>
+                existing[field] === null || round(existing[field], fields[field].digits) !== value
+            ));
+            if (existing.name !== name) {
+                changes.name = name;
+            }
+            store.update(existing.id, changes);
+        } else {
+            store.save({ name, ...values });
+        }
+    } catch (error) {
+        console.error('Error saving club:', error);
+        alert(error.message);
         return;
     }
 
-    clubs.push({ type, distance });
-    localStorage.setItem('clubs', JSON.stringify(clubs));
+    editingId = null;
+    clubs = store.list();
     renderClubs();
     clubForm.reset();
 });
 
+// Build a full bag from a driver speed or one known carry, replacing the saved clubs
+bagForm?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const driverSpeed = parseFloat(bagDriverSpeed.value);
+    const knownCarry = parseFloat(bagKnownCarry.value);
+    if (isNaN(driverSpeed) && isNaN(knownCarry)) {
+        alert('Enter your driver swing speed or the carry of one club');
+        return;
+    }
+    if (clubs.length && !confirm('Replace your saved clubs with the generated bag?')) {
+        return;
+    }
+
+    try {
+        store.write(generateBag({
+            driverSpeed: isNaN(driverSpeed) ? undefined : driverSpeed,
+            knownClub: isNaN(knownCarry) ? undefined : { name: bagKnownClub.value, carry: knownCarry },
+            handicap: bagHandicap.value
+        }));
+    } catch (error) {
+        console.error('Error building bag:', error);
+        alert(error.message);
+        return;
+    }
+
+    clubs = store.list();
+    renderClubs();
+    bagForm.reset();
+});
+
+// Conditions typed in for the session over the weather reading recorded nearest its time
+function readSessionConditions() {
+    const entered = {};
+    Object.entries(sessionFields).forEach(([field, input]) => {
+        const value = parseFloat(input.value);
+        if (!isNaN(value)) {
+            entered[field] = value;
+        }
+    });
+    const time = importTime.value ? new Date(importTime.value) : new Date();
+    return mergeSessionConditions(entered, findSessionConditions(conditionsTimeline.history(), time));
+}
+
+// Import a launch monitor session, replacing each club's numbers with the session's at standard conditions
+importForm?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const file = importFile.files[0];
+    if (!file) {
+        alert('Choose a launch monitor export to import');
+        return;
+    }
+    const conditions = readSessionConditions();
+    if (!conditions) {
+        alert('No weather reading was recorded near the session time; enter at least the session temperature');
+        return;
+    }
+
+    try {
+        const imported = importLaunchMonitorSession(await file.text(), { format: importFormat.value || undefined });
+        const session = normalizeSession(imported, conditions);
+        session.clubs.forEach(({ profile }) => {
+            // Exports have no static loft, so keep the one already saved
+            const existing = store.get(profile.id);
+            store.save({ ...profile, loft: existing?.loft ?? profile.loft });
+        });
+
+        const { temperature, humidity, altitude, airDensity, source } = session.conditions;
+        importResults.innerHTML = `
+            <div class="text-gray-400">${escapeHtml(session.format)}: ${session.shots.length} shots</div>
+            <div class="text-gray-400">
+                ${Math.round(temperature)}°F · ${Math.round(humidity)}% · ${Math.round(altitude)} ft
+                (${escapeHtml(source)}) · air density ${airDensity.toFixed(3)}
+            </div>
+            ${session.clubs.map(club => `
+                <div>
+                    <span class="text-white">${escapeHtml(club.name)}</span> ·
+                    ${club.shots} shots${club.outliers ? ` (${club.outliers} mis-hits left out)` : ''} ·
+                    ${Math.round(club.profile.carry)} carry at standard conditions
+                    (${Math.round(club.profile.session.carry)} in the session) ±
+                    ${club.profile.dispersion ? club.profile.dispersion.carry.toFixed(1) : '0'} yards
+                </div>`).join('')}
+        `;
+        clubs = store.list();
+        renderClubs();
+        importForm.reset();
+    } catch (error) {
+        console.error('Error importing session:', error);
+        alert(`Unable to import the session: ${error.message}`);
+    }
+});
+
+// Load a club into the form for editing
+window.editClub = (id) => {
+    const club = clubs.find(entry => entry.id === id);
+    if (!club) return;
+
+    editingId = id;
+    const option = [...clubType.options].find(entry => entry.text === club.name || entry.value === club.name);
+    if (option) {
+        clubType.value = option.value;
+    }
+    Object.entries(fields).forEach(([field, { input, digits }]) => {
+        input.value = club[field] === null ? '' : round(club[field], digits);
+    });
+};
+
 // Delete club
-window.deleteClub = (index) => {
+window.deleteClub = (id) => {
     if (confirm('Are you sure you want to delete this club?')) {
-        clubs.splice(index, 1);
-        localStorage.setItem('clubs', JSON.stringify(clubs));
+        store.remove(id);
+        clubs = store.list();
         renderClubs();
     }
 };
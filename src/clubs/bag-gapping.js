@@ -0,0 +1,218 @@
+/**
+ * Bag gapping module
+ *
+ * Looks at the bag as a whole: the carry gap between each pair of
+ * neighbouring clubs, at standard conditions and in the current air. Clubs
+ * whose carries run into each other overlap; gaps much wider than the
+ * club's share of the bag leave yardages no full swing covers. Suggestions
+ * for a loft change or an extra club are made from the standard gaps, since
+ * that is what a fitting works to.
+ *
+ * @module bag-gapping
+ */
+
+import { computeShot } from '../calculations/yardage-engine.js';
+
+/**
+ * Thresholds for judging a gap
+ */
+export const GAPPING_RULES = {
+    targetGapRatio: 0.07, // ideal gap as a share of the longer club's carry
+    minTargetGap: 8, // yards; the ideal gap never closes below this
+    overlapRatio: 0.5, // gaps under this share of the target overlap
+    holeRatio: 1.6, // gaps over this multiple of the target are holes
+    loftYardsRatio: 0.017, // carry change per degree of loft, as a share of carry
+    maxLoftChange: 2, // degrees a fitter would bend or adjust one club
+    maxClubs: 14
+};
+
+const WEDGE_KEYS = ['pitching_wedge', 'gap_wedge', 'sand_wedge', 'lob_wedge'];
+
+const roundHalf = value => Math.ceil(value * 2) / 2;
+
+/**
+ * Status of the gap between two neighbouring clubs
+ * @param {number} gap - Carry gap in yards
+ * @param {number} spread - Standard deviation of the carry difference in yards, 0 when not measured
+ * @param {number} target - Ideal gap in yards
+ * @returns {string} 'overlap', 'hole' or 'ok'
+ */
+function gapStatus(gap, spread, target) {
+    if (gap < Math.max(target * GAPPING_RULES.overlapRatio, spread)) {
+        return 'overlap';
+    }
+    return gap > target * GAPPING_RULES.holeRatio ? 'hole' : 'ok';
+}
+
+/**
+ * Gaps between neighbouring clubs
+ * @param {Array<Object>} clubs - Clubs with name, carry and dispersion
+ * @returns {Array<Object>} Gaps, longest clubs first
+ */
+function findGaps(clubs) {
+    const sorted = [...clubs].sort((a, b) => b.carry - a.carry);
+    return sorted.slice(1).map((shorter, i) => {
+        const longer = sorted[i];
+        const gap = longer.carry - shorter.carry;
+        // Dispersion only counts where it was measured
+        const spread = Math.hypot(longer.dispersion?.carry ?? 0, shorter.dispersion?.carry ?? 0);
+        const target = Math.max(GAPPING_RULES.minTargetGap, longer.carry * GAPPING_RULES.targetGapRatio);
+        return {
+            longer: longer.name,
+            shorter: shorter.name,
+            gap,
+            spread,
+            target,
+            status: gapStatus(gap, spread, target)
+        };
+    });
+}
+
+/**
+ * Each club's carry in the current air, ball and rain
+ *
+ * The engine keeps a profile's measured carry and moves it by the change
+ * from standard conditions. Wind changes with every hole, so it is left out.
+ *
+ * @param {Array<Object>} clubs - Club profiles
+ * @param {Object} conditions - Conditions as for computeShot
+ * @returns {Array<Object>} Clubs with carry in the current conditions
+ */
+function carriesIn(clubs, conditions) {
+    const still = { ...conditions, windSpeed: 0, windGust: 0 };
+    return clubs.map(club => ({ ...club, carry: computeShot(still, {}, club).carry }));
+}
+
+/**
+ * Loft changes that move a gap by a number of degrees' worth of carry
+ *
+ * One club takes the whole change when it can; otherwise it is split
+ * between the two, each within what a club can be bent or adjusted.
+ *
+ * @param {number} degrees - Total change in degrees, positive to open the gap
+ * @param {Object} longer - Longer club profile
+ * @param {Object} shorter - Shorter club profile
+ * @returns {Array<Object>|null} {club, loftChange, loft} for each club, or null when beyond the limit
+ */
+function loftChanges(degrees, longer, shorter) {
+    const size = Math.abs(degrees);
+    if (size > GAPPING_RULES.maxLoftChange * 2) {
+        return null;
+    }
+    const change = (club, loftChange) => ({
+        club: club.name,
+        loftChange,
+        loft: club.loft === null ? null : club.loft + loftChange
+    });
+    if (size <= GAPPING_RULES.maxLoftChange) {
+        return [change(shorter, degrees)];
+    }
+    const sign = Math.sign(degrees);
+    const half = roundHalf(size / 2);
+    return [change(longer, -sign * half), change(shorter, sign * (size - half))];
+}
+
+/**
+ * Wording of a set of loft changes
+ * @param {Array<Object>} changes - Loft changes from loftChanges
+ * @returns {string} e.g. "Weaken the 9 Iron 2°"
+ */
+function describeLoftChanges(changes) {
+    const text = changes
+        .map(({ club, loftChange }) => `${loftChange > 0 ? 'weaken' : 'strengthen'} the ${club} ${Math.abs(loftChange)}°`)
+        .join(' and ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Suggestion for an overlap or a hole at standard conditions
+ * @param {Object} gap - Gap from findGaps
+ * @param {Object} longer - Longer club profile
+ * @param {Object} shorter - Shorter club profile
+ * @param {number} bagSize - Clubs in the bag
+ * @returns {Object} {type, changes, loft, carry, message}
+ */
+function suggestFix(gap, longer, shorter, bagSize) {
+    const yardsPerDegree = shorter.carry * GAPPING_RULES.loftYardsRatio;
+
+    if (gap.status === 'overlap') {
+        const changes = loftChanges(roundHalf((gap.target - gap.gap) / yardsPerDegree), longer, shorter);
+        if (changes) {
+            return {
+                type: 'loft',
+                changes,
+                loft: null,
+                carry: null,
+                message: `${describeLoftChanges(changes)} to open the gap between the ${longer.name} and ${shorter.name}`
+            };
+        }
+        return {
+            type: 'remove',
+            changes: [],
+            loft: null,
+            carry: null,
+            message: `The ${longer.name} and ${shorter.name} carry within ${Math.round(gap.gap)} yards; ` +
+                'one of them could make room for a club elsewhere'
+        };
+    }
+
+    const isWedgeHole = WEDGE_KEYS.includes(longer.key);
+    const changes = isWedgeHole ? null : loftChanges(-roundHalf((gap.gap - gap.target) / yardsPerDegree), longer, shorter);
+    if (changes) {
+        return {
+            type: 'loft',
+            changes,
+            loft: null,
+            carry: null,
+            message: `${describeLoftChanges(changes)} to close the gap between the ${longer.name} and ${shorter.name}`
+        };
+    }
+
+    // A club halfway between the two, wedges in the 2° steps they are sold in
+    const middle = longer.loft === null || shorter.loft === null ? null : (longer.loft + shorter.loft) / 2;
+    const loft = middle === null ? null : (isWedgeHole ? Math.round(middle / 2) * 2 : Math.round(middle));
+    const carry = Math.round((longer.carry + shorter.carry) / 2);
+    const name = isWedgeHole ? 'wedge' : 'club';
+    const full = bagSize >= GAPPING_RULES.maxClubs ? `; the bag already has ${GAPPING_RULES.maxClubs} clubs` : '';
+    return {
+        type: isWedgeHole ? 'wedge' : 'club',
+        changes: [],
+        loft,
+        carry,
+        message: `Add a ${loft === null ? name : `${loft}° ${name}`} carrying about ${carry} yards ` +
+            `between the ${longer.name} and ${shorter.name}${full}`
+    };
+}
+
+/**
+ * Analyse the gaps through a bag
+ * @param {Array<Object>} clubs - Club profiles, with dispersion where measured
+ * @param {Object|null} [conditions] - Current conditions as for computeShot; no current analysis if omitted
+ * @returns {Object} Standard and current gaps with their overlaps and holes, and suggestions
+ */
+export function analyzeBagGapping(clubs, conditions = null) {
+    if (!Array.isArray(clubs)) {
+        throw new Error('Clubs must be an array of club profiles');
+    }
+    if (clubs.length < 2) {
+        throw new Error('Gapping needs at least two clubs');
+    }
+
+    const summarize = gaps => ({
+        gaps,
+        overlaps: gaps.filter(gap => gap.status === 'overlap'),
+        holes: gaps.filter(gap => gap.status === 'hole')
+    });
+
+    const sorted = [...clubs].sort((a, b) => b.carry - a.carry);
+    const standard = summarize(findGaps(sorted));
+    const suggestions = standard.gaps
+        .map((gap, i) => (gap.status === 'ok' ? null : suggestFix(gap, sorted[i], sorted[i + 1], sorted.length)))
+        .filter(Boolean);
+
+    return {
+        standard,
+        current: conditions ? summarize(findGaps(carriesIn(sorted, conditions))) : null,
+        suggestions
+    };
+}
@@ -0,0 +1,197 @@
+/**
+ * Bag generator module
+ *
+ * PGA_CLUB_DATA holds tour averages, which fly a good 40 yards past most
+ * members. This builds a plausible bag for an amateur from their driver
+ * swing speed, or from the carry of any one club, and their handicap band,
+ * so new players start from sensible launch data before they have been on a
+ * launch monitor.
+ *
+ * Every club's speed scales with the driver speed, strike quality takes ball
+ * speed off in proportion to the handicap, and higher handicaps deliver more
+ * dynamic loft: the ball launches higher and, for the same speed, spins more.
+ *
+ * @module bag-generator
+ */
+
+import { createClubProfile } from './club-profile.js';
+import { findClubKey } from '../calculations/club-selection.js';
+import { PGA_CLUB_DATA } from '../../constants/club-data.js';
+
+/**
+ * Tour average driver club speed in mph behind PGA_CLUB_DATA (2024 TrackMan)
+ */
+export const TOUR_DRIVER_SPEED = 114;
+
+// Driver club speeds a generated bag is plausible for, in mph
+const MIN_DRIVER_SPEED = 60;
+const MAX_DRIVER_SPEED = 135;
+
+/**
+ * Handicap bands with their strike quality and the clubs they usually carry
+ */
+export const HANDICAP_BANDS = {
+    scratch: {
+        label: 'Scratch (5 and under)',
+        maxHandicap: 5,
+        strike: 0.99, // share of tour ball speed for the same club speed
+        launchOffset: 0.5, // degrees above the tour launch
+        spinFactor: 1.0, // spin relative to tour spin at the same speed
+        clubs: [
+            'driver', 'threewood', 'fivewood', 'hybrid', 'four_iron', 'five_iron', 'six_iron',
+            'seven_iron', 'eight_iron', 'nine_iron', 'pitching_wedge', 'gap_wedge', 'sand_wedge', 'lob_wedge'
+        ]
+    },
+    low: {
+        label: 'Low (6-12)',
+        maxHandicap: 12,
+        strike: 0.97,
+        launchOffset: 1.5,
+        spinFactor: 1.05,
+        clubs: [
+            'driver', 'threewood', 'fivewood', 'hybrid', 'five_iron', 'six_iron', 'seven_iron',
+            'eight_iron', 'nine_iron', 'pitching_wedge', 'gap_wedge', 'sand_wedge', 'lob_wedge'
+        ]
+    },
+    mid: {
+        label: 'Mid (13-20)',
+        maxHandicap: 20,
+        strike: 0.95,
+        launchOffset: 2.5,
+        spinFactor: 1.1,
+        clubs: [
+            'driver', 'threewood', 'fivewood', 'hybrid', 'six_iron', 'seven_iron', 'eight_iron',
+            'nine_iron', 'pitching_wedge', 'gap_wedge', 'sand_wedge', 'lob_wedge'
+        ]
+    },
+    high: {
+        label: 'High (21 and over)',
+        maxHandicap: Infinity,
+        strike: 0.92,
+        launchOffset: 3.5,
+        spinFactor: 1.15,
+        clubs: [
+            'driver', 'fivewood', 'hybrid', 'six_iron', 'seven_iron', 'eight_iron',
+            'nine_iron', 'pitching_wedge', 'gap_wedge', 'sand_wedge'
+        ]
+    }
+};
+
+/**
+ * Handicap band for a band name or a handicap
+ * @param {string|number} handicap - HANDICAP_BANDS key, or a handicap index (plus handicaps negative)
+ * @returns {Object} Handicap band
+ */
+export function findHandicapBand(handicap) {
+    if (typeof handicap === 'string' && HANDICAP_BANDS[handicap]) {
+        return HANDICAP_BANDS[handicap];
+    }
+    if (typeof handicap !== 'number' || isNaN(handicap)) {
+        throw new Error(`Handicap must be a number or one of: ${Object.keys(HANDICAP_BANDS).join(', ')}`);
+    }
+    return Object.values(HANDICAP_BANDS).find(band => handicap <= band.maxHandicap);
+}
+
+function validateDriverSpeed(driverSpeed) {
+    if (typeof driverSpeed !== 'number' || isNaN(driverSpeed) ||
+        driverSpeed < MIN_DRIVER_SPEED || driverSpeed > MAX_DRIVER_SPEED) {
+        throw new Error(`Driver swing speed must be between ${MIN_DRIVER_SPEED} and ${MAX_DRIVER_SPEED} mph`);
+    }
+}
+
+function resolveClubKey(club) {
+    const key = PGA_CLUB_DATA[club] ? club : findClubKey(club);
+    if (!key) {
+        throw new Error(`Unknown club: ${club}`);
+    }
+    return key;
+}
+
+/**
+ * Launch data for one club of an amateur bag
+ * @param {string} club - PGA_CLUB_DATA key or club name
+ * @param {number} driverSpeed - Driver club speed in mph
+ * @param {string|number} [handicap='mid'] - Handicap band or handicap, as for findHandicapBand
+ * @returns {Object} {ballSpeed, launchAngle, spinRate}
+ */
+export function generateClubLaunch(club, driverSpeed, handicap = 'mid') {
+    validateDriverSpeed(driverSpeed);
+    const band = findHandicapBand(handicap);
+    const tour = PGA_CLUB_DATA[resolveClubKey(club)];
+    const speedRatio = driverSpeed / TOUR_DRIVER_SPEED;
+
+    return {
+        ballSpeed: tour.ballSpeed * speedRatio * band.strike,
+        launchAngle: tour.launchAngle + band.launchOffset,
+        spinRate: tour.spinRate * speedRatio * band.spinFactor
+    };
+}
+
+/**
+ * Driver club speed that carries one known club its distance
+ *
+ * Carry rises with speed, so the speed is found by bisection.
+ *
+ * @param {Object} known - {name, carry} of a club the player knows
+ * @param {string|number} [handicap='mid'] - Handicap band or handicap
+ * @returns {number} Driver club speed in mph
+ */
+export function findDriverSpeed(known, handicap = 'mid') {
+    if (!known || typeof known !== 'object') {
+        throw new Error('Known club must be a valid object');
+    }
+    const carry = Number(known.carry ?? known.distance);
+    if (!carry || carry <= 0) {
+        throw new Error('Known carry must be a positive number');
+    }
+
+    const key = resolveClubKey(known.name);
+    const carryAt = speed => createClubProfile({
+        name: PGA_CLUB_DATA[key].name,
+        ...generateClubLaunch(key, speed, handicap)
+    }).carry;
+
+    let low = MIN_DRIVER_SPEED;
+    let high = MAX_DRIVER_SPEED;
+    if (carry < carryAt(low) || carry > carryAt(high)) {
+        throw new Error(`Known carry is out of range for a ${PGA_CLUB_DATA[key].name}`);
+    }
+    for (let i = 0; i < 20 && high - low > 0.05; i++) {
+        const mid = (low + high) / 2;
+        if (carryAt(mid) < carry) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+    return (low + high) / 2;
+}
+
+/**
+ * Build a full bag of club profiles for an amateur
+ * @param {Object} options - Player
+ * @param {number} [options.driverSpeed] - Driver club speed in mph
+ * @param {Object} [options.knownClub] - {name, carry} of any one club, when the driver speed is not known
+ * @param {string|number} [options.handicap='mid'] - Handicap band or handicap
+ * @param {Array<string>} [options.clubs] - Clubs to build, as keys or names; the band's usual bag by default
+ * @returns {Array<Object>} Club profiles, longest carry first
+ */
+export function generateBag(options = {}) {
+    const { knownClub, handicap = 'mid' } = options;
+    const band = findHandicapBand(handicap);
+    const driverSpeed = options.driverSpeed ?? (knownClub ? findDriverSpeed(knownClub, handicap) : null);
+    if (driverSpeed === null) {
+        throw new Error('Driver swing speed or a known club carry is required');
+    }
+
+    return (options.clubs ?? band.clubs)
+        .map(club => {
+            const key = resolveClubKey(club);
+            return createClubProfile({
+                name: PGA_CLUB_DATA[key].name,
+                key,
+                ...generateClubLaunch(key, driverSpeed, handicap)
+            });
+        })
+        .sort((a, b) => b.carry - a.carry);
+}
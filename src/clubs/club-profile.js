@@ -0,0 +1,286 @@
+/**
+ * Club profile module
+ *
+ * A club profile is one club in the player's bag with its launch data, so the
+ * engine flies the player's own numbers rather than tour averages. Whatever
+ * the player has not measured comes from the matching PGA_CLUB_DATA entry,
+ * scaled to their carry, and the flight model fills in apex, landing angle
+ * and total.
+ *
+ * @module club-profile
+ */
+
+import { calculateTrajectory } from '../ball-physics.js';
+import { calculateGroundRoll } from '../calculations/ground-calculations.js';
+import { calibrateClubLaunch, findClubKey } from '../calculations/club-selection.js';
+import { PGA_CLUB_DATA, CLUB_LOFTS } from '../../constants/club-data.js';
+import { toNameId } from '../utils/ids.js';
+
+const CLUBS_KEY = 'clubs';
+// GolfApp on the home page kept its own bag under this key before profiles
+const LEGACY_CLUBS_KEY = 'golfClubs';
+
+const LAUNCH_FIELDS = ['ballSpeed', 'launchAngle', 'spinRate'];
+const FLIGHT_FIELDS = ['carry', 'distance', 'total', 'apexHeight', 'landingAngle'];
+
+const isNumber = value => typeof value === 'number' && !isNaN(value);
+const optionalNumber = value => (value === null || value === undefined || value === '' ? null : Number(value));
+
+function validatePositive(value, name) {
+    if (value !== null && (!isNumber(value) || value <= 0)) {
+        throw new Error(`${name} must be a positive number`);
+    }
+}
+
+/**
+ * Profile id from the club name, so saving the same club replaces it
+ *
+ * A known club takes the id of its PGA_CLUB_DATA name, so "PW", "pw" and
+ * "Pitching Wedge" are one club. Hybrids share one entry there whatever
+ * their number, so they keep their own name.
+ *
+ * @param {string} name - Club name or id
+ * @returns {string} Id
+ */
+export function toClubId(name) {
+    const key = findClubKey(name);
+    return toNameId(key && key !== 'hybrid' ? PGA_CLUB_DATA[key].name : name, 'club');
+}
+
+/**
+ * Dispersion as standard deviations in yards
+ * @param {Object|null} dispersion - {carry, lateral}
+ * @returns {Object|null} Dispersion, or null when not measured
+ */
+function resolveDispersion(dispersion) {
+    if (!dispersion) {
+        return null;
+    }
+    const carry = optionalNumber(dispersion.carry) ?? 0;
+    const lateral = optionalNumber(dispersion.lateral) ?? 0;
+    if (!isNumber(carry) || carry < 0 || !isNumber(lateral) || lateral < 0) {
+        throw new Error('Dispersion must be non-negative standard deviations in yards');
+    }
+    return { carry, lateral };
+}
+
+/**
+ * Build a club profile, filling in whatever was not measured
+ *
+ * Launch data given in full is flown as it is. Otherwise the matching tour
+ * profile is scaled to the carry (or used as it is without one), and any
+ * launch values that were given replace the scaled ones.
+ *
+ * @param {Object} entry - Club as entered, imported or saved
+ * @param {string} entry.name - Club name, e.g. "7 Iron"; `type` is accepted for older bag entries
+ * @param {number} [entry.carry] - Stock carry in yards; `distance` is accepted for older bag entries
+ * @param {number} [entry.total] - Carry plus roll in yards
+ * @param {number} [entry.loft] - Loft in degrees
+ * @param {number} [entry.ballSpeed] - Ball speed in mph
+ * @param {number} [entry.launchAngle] - Launch angle in degrees
+ * @param {number} [entry.spinRate] - Spin rate in RPM
+ * @param {number} [entry.apexHeight] - Apex in feet
+ * @param {number} [entry.landingAngle] - Landing angle in degrees
+ * @param {Object} [entry.dispersion] - Standard deviations in yards: {carry, lateral}
+ * @param {Object} [entry.session] - Range session the numbers were normalized from; see session-normalization
+ * @returns {Object} Club profile; `distance` repeats the carry for bag consumers
+ */
+export function createClubProfile(entry) {
+    if (!entry || typeof entry !== 'object') {
+        throw new Error('Club must be a valid object');
+    }
+    const name = String(entry.name || entry.type || '').trim();
+    if (!name) {
+        throw new Error('Club name is required');
+    }
+
+    const key = entry.key ?? findClubKey(name);
+    const carry = optionalNumber(entry.carry ?? entry.distance);
+    validatePositive(carry, 'Carry');
+
+    // calculateTrajectory checks the ranges of whatever launch data was given
+    const given = {};
+    for (const field of LAUNCH_FIELDS) {
+        const value = optionalNumber(entry[field]);
+        if (value !== null) {
+            given[field] = value;
+        }
+    }
+
+    let reference;
+    if (LAUNCH_FIELDS.every(field => field in given)) {
+        reference = {};
+    } else if (carry !== null) {
+        reference = calibrateClubLaunch({ name, distance: carry });
+    } else if (key) {
+        reference = PGA_CLUB_DATA[key];
+    } else {
+        throw new Error(`Club needs a carry or launch data: ${name}`);
+    }
+
+    const launch = {
+        ballSpeed: given.ballSpeed ?? reference.ballSpeed,
+        launchAngle: given.launchAngle ?? reference.launchAngle,
+        spinRate: given.spinRate ?? reference.spinRate
+    };
+    const trajectory = calculateTrajectory(launch);
+    const profileCarry = carry ?? trajectory.carryDistance;
+
+    return {
+        id: toClubId(name),
+        name,
+        key,
+        loft: optionalNumber(entry.loft) ?? CLUB_LOFTS[key] ?? null,
+        carry: profileCarry,
+        total: optionalNumber(entry.total) ?? calculateGroundRoll(trajectory, 'fairway').total,
+        ...launch,
+        apexHeight: optionalNumber(entry.apexHeight) ?? trajectory.maxHeight,
+        landingAngle: optionalNumber(entry.landingAngle) ?? trajectory.landingAngle,
+        dispersion: resolveDispersion(entry.dispersion),
+        session: entry.session ?? null,
+        distance: profileCarry
+    };
+}
+
+/**
+ * Edit a club profile
+ *
+ * New launch data re-derives the flight numbers that were not also given; a
+ * new carry alone re-scales the launch data to it.
+ *
+ * @param {Object} profile - Club profile
+ * @param {Object} changes - Fields to change, as for createClubProfile
+ * @returns {Object} Updated club profile
+ */
+export function updateClubProfile(profile, changes) {
+    if (!changes || typeof changes !== 'object') {
+        throw new Error('Club changes must be a valid object');
+    }
+
+    const kept = { ...profile };
+    delete kept.id;
+    if ('name' in changes) {
+        delete kept.key;
+    }
+    // Edited numbers no longer come from the session
+    if ([...LAUNCH_FIELDS, ...FLIGHT_FIELDS].some(field => field in changes)) {
+        delete kept.session;
+    }
+    if (LAUNCH_FIELDS.some(field => field in changes)) {
+        FLIGHT_FIELDS.forEach(field => delete kept[field]);
+    } else if ('carry' in changes || 'distance' in changes) {
+        [...LAUNCH_FIELDS, ...FLIGHT_FIELDS].forEach(field => delete kept[field]);
+    }
+    return createClubProfile({ ...kept, ...changes });
+}
+
+/**
+ * Club profiles in localStorage (or any Storage-like object)
+ *
+ * Older {type, distance} and {name, distance} bag entries are converted to
+ * profiles the first time the bag is read.
+ */
+export class ClubProfileStore {
+    /**
+     * @param {Storage} [storage] - Storage with getItem/setItem/removeItem; localStorage by default
+     */
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
+    }
+
+    /**
+     * All clubs, longest carry first
+     * @returns {Array<Object>} Club profiles
+     */
+    list() {
+        let entries;
+        let legacy;
+        try {
+            entries = JSON.parse(this.storage.getItem(CLUBS_KEY) || '[]');
+            legacy = JSON.parse(this.storage.getItem(LEGACY_CLUBS_KEY) || '[]');
+        } catch (error) {
+            console.error('Error reading clubs:', error);
+            return [];
+        }
+
+        // Ids made before they followed the club, e.g. "pw", are upgraded too
+        const needsUpgrade = legacy.length > 0 ||
+            entries.some(entry => !isNumber(entry.ballSpeed) || entry.id !== toClubId(entry.name));
+        const profiles = new Map();
+        for (const entry of [...legacy, ...entries]) {
+            try {
+                const profile = isNumber(entry.ballSpeed) && entry.id === toClubId(entry.name)
+                    ? entry
+                    : createClubProfile(entry);
+                profiles.set(profile.id, profile);
+            } catch (error) {
+                console.warn('Skipping club that cannot be read:', entry, error);
+            }
+        }
+        const clubs = [...profiles.values()].sort((a, b) => b.carry - a.carry);
+
+        if (needsUpgrade) {
+            this.write(clubs);
+            this.storage.removeItem(LEGACY_CLUBS_KEY);
+        }
+        return clubs;
+    }
+
+    /**
+     * A club by id or name
+     * @param {string} idOrName - Club id or name
+     * @returns {Object|null} Club profile
+     */
+    get(idOrName) {
+        const id = toClubId(idOrName);
+        return this.list().find(club => club.id === id) || null;
+    }
+
+    /**
+     * Save a club, replacing any club with the same name
+     * @param {Object} entry - Club profile or entry for createClubProfile
+     * @returns {Object} Saved club profile
+     */
+    save(entry) {
+        const profile = createClubProfile(entry);
+        this.write([...this.list().filter(club => club.id !== profile.id), profile]);
+        return profile;
+    }
+
+    /**
+     * Edit a saved club
+     * @param {string} idOrName - Club id or name
+     * @param {Object} changes - Fields to change, as for updateClubProfile
+     * @returns {Object} Updated club profile
+     */
+    update(idOrName, changes) {
+        const club = this.get(idOrName);
+        if (!club) {
+            throw new Error(`Unknown club: ${idOrName}`);
+        }
+        const updated = updateClubProfile(club, changes);
+        this.write([
+            ...this.list().filter(existing => existing.id !== club.id && existing.id !== updated.id),
+            updated
+        ]);
+        return updated;
+    }
+
+    /**
+     * Delete a club
+     * @param {string} idOrName - Club id or name
+     */
+    remove(idOrName) {
+        const id = toClubId(idOrName);
+        this.write(this.list().filter(club => club.id !== id));
+    }
+
+    /**
+     * Replace the stored bag
+     * @param {Array<Object>} clubs - Club profiles
+     */
+    write(clubs) {
+        const sorted = [...clubs].sort((a, b) => b.carry - a.carry);
+        this.storage.setItem(CLUBS_KEY, JSON.stringify(sorted));
+    }
+}
@@ -0,0 +1,464 @@
+/**
+ * Launch monitor import module
+ *
+ * Reads session exports from TrackMan, Foresight GCQuad, FlightScope and
+ * Garmin R10. Each names its columns and units differently, so columns are
+ * matched by name and by the unit they carry, every shot is converted to
+ * mph, yards, feet, degrees and RPM, and the shots are grouped by club into
+ * club profiles after outliers are removed.
+ *
+ * @module launch-monitor-import
+ */
+
+import { createClubProfile } from './club-profile.js';
+import { findClubKey } from '../calculations/club-selection.js';
+import { PGA_CLUB_DATA } from '../../constants/club-data.js';
+
+/**
+ * Supported export formats
+ */
+export const LAUNCH_MONITOR_FORMATS = {
+    TRACKMAN: 'TrackMan',
+    GCQUAD: 'GCQuad',
+    FLIGHTSCOPE: 'FlightScope',
+    GARMIN_R10: 'Garmin R10'
+};
+
+// Kind of quantity in each shot field, which decides the units a column may carry
+const FIELD_KINDS = {
+    club: 'text',
+    ballSpeed: 'speed',
+    clubSpeed: 'speed',
+    launchAngle: 'angle',
+    launchDirection: 'angle',
+    spinRate: 'spin',
+    backspin: 'spin',
+    sidespin: 'spin',
+    spinAxis: 'angle',
+    carry: 'distance',
+    total: 'distance',
+    lateral: 'distance',
+    apexHeight: 'height',
+    landingAngle: 'angle'
+};
+
+// Column names for each field, lower case without spaces or units, most specific first
+const COLUMNS = {
+    [LAUNCH_MONITOR_FORMATS.TRACKMAN]: {
+        club: ['club'],
+        ballSpeed: ['ballspeed'],
+        clubSpeed: ['clubspeed'],
+        launchAngle: ['launchangle', 'launchang'],
+        launchDirection: ['launchdirection', 'launchdir'],
+        spinRate: ['spinrate'],
+        spinAxis: ['spinaxis'],
+        carry: ['carry', 'carryflat'],
+        total: ['total', 'totalflat'],
+        lateral: ['side', 'carryside', 'sideflat'],
+        apexHeight: ['height', 'maxheight'],
+        landingAngle: ['landingangle', 'landangle']
+    },
+    [LAUNCH_MONITOR_FORMATS.GCQUAD]: {
+        club: ['club'],
+        ballSpeed: ['ballspeed'],
+        clubSpeed: ['clubspeed', 'clubheadspeed'],
+        launchAngle: ['launchangle', 'vla'],
+        launchDirection: ['azimuth', 'hla', 'sideangle'],
+        spinRate: ['totalspin'],
+        backspin: ['backspin'],
+        sidespin: ['sidespin'],
+        spinAxis: ['spinaxis', 'spintilt'],
+        carry: ['carry', 'carrydistance'],
+        total: ['total', 'totaldistance'],
+        lateral: ['offline'],
+        apexHeight: ['peakheight'],
+        landingAngle: ['descentangle']
+    },
+    [LAUNCH_MONITOR_FORMATS.FLIGHTSCOPE]: {
+        club: ['club'],
+        ballSpeed: ['ball', 'ballspeed'],
+        clubSpeed: ['club', 'clubspeed'],
+        launchAngle: ['launchv', 'vla'],
+        launchDirection: ['launchh', 'hla'],
+        spinRate: ['spin', 'spinrate'],
+        spinAxis: ['spinaxis'],
+        carry: ['carry'],
+        total: ['total'],
+        lateral: ['lateral'],
+        apexHeight: ['height'],
+        landingAngle: ['descentv']
+    },
+    [LAUNCH_MONITOR_FORMATS.GARMIN_R10]: {
+        club: ['clubtype', 'club'],
+        ballSpeed: ['ballspeed'],
+        clubSpeed: ['clubspeed'],
+        launchAngle: ['launchangle'],
+        launchDirection: ['launchdirection'],
+        spinRate: ['spinrate'],
+        backspin: ['backspin'],
+        sidespin: ['sidespin'],
+        spinAxis: ['spinaxis'],
+        carry: ['carrydistance'],
+        total: ['totaldistance'],
+        lateral: ['carrydeviationdistance'],
+        apexHeight: ['apexheight']
+    }
+};
+
+// Conversion of each unit to the app's unit for its kind
+const UNITS = {
+    speed: { mph: 1, 'm/s': 2.23694, mps: 2.23694, ms: 2.23694, 'km/h': 0.621371, kph: 0.621371, kmh: 0.621371 },
+    distance: { yds: 1, yd: 1, yards: 1, m: 1.0936133, meters: 1.0936133, metres: 1.0936133, ft: 1 / 3 },
+    height: { ft: 1, feet: 1, yds: 3, yd: 3, m: 3.2808399, meters: 3.2808399, metres: 3.2808399 },
+    angle: { deg: 1, '°': 1, degrees: 1 },
+    spin: { rpm: 1 }
+};
+
+const DEFAULT_UNITS = { speed: 'mph', distance: 'yds', height: 'ft', angle: 'deg', spin: 'rpm' };
+
+// Fields with a Tukey fence: a topped or fat shot shows up in ball speed and carry
+const OUTLIER_FIELDS = ['ballSpeed', 'carry'];
+const OUTLIER_FENCE = 1.5; // interquartile ranges beyond the quartiles
+const MIN_SHOTS_FOR_OUTLIERS = 4;
+
+const STAT_FIELDS = Object.keys(FIELD_KINDS).filter(field => FIELD_KINDS[field] !== 'text');
+
+// Averages, standard deviation and similar rows some exports append after the shots
+const SUMMARY_ROW = /^(average|avg|mean|median|std|standard|deviation|min|max|total)/i;
+
+/**
+ * Split CSV text into rows of cells
+ * @param {string} text - CSV text; quoted cells may contain commas, quotes and line breaks
+ * @returns {Array<Array<string>>} Rows, without blank lines
+ */
+export function parseCsv(text) {
+    if (typeof text !== 'string') {
+        throw new Error('Export must be CSV text');
+    }
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell.trim());
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell.trim());
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    row.push(cell.trim());
+    rows.push(row);
+
+    return rows.filter(cells => cells.some(value => value !== ''));
+}
+
+/**
+ * Column name and unit from a header cell such as "Ball Speed (mph)" or "Carry [yds]"
+ * @param {string} header - Header cell
+ * @returns {Object} {name, unit}
+ */
+function parseHeader(header) {
+    const match = header.match(/^(.*?)\s*[([]\s*([^)\]]*)\s*[)\]]\s*$/);
+    const name = (match ? match[1] : header).toLowerCase().replace(/[^a-z0-9]/g, '');
+    return { name, unit: match ? normalizeUnit(match[2]) : null };
+}
+
+function normalizeUnit(unit) {
+    const normalized = String(unit || '').trim().toLowerCase().replace(/^\[|\]$/g, '');
+    return normalized || null;
+}
+
+/**
+ * Which launch monitor an export came from, by its column names
+ * @param {Array<string>} headers - Header cells
+ * @returns {string|null} LAUNCH_MONITOR_FORMATS value, or null when not recognized
+ */
+export function detectLaunchMonitorFormat(headers) {
+    const names = new Set(headers.map(header => parseHeader(header).name));
+    if (names.has('clubtype') && names.has('carrydeviationdistance')) {
+        return LAUNCH_MONITOR_FORMATS.GARMIN_R10;
+    }
+    if (names.has('launchv') || names.has('descentv')) {
+        return LAUNCH_MONITOR_FORMATS.FLIGHTSCOPE;
+    }
+    if (names.has('peakheight') || names.has('offline') || names.has('totalspin')) {
+        return LAUNCH_MONITOR_FORMATS.GCQUAD;
+    }
+    if (names.has('club') && names.has('carry') && (names.has('spinrate') || names.has('height'))) {
+        return LAUNCH_MONITOR_FORMATS.TRACKMAN;
+    }
+    return null;
+}
+
+/**
+ * Number from a cell, with left/right written as a suffix or prefix ("12.3 L", "R4")
+ * @param {string} value - Cell
+ * @returns {number|null} Number, left negative; null when empty
+ */
+function parseNumber(value) {
+    const text = String(value ?? '').trim();
+    if (text === '' || text === '-') {
+        return null;
+    }
+    const side = text.match(/^([LR])\s*(.+)$/i) || text.match(/^(.+?)\s*([LR])$/i);
+    if (side) {
+        const [direction, magnitude] = /^[LR]$/i.test(side[1]) ? [side[1], side[2]] : [side[2], side[1]];
+        const number = Number(magnitude.replace(/,/g, ''));
+        return isNaN(number) ? null : (direction.toUpperCase() === 'L' ? -Math.abs(number) : Math.abs(number));
+    }
+    const number = Number(text.replace(/,/g, ''));
+    return isNaN(number) ? null : number;
+}
+
+/**
+ * Find the column of each field
+ * @param {Array<Object>} headers - Parsed headers ({name, unit})
+ * @param {Object} columns - Column names of the format
+ * @returns {Object} Field to column index
+ */
+function resolveColumns(headers, columns) {
+    const used = new Set();
+    const indexes = {};
+    // The club name first, so a "Club (mph)" speed column is never taken for it
+    const fields = ['club', ...Object.keys(columns).filter(field => field !== 'club')];
+
+    for (const field of fields) {
+        const kind = FIELD_KINDS[field];
+        for (const name of columns[field] || []) {
+            const index = headers.findIndex((header, i) => !used.has(i) && header.name === name && (
+                kind === 'text' ? header.unit === null : header.unit === null || header.unit in UNITS[kind]
+            ));
+            if (index !== -1) {
+                indexes[field] = index;
+                used.add(index);
+                break;
+            }
+        }
+    }
+    return indexes;
+}
+
+/**
+ * Club name as the rest of the app writes it, so imports land on the same profile
+ * @param {string} name - Club name from the export, e.g. "7Iron" or "PitchingWedge"
+ * @returns {string} Name
+ */
+function toClubName(name) {
+    const key = findClubKey(name);
+    // Hybrids share one tour profile, so keep "3 Hybrid" and "4 Hybrid" apart
+    return key && key !== 'hybrid' ? PGA_CLUB_DATA[key].name : name.trim();
+}
+
+/**
+ * Read the shots from a launch monitor export
+ * @param {string} text - CSV export
+ * @param {Object} [options] - Import options
+ * @param {string} [options.format] - LAUNCH_MONITOR_FORMATS value; detected from the columns if omitted
+ * @param {Object} [options.units] - Units of columns that do not name one, by kind, e.g. {distance: 'm'}
+ * @returns {Object} {format, shots} with each shot in mph, yards, feet, degrees and RPM
+ */
+export function parseLaunchMonitorExport(text, options = {}) {
+    const rows = parseCsv(text);
+    const units = { ...DEFAULT_UNITS, ...options.units };
+
+    // Exports may start with a title or session lines before the header
+    const headerIndex = rows.findIndex(row =>
+        row.some(cell => ['club', 'clubtype'].includes(parseHeader(cell).name)) && row.length > 3
+    );
+    if (headerIndex === -1) {
+        throw new Error('Export has no header row with a club column');
+    }
+    const headerRow = rows[headerIndex];
+
+    const format = options.format || detectLaunchMonitorFormat(headerRow);
+    if (!COLUMNS[format]) {
+        throw new Error(options.format
+            ? `Unknown launch monitor format: ${options.format}`
+            : 'Unrecognized launch monitor export');
+    }
+
+    // TrackMan and Garmin put units on a row of their own under the header
+    let headers = headerRow.map(parseHeader);
+    let firstShot = headerIndex + 1;
+    const unitRow = rows[firstShot];
+    if (unitRow && unitRow.some(cell => /^\[.*\]$/.test(cell))) {
+        headers = headers.map((header, i) => ({ ...header, unit: normalizeUnit(unitRow[i]) ?? header.unit }));
+        firstShot++;
+    }
+
+    const columns = resolveColumns(headers, COLUMNS[format]);
+    if (columns.club === undefined) {
+        throw new Error('Export has no header row with a club column');
+    }
+
+    const shots = [];
+    for (const row of rows.slice(firstShot)) {
+        const club = row[columns.club];
+        if (!club || SUMMARY_ROW.test(club) || SUMMARY_ROW.test(row[0])) continue;
+
+        const shot = { club: toClubName(club) };
+        for (const field of STAT_FIELDS) {
+            const value = columns[field] === undefined ? null : parseNumber(row[columns[field]]);
+            if (value === null) {
+                shot[field] = null;
+                continue;
+            }
+            const kind = FIELD_KINDS[field];
+            const unit = headers[columns[field]].unit ?? units[kind];
+            const factor = UNITS[kind][unit];
+            if (factor === undefined) {
+                throw new Error(`Unknown ${kind} unit: ${unit}`);
+            }
+            shot[field] = value * factor;
+        }
+        // Exports without total spin give its components
+        if (shot.spinRate === null && shot.backspin !== null) {
+            shot.spinRate = Math.hypot(shot.backspin, shot.sidespin ?? 0);
+        }
+        delete shot.backspin;
+        delete shot.sidespin;
+        shots.push(shot);
+    }
+
+    if (shots.length === 0) {
+        throw new Error('Export has no shots');
+    }
+    return { format, shots };
+}
+
+/**
+ * Mean, median and sample standard deviation
+ * @param {Array<number>} values - Values; nulls are ignored
+ * @returns {Object|null} {count, mean, median, std}, or null without values
+ */
+export function summarizeValues(values) {
+    const sorted = values.filter(value => typeof value === 'number' && !isNaN(value)).sort((a, b) => a - b);
+    const count = sorted.length;
+    if (count === 0) {
+        return null;
+    }
+
+    const mean = sorted.reduce((sum, value) => sum + value, 0) / count;
+    const middle = Math.floor(count / 2);
+    const median = count % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    const variance = count > 1
+        ? sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (count - 1)
+        : 0;
+
+    return { count, mean, median, std: Math.sqrt(variance) };
+}
+
+// Linear-interpolated quantile of sorted values
+function quantile(sorted, q) {
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Split shots into kept shots and outliers by Tukey fences on ball speed and carry
+ * @param {Array<Object>} shots - Shots of one club
+ * @returns {Object} {kept, outliers}
+ */
+export function removeOutliers(shots) {
+    if (shots.length < MIN_SHOTS_FOR_OUTLIERS) {
+        return { kept: shots, outliers: [] };
+    }
+
+    const fences = OUTLIER_FIELDS.map(field => {
+        const sorted = shots.map(shot => shot[field]).filter(value => value !== null).sort((a, b) => a - b);
+        if (sorted.length < MIN_SHOTS_FOR_OUTLIERS) return null;
+        const q1 = quantile(sorted, 0.25);
+        const q3 = quantile(sorted, 0.75);
+        const spread = (q3 - q1) * OUTLIER_FENCE;
+        return { field, low: q1 - spread, high: q3 + spread };
+    }).filter(Boolean);
+
+    const isOutlier = shot => fences.some(({ field, low, high }) =>
+        shot[field] !== null && (shot[field] < low || shot[field] > high)
+    );
+    return {
+        kept: shots.filter(shot => !isOutlier(shot)),
+        outliers: shots.filter(isOutlier)
+    };
+}
+
+/**
+ * Group shots by club and build a club profile from each group
+ * @param {Array<Object>} shots - Shots from parseLaunchMonitorExport
+ * @param {Object} [options] - Aggregation options
+ * @param {string} [options.average='median'] - Whether the profile uses each field's 'median' or 'mean'
+ * @returns {Array<Object>} [{name, shots, outliers, stats, profile}], longest carry first
+ */
+export function aggregateClubShots(shots, options = {}) {
+    const { average = 'median' } = options;
+    if (!['median', 'mean'].includes(average)) {
+        throw new Error('Average must be median or mean');
+    }
+
+    const groups = new Map();
+    shots.forEach(shot => {
+        if (!groups.has(shot.club)) groups.set(shot.club, []);
+        groups.get(shot.club).push(shot);
+    });
+
+    return [...groups.entries()].map(([name, clubShots]) => {
+        const { kept, outliers } = removeOutliers(clubShots);
+        const stats = {};
+        STAT_FIELDS.forEach(field => {
+            const summary = summarizeValues(kept.map(shot => shot[field]));
+            if (summary) stats[field] = summary;
+        });
+        const value = field => stats[field]?.[average];
+
+        return {
+            name,
+            shots: kept.length,
+            outliers: outliers.length,
+            stats,
+            profile: createClubProfile({
+                name,
+                carry: value('carry'),
+                total: value('total'),
+                ballSpeed: value('ballSpeed'),
+                launchAngle: value('launchAngle'),
+                spinRate: value('spinRate'),
+                apexHeight: value('apexHeight'),
+                landingAngle: value('landingAngle'),
+                dispersion: stats.carry ? { carry: stats.carry.std, lateral: stats.lateral?.std ?? 0 } : null
+            })
+        };
+    }).sort((a, b) => b.profile.carry - a.profile.carry);
+}
+
+/**
+ * Import a launch monitor session into club profiles
+ * @param {string} text - CSV export
+ * @param {Object} [options] - Options for parseLaunchMonitorExport and aggregateClubShots
+ * @returns {Object} {format, shots, clubs}
+ */
+export function importLaunchMonitorSession(text, options = {}) {
+    const { format, shots } = parseLaunchMonitorExport(text, options);
+    return { format, shots, clubs: aggregateClubShots(shots, options) };
+}
@@ -0,0 +1,198 @@
+/**
+ * Session normalization module
+ *
+ * A range session flies in its own air: the same swing carries further on a
+ * hot day at altitude than on a cold morning at sea level. Each imported
+ * session records the conditions it was hit in, and every club's numbers are
+ * carried back to standard conditions (59°F, 29.92 inHg, dry air, sea level),
+ * so the bag holds a neutral baseline that plays-like adjustments start from.
+ *
+ * @module session-normalization
+ */
+
+import { createClubProfile } from './club-profile.js';
+import { calculateTrajectory } from '../ball-physics.js';
+import { calculateStationAirDensity } from '../calculations/air-density-calculations.js';
+import { calculatePressureAtAltitude } from '../calculations/altitude-calculations.js';
+import { toStationPressure, PRESSURE_TYPES } from '../calculations/pressure-calculations.js';
+import { toShotConditions } from '../weather/weather-provider.js';
+
+// Furthest a stored reading may be from the session and still describe it
+const DEFAULT_MAX_GAP = 60 * 60 * 1000;
+
+/**
+ * Conditions every session is normalized to
+ */
+export const STANDARD_SESSION_CONDITIONS = Object.freeze({
+    temperature: 59,
+    humidity: 0,
+    pressure: 29.92,
+    pressureType: PRESSURE_TYPES.STATION,
+    altitude: 0,
+    airDensity: 1
+});
+
+/**
+ * Session conditions with the air density they give
+ *
+ * Conditions may be entered by hand or be a reading from a weather provider.
+ * Without a pressure reading the standard atmosphere at the range's altitude
+ * stands in for the barometer.
+ *
+ * @param {Object} conditions - Entered conditions or provider Conditions
+ * @param {number} conditions.temperature - Temperature in °F
+ * @param {number} [conditions.humidity=0] - Relative humidity in %
+ * @param {number} [conditions.altitude=0] - Range altitude in feet
+ * @param {number} [conditions.pressure] - Pressure in inHg
+ * @param {string} [conditions.pressureType='seaLevel'] - PRESSURE_TYPES value
+ * @returns {Object} Conditions with station pressure, airDensity, source and observedAt
+ */
+export function resolveSessionConditions(conditions) {
+    if (!conditions || typeof conditions !== 'object') {
+        throw new Error('Session conditions must be a valid object');
+    }
+
+    const entered = conditions.units ? toShotConditions(conditions) : conditions;
+    const {
+        temperature,
+        humidity = 0,
+        altitude = 0,
+        pressure = null,
+        pressureType = PRESSURE_TYPES.SEA_LEVEL
+    } = entered;
+
+    if (typeof altitude !== 'number' || isNaN(altitude) || altitude < 0 || altitude > 15000) {
+        throw new Error('Altitude must be between 0 and 15,000 feet');
+    }
+
+    const stationPressure = pressure === null || pressure === undefined
+        ? calculatePressureAtAltitude(altitude)
+        : toStationPressure(pressure, { type: pressureType, elevation: altitude });
+
+    return {
+        temperature,
+        humidity,
+        pressure: stationPressure,
+        pressureType: PRESSURE_TYPES.STATION,
+        altitude,
+        airDensity: calculateStationAirDensity(temperature, stationPressure, humidity),
+        source: conditions.source ?? 'entered',
+        observedAt: conditions.observedAt ?? null
+    };
+}
+
+/**
+ * The stored reading closest to the session time
+ * @param {Array<Object>} readings - Conditions from a weather provider, e.g. ConditionsTimeline.history()
+ * @param {string|number|Date} time - When the session was hit
+ * @param {Object} [options] - Lookup options
+ * @param {number} [options.maxGap] - Milliseconds a reading may be from the session; one hour by default
+ * @returns {Object|null} Conditions, or null when no reading is close enough
+ */
+export function findSessionConditions(readings, time, options = {}) {
+    const { maxGap = DEFAULT_MAX_GAP } = options;
+    const at = new Date(time).getTime();
+    if (isNaN(at)) {
+        throw new Error('Session time must be a valid date');
+    }
+
+    let closest = null;
+    let closestGap = Infinity;
+    for (const reading of readings) {
+        const gap = Math.abs(Date.parse(reading.observedAt) - at);
+        if (gap <= maxGap && gap < closestGap) {
+            closest = reading;
+            closestGap = gap;
+        }
+    }
+    return closest;
+}
+
+/**
+ * Session conditions from what the player entered and the stored reading
+ *
+ * Entered values win field by field over the reading, so a player who only
+ * knows the range's altitude still gets the reading's temperature and
+ * humidity rather than having the altitude dropped. An entered pressure is
+ * sea-level, as the form asks; an entered altitude reduces the reading's
+ * sea-level pressure rather than keeping a station pressure from elsewhere.
+ *
+ * @param {Object} entered - Entered values: temperature, humidity, altitude and pressure, any of them
+ * @param {Object|null} reading - Conditions from a weather provider, e.g. from findSessionConditions
+ * @returns {Object|null} Conditions for resolveSessionConditions, or null without a reading or an entered temperature
+ */
+export function mergeSessionConditions(entered, reading) {
+    if (!reading) {
+        return typeof entered.temperature === 'number' ? entered : null;
+    }
+    if (Object.keys(entered).length === 0) {
+        return reading;
+    }
+
+    const pressure = entered.pressure ?? (
+        'altitude' in entered && typeof reading.seaLevelPressure === 'number' ? reading.seaLevelPressure : null
+    );
+    return {
+        ...toShotConditions(reading),
+        ...entered,
+        ...(pressure === null ? {} : { pressure, pressureType: PRESSURE_TYPES.SEA_LEVEL }),
+        source: `${reading.source} with entered values`,
+        observedAt: reading.observedAt
+    };
+}
+
+/**
+ * Carry a club's session numbers back to standard conditions
+ *
+ * Ball speed, launch and spin leave the face the same in any air, so they
+ * are kept. The flight model flies them in the session's air and in standard
+ * air, and the measured carry, total, apex and landing angle move by the
+ * difference, which keeps whatever the player's numbers differ from the
+ * model by.
+ *
+ * @param {Object} profile - Club profile made from the session
+ * @param {Object} conditions - Session conditions, as for resolveSessionConditions
+ * @returns {Object} Club profile at standard conditions, with `session` recording the conditions and measured carry and total
+ */
+export function normalizeClubProfile(profile, conditions) {
+    const session = resolveSessionConditions(conditions);
+    const launch = {
+        ballSpeed: profile.ballSpeed,
+        launchAngle: profile.launchAngle,
+        spinRate: profile.spinRate
+    };
+    const inSession = calculateTrajectory({ ...launch, airDensity: session.airDensity });
+    const inStandard = calculateTrajectory(launch);
+
+    const carry = profile.carry * inStandard.carryDistance / inSession.carryDistance;
+    return createClubProfile({
+        ...profile,
+        carry,
+        total: profile.total + carry - profile.carry,
+        apexHeight: profile.apexHeight * inStandard.maxHeight / inSession.maxHeight,
+        landingAngle: profile.landingAngle + inStandard.landingAngle - inSession.landingAngle,
+        session: {
+            conditions: session,
+            carry: profile.carry,
+            total: profile.total
+        }
+    });
+}
+
+/**
+ * Normalize every club of an imported session
+ * @param {Object} session - Result of importLaunchMonitorSession
+ * @param {Object} conditions - Session conditions, as for resolveSessionConditions
+ * @returns {Object} The session with its resolved conditions and each club's profile at standard conditions
+ */
+export function normalizeSession(session, conditions) {
+    const resolved = resolveSessionConditions(conditions);
+    return {
+        ...session,
+        conditions: resolved,
+        clubs: session.clubs.map(club => ({
+            ...club,
+            profile: normalizeClubProfile(club.profile, resolved)
+        }))
+    };
+}
@@ -0,0 +1,161 @@
+// Weather adjustments page: live weather, manual entry and conditions presets
+import { computeShot, resolveConditions } from './calculations/yardage-engine.js';
+import { getConfiguredWeatherProvider } from './weather/weather-providers.js';
+import { toShotConditions } from './weather/weather-provider.js';
+import { ConditionsPresetStore, getActiveConditions } from './weather/conditions-presets.js';
+import { WeatherCache, formatCacheMeta } from './weather/weather-cache.js';
+import { ConditionsTimeline } from './weather/conditions-timeline.js';
+
+const IMPACT_DISTANCE = 150; // yards
+
+const store = new ConditionsPresetStore();
+const weatherCache = new WeatherCache();
+const conditionsTimeline = new ConditionsTimeline();
+let liveConditions = null;
+let liveMeta = null;
+
+const elements = {
+    refreshBtn: document.getElementById('refreshBtn'),
+    lastUpdated: document.getElementById('lastUpdated'),
+    temperature: document.getElementById('temperature'),
+    humidity: document.getElementById('humidity'),
+    altitude: document.getElementById('altitude'),
+    airDensity: document.getElementById('airDensity'),
+    manualTemp: document.getElementById('manualTemp'),
+    manualHumidity: document.getElementById('manualHumidity'),
+    manualAltitude: document.getElementById('manualAltitude'),
+    applyManual: document.getElementById('applyManual'),
+    presetName: document.getElementById('presetName'),
+    presetSelect: document.getElementById('presetSelect'),
+    saveSnapshot: document.getElementById('saveSnapshot'),
+    usePreset: document.getElementById('usePreset'),
+    deletePreset: document.getElementById('deletePreset'),
+    useLive: document.getElementById('useLive'),
+    tempEffect: document.getElementById('tempEffect'),
+    humidityEffect: document.getElementById('humidityEffect'),
+    altitudeEffect: document.getElementById('altitudeEffect'),
+    ballTempEffect: document.getElementById('ballTempEffect'),
+    totalEffect: document.getElementById('totalEffect')
+};
+
+// Extra carry on a mid-iron from the given conditions, against standard air and a warm ball
+function carryGain(conditions, effect = 'airDensity') {
+    const shot = computeShot({ ...conditions, windSpeed: 0, windGust: 0 }, { distance: IMPACT_DISTANCE });
+    return -shot.adjustments[effect];
+}
+
+function formatYards(yards) {
+    return `${yards >= 0 ? '+' : ''}${yards.toFixed(1)} yards`;
+}
+
+function renderConditions(conditions, meta = null) {
+    const weather = toShotConditions(conditions);
+    const { airDensity } = resolveConditions(weather);
+
+    elements.temperature.textContent = `${Math.round(conditions.temperature)}°F`;
+    elements.humidity.textContent = `${Math.round(conditions.humidity)}%`;
+    elements.altitude.textContent = `${Math.round(conditions.elevation ?? 0)} ft`;
+    elements.airDensity.textContent = airDensity.toFixed(2);
+    elements.lastUpdated.textContent = conditions.source.startsWith('preset: ')
+        ? `Using ${conditions.source}`
+        : `Updated: ${meta ? formatCacheMeta(meta) : new Date(conditions.observedAt).toLocaleTimeString()}`;
+
+    // Each factor on its own, then together, so the parts show where the total comes from
+    elements.tempEffect.textContent = formatYards(carryGain({ temperature: weather.temperature }));
+    elements.humidityEffect.textContent = formatYards(carryGain({ humidity: weather.humidity }));
+    elements.altitudeEffect.textContent = formatYards(carryGain({ altitude: weather.altitude }));
+    elements.totalEffect.textContent = formatYards(carryGain(weather));
+    // A ball out of the bag all round ends up at the air temperature, the engine's default
+    elements.ballTempEffect.textContent = formatYards(carryGain(weather, 'ballTemperature'));
+}
+
+function renderPresets() {
+    const active = store.getActive();
+    // Options built as elements, since preset names are whatever the player typed
+    elements.presetSelect.replaceChildren(...store.list().map(preset =>
+        new Option(`${preset.name} (${preset.origin})`, preset.id, false, active?.id === preset.id)));
+    elements.useLive.disabled = !active;
+}
+
+// Show the active preset, otherwise the live weather
+function showCurrentConditions() {
+    const presetConditions = getActiveConditions();
+    if (presetConditions) {
+        renderConditions(presetConditions);
+    } else if (liveConditions) {
+        renderConditions(liveConditions, liveMeta);
+    }
+    renderPresets();
+}
+
+function showLiveConditions({ conditions, meta }) {
+    liveConditions = conditions;
+    liveMeta = meta;
+    conditionsTimeline.add(conditions);
+    showCurrentConditions();
+}
+
+async function refreshWeather(forceRefresh = false) {
+    try {
+        const position = await new Promise((resolve, reject) => {
+            navigator.geolocation.getCurrentPosition(resolve, reject);
+        });
+        const location = { latitude: position.coords.latitude, longitude: position.coords.longitude };
+        const provider = getConfiguredWeatherProvider();
+
+        showLiveConditions(forceRefresh
+            ? await weatherCache.refresh(provider, location)
+            : await weatherCache.getOrFetch(provider, location, {
+                staleWhileRevalidate: true,
+                onUpdate: showLiveConditions
+            }));
+    } catch (error) {
+        console.error('Error fetching weather:', error);
+        showCurrentConditions();
+        if (!getActiveConditions()) {
+            elements.lastUpdated.textContent = 'Weather unavailable';
+        }
+    }
+}
+
+function runPresetAction(action) {
+    try {
+        action();
+        showCurrentConditions();
+    } catch (error) {
+        console.error('Conditions preset error:', error);
+        alert(error.message);
+    }
+}
+
+elements.refreshBtn?.addEventListener('click', () => refreshWeather(true));
+
+elements.applyManual?.addEventListener('click', () => runPresetAction(() => {
+    const preset = store.saveManual(elements.presetName.value || 'Manual conditions', {
+        temperature: parseFloat(elements.manualTemp.value),
+        humidity: parseFloat(elements.manualHumidity.value),
+        altitude: parseFloat(elements.manualAltitude.value) || 0
+    });
+    store.setActive(preset.id);
+}));
+
+elements.saveSnapshot?.addEventListener('click', () => runPresetAction(() => {
+    if (!liveConditions) {
+        throw new Error('Fetch the current weather before saving it as a preset');
+    }
+    store.setActive(store.save(elements.presetName.value, liveConditions).id);
+}));
+
+elements.usePreset?.addEventListener('click', () => runPresetAction(() => {
+    store.setActive(elements.presetSelect.value);
+}));
+
+elements.deletePreset?.addEventListener('click', () => runPresetAction(() => {
+    store.remove(elements.presetSelect.value);
+}));
+
+elements.useLive?.addEventListener('click', () => runPresetAction(() => {
+    store.setActive(null);
+}));
+
+refreshWeather();
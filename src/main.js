@@ -12,6 +12,16 @@ if ('serviceWorker' in navigator) {
 }
 
 import WindCalculator from './wind.js';
+import { formatPlaysLike } from './calculations/gust-calculations.js';
+import { getConfiguredWeatherProvider } from './weather/weather-providers.js';
+import { createConditions } from './weather/weather-provider.js';
+import { MetarProvider } from './weather/metar-provider.js';
+import { ConditionsPresetStore, getActiveConditions } from './weather/conditions-presets.js';
+import { WeatherCache, formatCacheMeta } from './weather/weather-cache.js';
+import { ConditionsTimeline } from './weather/conditions-timeline.js';
+import { ClubProfileStore, createClubProfile } from './clubs/club-profile.js';
+import { readBallTemperature } from './utils/ball-inputs.js';
+import { escapeHtml } from './utils/html.js';
 
 // Initialize web worker for calculations
 const calculationWorker = new Worker('calculations-worker.js', { type: 'module' });
@@ -79,6 +89,7 @@ const DOM = {
     humidity: document.getElementById('humidity'),
     temperature: document.getElementById('temperature'),
     windSpeed: document.getElementById('wind-speed'),
+    windGust: document.getElementById('wind-gust'),
     windDirection: document.getElementById('wind-direction'),
     shotHeight: document.getElementById('shot-height'),
     clubs: document.getElementById('clubs'),
@@ -144,9 +155,11 @@ async function updateCalculations() {
             humidity: parseFloat(DOM.humidity.value),
             altitude: parseFloat(DOM.altitude.value),
             windSpeed: parseFloat(DOM.windSpeed.value),
+            windGust: DOM.windGust ? parseFloat(DOM.windGust.value) : undefined,
             windDirection: DOM.windDirection.value,
             shotHeight: DOM.shotHeight.value
         };
+        conditions.ballTemperature = readBallTemperature(conditions.temperature);
         
         // Store current conditions in local storage
         localStorage.setItem('lastConditions', JSON.stringify(conditions));
@@ -235,7 +248,9 @@ function updateUI(results) {
     
     // Update distances
     if (DOM.finalCarry) {
-        DOM.finalCarry.textContent = `${Math.round(results.carryDistance)} yards`;
+        DOM.finalCarry.textContent = results.gustRange?.isGusty
+            ? `${Math.round(results.carryDistance)} yards (${formatPlaysLike(results.gustRange)})`
+            : `${Math.round(results.carryDistance)} yards`;
     }
     
     if (DOM.finalTotal) {
@@ -333,24 +348,28 @@ function debounce(func, wait) {
     };
 }
 
+// Shown until the player saves a bag of their own; named as on the clubs page
+const DEFAULT_BAG = [
+    { name: 'Driver', distance: 260 },
+    { name: '3 Wood', distance: 230 },
+    { name: '5 Wood', distance: 210 },
+    { name: '4 Iron', distance: 190 },
+    { name: '5 Iron', distance: 180 },
+    { name: '6 Iron', distance: 170 },
+    { name: '7 Iron', distance: 160 },
+    { name: '8 Iron', distance: 150 },
+    { name: '9 Iron', distance: 140 },
+    { name: 'Pitching Wedge', distance: 130 },
+    { name: 'Gap Wedge', distance: 120 },
+    { name: 'Sand Wedge', distance: 110 },
+    { name: 'Lob Wedge', distance: 90 }
+];
+
 class GolfApp {
     constructor() {
-        this.clubs = [
-            { name: 'Driver', distance: 260 },
-            { name: '3-Wood', distance: 230 },
-            { name: '5-Wood', distance: 210 },
-            { name: '4-Iron', distance: 190 },
-            { name: '5-Iron', distance: 180 },
-            { name: '6-Iron', distance: 170 },
-            { name: '7-Iron', distance: 160 },
-            { name: '8-Iron', distance: 150 },
-            { name: '9-Iron', distance: 140 },
-            { name: 'PW', distance: 130 },
-            { name: 'GW', distance: 120 },
-            { name: 'SW', distance: 110 },
-            { name: 'LW', distance: 90 }
-        ];
-        
+        this.clubStore = new ClubProfileStore();
+        this.loadClubs();
+
         this.recentCalculations = [];
         this.initializeApp();
     }
@@ -368,13 +387,20 @@ class GolfApp {
 
         clubList.innerHTML = this.clubs.map(club => `
             <div class="flex justify-between items-center p-3 bg-gray-700/50 rounded-xl">
-                <span class="text-gray-200">${club.name}</span>
-                <span class="text-green-400">${club.distance} yards</span>
+                <span class="text-gray-200">${escapeHtml(club.name)}</span>
+                <span class="text-green-400">${Math.round(club.carry)} yards</span>
             </div>
         `).join('');
     }
 
     async fetchWeather() {
+        // An active preset stands in for the live weather
+        const presetConditions = getActiveConditions();
+        if (presetConditions) {
+            this.updateWeatherDisplay(presetConditions);
+            return;
+        }
+
         try {
             // Get user's location
             let lat = process.env.DEFAULT_LAT;
@@ -392,32 +418,26 @@ class GolfApp {
                 console.warn('Using default location:', error);
             }
 
-            const apiKey = process.env.WEATHER_API_KEY;
-            if (!apiKey) {
-                throw new Error('Weather API key not configured');
-            }
-
-            const response = await fetch(
-                `https://api.openweathermap.org/data/2.5/weather?lat=${lat}&lon=${lon}&appid=${apiKey}&units=imperial`
+            const { conditions } = await new WeatherCache().getOrFetch(
+                getConfiguredWeatherProvider(),
+                { latitude: Number(lat), longitude: Number(lon) },
+                {
+                    staleWhileRevalidate: true,
+                    onUpdate: update => this.updateWeatherDisplay(update.conditions)
+                }
             );
-
-            if (!response.ok) {
-                throw new Error('Weather data fetch failed');
-            }
-
-            const data = await response.json();
-            this.updateWeatherDisplay(data);
+            this.updateWeatherDisplay(conditions);
         } catch (error) {
             console.error('Error fetching weather:', error);
             this.updateWithMockWeather();
         }
     }
 
-    updateWeatherDisplay(data) {
+    updateWeatherDisplay(conditions) {
         // Update current wind preview
         const currentWind = document.getElementById('current-wind');
         if (currentWind) {
-            currentWind.textContent = `${Math.round(data.wind.speed)} mph ${this.getWindDirection(data.wind.deg)}`;
+            currentWind.textContent = `${Math.round(conditions.windSpeed)} mph ${this.getWindDirection(conditions.windDirection)}`;
         }
 
         // Update detailed weather info
@@ -426,25 +446,22 @@ class GolfApp {
         const humidity = document.getElementById('humidity');
         const pressure = document.getElementById('pressure');
 
-        if (temperature) temperature.textContent = `${Math.round(data.main.temp)}°F`;
-        if (wind) wind.textContent = `${Math.round(data.wind.speed)} mph`;
-        if (humidity) humidity.textContent = `${data.main.humidity}%`;
-        if (pressure) pressure.textContent = `${data.main.pressure} hPa`;
+        if (temperature) temperature.textContent = `${Math.round(conditions.temperature)}°F`;
+        if (wind) wind.textContent = `${Math.round(conditions.windSpeed)} mph`;
+        if (humidity) humidity.textContent = `${Math.round(conditions.humidity)}%`;
+        if (pressure) pressure.textContent = `${conditions.stationPressure.toFixed(2)} inHg`;
     }
 
     updateWithMockWeather() {
-        const mockData = {
-            main: {
-                temp: 72,
-                humidity: 65,
-                pressure: 1013
-            },
-            wind: {
-                speed: 10,
-                deg: 45
-            }
-        };
-        this.updateWeatherDisplay(mockData);
+        const mockConditions = createConditions({
+            temperature: 72,
+            humidity: 65,
+            seaLevelPressure: 29.92,
+            windSpeed: 10,
+            windDirection: 45,
+            source: 'mock'
+        });
+        this.updateWeatherDisplay(mockConditions);
     }
 
     getWindDirection(degrees) {
@@ -459,22 +476,19 @@ class GolfApp {
         const distance = parseInt(prompt('Enter typical distance (yards):'));
         
         if (name && !isNaN(distance)) {
-            this.clubs.push({ name, distance });
+            // The first club added keeps the default bag alongside it
+            if (this.clubStore.list().length === 0) {
+                this.clubStore.write(this.clubs);
+            }
+            this.clubStore.save({ name, carry: distance });
+            this.loadClubs();
             this.renderClubs();
-            this.saveClubs();
         }
     }
 
-    saveClubs() {
-        localStorage.setItem('golfClubs', JSON.stringify(this.clubs));
-    }
-
     loadClubs() {
-        const saved = localStorage.getItem('golfClubs');
-        if (saved) {
-            this.clubs = JSON.parse(saved);
-            this.renderClubs();
-        }
+        const saved = this.clubStore.list();
+        this.clubs = saved.length ? saved : DEFAULT_BAG.map(createClubProfile);
     }
 
     addRecentCalculation(calculation) {
@@ -494,7 +508,7 @@ class GolfApp {
             this.recentCalculations.map(calc => `
                 <div class="flex justify-between items-center p-4 bg-gray-700/50 rounded-xl">
                     <div>
-                        <div class="text-white">${calc.club} • ${calc.distance} yards</div>
+                        <div class="text-white">${escapeHtml(calc.club)} • ${calc.distance} yards</div>
                         <div class="text-sm text-gray-400">Wind: ${calc.wind} mph ${calc.direction}</div>
                     </div>
                     <div class="text-green-400">${calc.adjustment}</div>
@@ -533,55 +547,39 @@ document.addEventListener('DOMContentLoaded', () => {
     const windDisplay = document.getElementById('wind');
     const humidityDisplay = document.getElementById('humidity');
     const pressureDisplay = document.getElementById('pressure');
+    const metarButton = document.getElementById('use-metar');
+    const metarInput = document.getElementById('metar-report');
+    const fieldElevationInput = document.getElementById('field-elevation');
 
     // Error handling function
     function showErrorMessage(message) {
         alert(message);
     }
 
-    function saveWeatherData(data) {
-        const weatherData = {
-            data: data,
-            timestamp: new Date().getTime(),
-            expiresIn: 30 * 60 * 1000 // 30 minutes in milliseconds
-        };
-        localStorage.setItem('weatherData', JSON.stringify(weatherData));
-    }
-
-    function getStoredWeatherData() {
-        const storedData = localStorage.getItem('weatherData');
-        if (!storedData) return null;
+    const weatherCache = new WeatherCache();
 
-        const weatherData = JSON.parse(storedData);
-        const now = new Date().getTime();
-        const isExpired = (now - weatherData.timestamp) > weatherData.expiresIn;
-
-        if (isExpired) {
-            localStorage.removeItem('weatherData');
-            return null;
-        }
-
-        return weatherData.data;
-    }
-
-    function updateWeatherDisplay(data) {
-        tempDisplay.textContent = `${Math.round(data.values.temperature)}°F`;
-        windDisplay.textContent = `${Math.round(data.values.windSpeed)} mph ${getWindDirection(data.values.windDirection)}`;
-        humidityDisplay.textContent = `${Math.round(data.values.humidity)}%`;
-        pressureDisplay.textContent = `${Math.round(data.values.pressureSurfaceLevel)} hPa`;
+    function updateWeatherDisplay(conditions, meta = null) {
+        tempDisplay.textContent = `${Math.round(conditions.temperature)}°F`;
+        windDisplay.textContent = `${Math.round(conditions.windSpeed)} mph ${getWindDirection(conditions.windDirection)}`;
+        humidityDisplay.textContent = `${Math.round(conditions.humidity)}%`;
+        pressureDisplay.textContent = `${conditions.stationPressure.toFixed(2)} inHg`;
 
         weatherDisplay.classList.remove('hidden');
-        const timestamp = new Date(data.time || new Date()).toLocaleTimeString();
-        lastUpdated.textContent = `Updated ${timestamp}`;
+        if (conditions.source.startsWith('preset: ')) {
+            lastUpdated.textContent = `Using ${conditions.source}`;
+        } else {
+            lastUpdated.textContent = meta
+                ? `Updated ${formatCacheMeta(meta)}`
+                : `Updated ${new Date(conditions.observedAt).toLocaleTimeString()}`;
+        }
     }
 
     async function getWeather() {
         try {
-            // Check for cached weather data first
-            const cachedData = getStoredWeatherData();
-            if (cachedData) {
-                console.log('Using cached weather data');
-                updateWeatherDisplay(cachedData);
+            // An active preset stands in for the live weather
+            const presetConditions = getActiveConditions();
+            if (presetConditions) {
+                updateWeatherDisplay(presetConditions);
                 return;
             }
 
@@ -596,27 +594,22 @@ document.addEventListener('DOMContentLoaded', () => {
             const { latitude, longitude } = position.coords;
             console.log('Location:', { latitude, longitude });
             
-            // Call Tomorrow.io API
-            const url = `https://api.tomorrow.io/v4/weather/realtime?location=${latitude},${longitude}&units=imperial&apikey=jG9onLuVeiR4NWlVIO85EWWLCtQ2Uzqv`;
-            console.log('API URL:', url);
+            // Reuse a recent reading from here, refreshing it in the background once stale
+            const { conditions, meta } = await weatherCache.getOrFetch(
+                getConfiguredWeatherProvider(),
+                { latitude, longitude },
+                {
+                    staleWhileRevalidate: true,
+                    onUpdate: update => updateWeatherDisplay(update.conditions, update.meta)
+                }
+            );
+            console.log('Conditions:', conditions, meta);
 
-            const response = await fetch(url);
-            console.log('Response status:', response.status);
-            
-            if (!response.ok) {
-                const errorText = await response.text();
-                console.error('API Error:', errorText);
-                throw new Error(`Weather API request failed: ${response.status} ${errorText}`);
-            }
-            
-            const data = await response.json();
-            console.log('API Response:', data);
+            // Keep the reading so the calculators can follow the trend through the round
+            new ConditionsTimeline().add(conditions);
 
-            // Save the weather data
-            saveWeatherData(data.data);
-            
             // Update display
-            updateWeatherDisplay(data.data);
+            updateWeatherDisplay(conditions, meta);
 
         } catch (error) {
             console.error('Detailed error:', error);
@@ -627,6 +620,29 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    // A pasted airport report needs no connection
+    async function useMetar() {
+        try {
+            const elevation = parseFloat(fieldElevationInput.value);
+            if (isNaN(elevation)) {
+                throw new Error('Enter the field elevation to convert the altimeter setting');
+            }
+
+            const provider = new MetarProvider({ report: metarInput.value, elevation });
+            const conditions = await provider.getConditions();
+
+            // A pasted report has no location to cache it under, so it becomes the active
+            // preset, which every calculator reads until live weather is chosen again
+            const presets = new ConditionsPresetStore();
+            const preset = presets.save(conditions.source.replace(/^metar/, 'METAR'), conditions);
+            presets.setActive(preset.id);
+            updateWeatherDisplay(getActiveConditions());
+        } catch (error) {
+            console.error('METAR error:', error);
+            showErrorMessage(`Unable to read the METAR: ${error.message}`);
+        }
+    }
+
     function getWindDirection(degrees) {
         const directions = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
         const index = Math.round(degrees / 22.5) % 16;
@@ -634,13 +650,20 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     // Event listeners
+    if (metarButton) {
+        metarButton.addEventListener('click', useMetar);
+    }
+
     if (weatherButton) {
         weatherButton.addEventListener('click', getWeather);
         
-        // Check for cached weather data on page load
-        const cachedData = getStoredWeatherData();
-        if (cachedData) {
-            updateWeatherDisplay(cachedData);
+        // Show a preset or the last reading on page load, before the location is known
+        const presetConditions = getActiveConditions();
+        const latest = presetConditions ? null : weatherCache.latest(getConfiguredWeatherProvider().name);
+        if (presetConditions) {
+            updateWeatherDisplay(presetConditions);
+        } else if (latest) {
+            updateWeatherDisplay(latest.conditions, latest.meta);
         }
     }
 });
@@ -169,7 +169,7 @@ export class UIManager {
     /**
      * Fetch weather data from API
      * @param {Object} coords - Coordinates object
-     * @returns {Promise} Weather data
+     * @returns {Promise<Object>} Conditions (see weather-provider)
      */
     async fetchWeatherData(coords) {
         const response = await fetch(`/api/weather?lat=${coords.latitude}&lon=${coords.longitude}`);
@@ -181,15 +181,15 @@ export class UIManager {
 
     /**
      * Update UI with weather data
-     * @param {Object} weather - Weather data
+     * @param {Object} conditions - Conditions from a weather provider
      */
-    updateWeatherInputs(weather) {
-        if (this.elements.temperature) this.elements.temperature.value = weather.temperature;
-        if (this.elements.humidity) this.elements.humidity.value = weather.humidity;
-        if (this.elements.pressure) this.elements.pressure.value = weather.pressure;
-        if (this.elements.windSpeed) this.elements.windSpeed.value = weather.windSpeed;
-        if (this.elements.windDirection) this.elements.windDirection.value = weather.windDirection;
-        if (this.elements.altitude) this.elements.altitude.value = weather.altitude;
+    updateWeatherInputs(conditions) {
+        if (this.elements.temperature) this.elements.temperature.value = conditions.temperature;
+        if (this.elements.humidity) this.elements.humidity.value = conditions.humidity;
+        if (this.elements.pressure) this.elements.pressure.value = conditions.seaLevelPressure;
+        if (this.elements.windSpeed) this.elements.windSpeed.value = conditions.windSpeed;
+        if (this.elements.windDirection) this.elements.windDirection.value = conditions.windDirection;
+        if (this.elements.altitude) this.elements.altitude.value = conditions.elevation ?? 0;
     }
 
     /**
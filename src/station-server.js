@@ -0,0 +1,22 @@
+// Weather station receiver: run with `npm run station` on the machine the station uploads to
+import dotenv from 'dotenv';
+import { StationReceiver } from './weather/station-receiver.js';
+
+dotenv.config();
+
+const optionalNumber = value => (value === undefined || value === '' ? undefined : Number(value));
+
+const port = optionalNumber(process.env.STATION_PORT) ?? 8090;
+const receiver = new StationReceiver({
+    elevation: optionalNumber(process.env.COURSE_ELEVATION),
+    latitude: optionalNumber(process.env.DEFAULT_LAT),
+    longitude: optionalNumber(process.env.DEFAULT_LON),
+    passkey: process.env.STATION_PASSKEY || undefined
+});
+
+receiver.listen(port)
+    .then(() => console.log(`Weather station receiver listening on port ${port}`))
+    .catch(error => {
+        console.error('Unable to start the weather station receiver:', error);
+        process.exit(1);
+    });
@@ -0,0 +1,34 @@
+/**
+ * Ball inputs module
+ *
+ * Reads where the ball has been from the ball inputs a page shows, so the
+ * engine flies the ball at its own temperature rather than the air's.
+ *
+ * @module ball-inputs
+ */
+
+import { calculateBallTemperature, clampBallTemperature } from '../calculations/ball-temperature.js';
+
+/**
+ * Ball temperature from the page's ball inputs
+ * @param {number} airTemperature - Air temperature in °F
+ * @param {Document} [doc] - Document with #ball-storage-temperature, #ball-minutes-out and #ball-held-in
+ * @returns {number|undefined} Ball temperature in °F; undefined when the ball has just been out in the air,
+ *     which the engine takes as the air temperature
+ */
+export function readBallTemperature(airTemperature, doc = globalThis.document) {
+    const storageTemperature = parseFloat(doc.getElementById('ball-storage-temperature')?.value);
+    const minutesOut = parseFloat(doc.getElementById('ball-minutes-out')?.value);
+    const heldIn = doc.getElementById('ball-held-in')?.value || 'air';
+    if (isNaN(storageTemperature) && heldIn === 'air') {
+        return undefined;
+    }
+
+    // Air colder or hotter than the ball model covers warms or cools the ball as its limit would
+    const air = clampBallTemperature(airTemperature);
+    return calculateBallTemperature(air, {
+        storageTemperature: isNaN(storageTemperature) ? air : storageTemperature,
+        minutesOut: isNaN(minutesOut) ? 0 : minutesOut,
+        heldIn
+    });
+}
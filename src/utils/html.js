@@ -0,0 +1,25 @@
+/**
+ * HTML utilities
+ *
+ * Club names, session formats and messages built from them come from the
+ * player or an imported file, so they are escaped before going into markup.
+ *
+ * @module html
+ */
+
+const ENTITIES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+/**
+ * Escape text for use in HTML content or a quoted attribute
+ * @param {*} value - Text to escape
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ENTITIES[char]);
+}
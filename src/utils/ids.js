@@ -0,0 +1,31 @@
+/**
+ * Ids module
+ *
+ * Stores key what they save by an id made from its name, so saving the same
+ * name again replaces the entry.
+ *
+ * @module ids
+ */
+
+/**
+ * Id from a name: its Latin letters and digits, or a hash of the name when it has none
+ *
+ * A name such as "東京" or "ウッド" would otherwise slug to an empty id and
+ * collide with every other such name.
+ *
+ * @param {string} name - Name to make an id from
+ * @param {string} prefix - Prefix of a hashed id, e.g. 'preset'
+ * @returns {string} Id
+ */
+export function toNameId(name, prefix) {
+    const trimmed = String(name).trim().toLowerCase();
+    const slug = trimmed.replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    if (slug) {
+        return slug;
+    }
+    let hash = 5381;
+    for (const char of trimmed) {
+        hash = (Math.imul(hash, 33) ^ char.codePointAt(0)) >>> 0;
+    }
+    return `${prefix}-${hash.toString(36)}`;
+}
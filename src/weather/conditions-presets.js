@@ -0,0 +1,164 @@
+/**
+ * Conditions presets module
+ *
+ * Named, saved Conditions such as "Home course summer morning" or "Denver
+ * trip". The active preset replaces the live fetch on every calculator page
+ * until it is cleared.
+ *
+ * @module conditions-presets
+ */
+
+import { createConditions } from './weather-provider.js';
+import { toNameId } from '../utils/ids.js';
+
+const PRESETS_KEY = 'conditionsPresets';
+const ACTIVE_KEY = 'activeConditionsPreset';
+
+const STANDARD_PRESSURE = 29.92; // inHg
+
+/**
+ * Preset id from its name, so saving the same name replaces the preset
+ * @param {string} name - Preset name
+ * @returns {string} Id
+ */
+function toPresetId(name) {
+    return toNameId(name, 'preset');
+}
+
+/**
+ * Saved conditions presets in localStorage (or any Storage-like object)
+ */
+export class ConditionsPresetStore {
+    /**
+     * @param {Storage} [storage] - Storage with getItem/setItem/removeItem; localStorage by default
+     */
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
+    }
+
+    /**
+     * All saved presets, oldest first
+     * @returns {Array<Object>} [{id, name, origin, createdAt, conditions}]
+     */
+    list() {
+        try {
+            return JSON.parse(this.storage.getItem(PRESETS_KEY) || '[]');
+        } catch (error) {
+            console.error('Error reading conditions presets:', error);
+            return [];
+        }
+    }
+
+    /**
+     * A preset by id
+     * @param {string} id - Preset id
+     * @returns {Object|null} Preset
+     */
+    get(id) {
+        return this.list().find(preset => preset.id === id) || null;
+    }
+
+    /**
+     * Save conditions under a name, replacing any preset with the same name
+     * @param {string} name - Preset name
+     * @param {Object} conditions - Conditions (see weather-provider)
+     * @param {string} [origin='snapshot'] - 'manual' or 'snapshot'
+     * @returns {Object} Saved preset
+     */
+    save(name, conditions, origin = 'snapshot') {
+        if (typeof name !== 'string' || !name.trim()) {
+            throw new Error('Preset name is required');
+        }
+        if (!conditions || typeof conditions !== 'object') {
+            throw new Error('Conditions must be a valid object');
+        }
+
+        const preset = {
+            id: toPresetId(name),
+            name: name.trim(),
+            origin,
+            createdAt: new Date().toISOString(),
+            conditions: createConditions(conditions)
+        };
+        const presets = this.list().filter(existing => existing.id !== preset.id);
+        presets.push(preset);
+        this.storage.setItem(PRESETS_KEY, JSON.stringify(presets));
+        return preset;
+    }
+
+    /**
+     * Save conditions typed in by the player
+     * @param {string} name - Preset name
+     * @param {Object} entry - Manual values
+     * @param {number} entry.temperature - Temperature in °F
+     * @param {number} entry.humidity - Relative humidity (0-100)
+     * @param {number} [entry.altitude=0] - Course altitude in feet
+     * @param {number} [entry.pressure=29.92] - Sea-level pressure in inHg
+     * @param {number} [entry.windSpeed=0] - Wind in mph
+     * @param {number} [entry.windDirection=0] - Where the wind blows from, degrees true
+     * @returns {Object} Saved preset
+     */
+    saveManual(name, entry) {
+        const { temperature, humidity, altitude = 0, pressure = STANDARD_PRESSURE, windSpeed = 0, windDirection = 0 } = entry;
+        if (typeof altitude !== 'number' || isNaN(altitude)) {
+            throw new Error('Altitude must be a valid number');
+        }
+        return this.save(name, {
+            temperature,
+            humidity,
+            seaLevelPressure: pressure,
+            elevation: altitude,
+            windSpeed,
+            windDirection,
+            source: 'manual'
+        }, 'manual');
+    }
+
+    /**
+     * Delete a preset, clearing it if active
+     * @param {string} id - Preset id
+     */
+    remove(id) {
+        this.storage.setItem(PRESETS_KEY, JSON.stringify(this.list().filter(preset => preset.id !== id)));
+        if (this.storage.getItem(ACTIVE_KEY) === id) {
+            this.storage.removeItem(ACTIVE_KEY);
+        }
+    }
+
+    /**
+     * Make a preset the conditions every page uses
+     * @param {string|null} id - Preset id, or null to go back to live weather
+     */
+    setActive(id) {
+        if (id === null) {
+            this.storage.removeItem(ACTIVE_KEY);
+            return;
+        }
+        if (!this.get(id)) {
+            throw new Error(`Unknown conditions preset: ${id}`);
+        }
+        this.storage.setItem(ACTIVE_KEY, id);
+    }
+
+    /**
+     * The active preset
+     * @returns {Object|null} Preset, or null when pages should use live weather
+     */
+    getActive() {
+        const id = this.storage.getItem(ACTIVE_KEY);
+        return id ? this.get(id) : null;
+    }
+}
+
+/**
+ * Conditions of the active preset, labelled with the preset's name
+ * @param {Storage} [storage] - Storage holding the presets; localStorage by default
+ * @returns {Object|null} Conditions, or null when no preset is active
+ */
+export function getActiveConditions(storage = globalThis.localStorage) {
+    if (!storage) {
+        return null;
+    }
+    const preset = new ConditionsPresetStore(storage).getActive();
+    return preset ? { ...preset.conditions, source: `preset: ${preset.name}` } : null;
+}
@@ -0,0 +1,237 @@
+/**
+ * Conditions timeline module
+ *
+ * Keeps the readings of the last few hours and extrapolates their trend to
+ * the time of the shot, so yardages drift with a front moving through
+ * mid-round instead of staying at the first-tee reading. Every reading also
+ * goes into a longer history, from any source or place, for looking up the
+ * weather of a past launch monitor session.
+ *
+ * @module conditions-timeline
+ */
+
+import { createConditions } from './weather-provider.js';
+import { calculateDistanceMiles } from './weather-cache.js';
+import { normalizeAngle } from '../calculations/wind-frame.js';
+
+const TIMELINE_KEY = 'conditionsTimeline';
+const HISTORY_KEY = 'conditionsHistory';
+const HOUR = 60 * 60 * 1000;
+
+export const DEFAULT_TIMELINE_OPTIONS = Object.freeze({
+    window: 3 * HOUR, // readings older than this are dropped
+    horizon: 2 * HOUR, // furthest a trend is extrapolated past the latest reading
+    maxDistance: 1, // miles; readings from elsewhere start a new timeline
+    maxReadings: 48,
+    historyWindow: 30 * 24 * HOUR, // readings older than this leave the history
+    maxHistory: 300
+});
+
+const TREND_FIELDS = [
+    'temperature', 'humidity', 'dewPoint', 'stationPressure',
+    'seaLevelPressure', 'windSpeed', 'windGust'
+];
+
+/**
+ * Least-squares slope of values against time
+ * @param {Array<number>} hours - Reading times in hours
+ * @param {Array<number>} values - Readings
+ * @returns {number} Change per hour; 0 without a time spread
+ */
+function slope(hours, values) {
+    const n = hours.length;
+    const meanHour = hours.reduce((sum, hour) => sum + hour, 0) / n;
+    const meanValue = values.reduce((sum, value) => sum + value, 0) / n;
+    let covariance = 0;
+    let variance = 0;
+    for (let i = 0; i < n; i++) {
+        covariance += (hours[i] - meanHour) * (values[i] - meanValue);
+        variance += (hours[i] - meanHour) ** 2;
+    }
+    return variance > 0 ? covariance / variance : 0;
+}
+
+/**
+ * Rate of change of each field over a set of readings
+ * @param {Array<Object>} readings - Conditions in time order
+ * @returns {Object} Change per hour of each trended field plus windDirection (degrees per hour, clockwise positive)
+ */
+export function calculateTrends(readings) {
+    if (!Array.isArray(readings) || readings.length === 0) {
+        throw new Error('Readings must be a non-empty array');
+    }
+
+    const latest = readings[readings.length - 1];
+    const latestTime = Date.parse(latest.observedAt);
+    const hours = readings.map(reading => (Date.parse(reading.observedAt) - latestTime) / HOUR);
+
+    const trends = {};
+    for (const field of TREND_FIELDS) {
+        trends[field] = slope(hours, readings.map(reading => reading[field]));
+    }
+    // Unwrap directions around the latest one so a shift through north is not a 360° swing
+    trends.windDirection = slope(hours, readings.map(reading =>
+        latest.windDirection + ((reading.windDirection - latest.windDirection + 540) % 360) - 180
+    ));
+    return trends;
+}
+
+/**
+ * Conditions projected from readings to a time
+ *
+ * Each trend is applied from the latest reading, so the projection always
+ * starts at what was last measured.
+ *
+ * @param {Array<Object>} readings - Conditions in time order
+ * @param {string|number|Date} time - Time to project to
+ * @param {Object} [options] - Projection options
+ * @param {number} [options.horizon] - Milliseconds past the latest reading the trend may be extended
+ * @returns {Object} Conditions at the time, with observedAt set to it
+ */
+export function extrapolateConditions(readings, time, options = {}) {
+    const { horizon = DEFAULT_TIMELINE_OPTIONS.horizon } = options;
+    const target = new Date(time).getTime();
+    if (isNaN(target)) {
+        throw new Error('Projection time must be a valid date');
+    }
+
+    const trends = calculateTrends(readings);
+    const latest = readings[readings.length - 1];
+    const latestTime = Date.parse(latest.observedAt);
+    const hours = Math.min(Math.max(0, target - latestTime), horizon) / HOUR;
+
+    const values = { ...latest, observedAt: target };
+    for (const field of TREND_FIELDS) {
+        values[field] = latest[field] + trends[field] * hours;
+    }
+    values.humidity = Math.min(100, Math.max(0, values.humidity));
+    values.windSpeed = Math.max(0, values.windSpeed);
+    values.windGust = Math.max(0, values.windGust);
+    values.windDirection = normalizeAngle(latest.windDirection + trends.windDirection * hours);
+
+    return createConditions(values);
+}
+
+/**
+ * Readings of the last few hours in localStorage (or any Storage-like object)
+ */
+export class ConditionsTimeline {
+    /**
+     * @param {Object} [options] - Timeline options; see DEFAULT_TIMELINE_OPTIONS
+     * @param {Storage} [options.storage] - Storage with getItem/setItem/removeItem; localStorage by default
+     * @param {number} [options.window] - Milliseconds of readings kept
+     * @param {number} [options.horizon] - Milliseconds a trend may be extended past the latest reading
+     * @param {number} [options.maxDistance] - Miles between readings of the same timeline
+     * @param {number} [options.maxReadings] - Readings kept, oldest dropped first
+     * @param {number} [options.historyWindow] - Milliseconds of readings kept in the history
+     * @param {number} [options.maxHistory] - Readings kept in the history, oldest dropped first
+     * @param {Function} [options.now] - Clock returning milliseconds; Date.now by default
+     */
+    constructor(options = {}) {
+        const { storage = globalThis.localStorage, now = Date.now, ...settings } = options;
+        Object.assign(this, DEFAULT_TIMELINE_OPTIONS, settings);
+        if (typeof this.window !== 'number' || isNaN(this.window) || this.window <= 0) {
+            throw new Error('Timeline window must be a positive number');
+        }
+        this.storage = storage;
+        this.now = now;
+    }
+
+    /**
+     * Readings still inside the window, in time order
+     * @returns {Array<Object>} Conditions
+     */
+    readings() {
+        return this.load(TIMELINE_KEY, this.window);
+    }
+
+    /**
+     * Readings of the last few weeks from every source and place, in time order
+     * @returns {Array<Object>} Conditions
+     */
+    history() {
+        return this.load(HISTORY_KEY, this.historyWindow);
+    }
+
+    /**
+     * Stored readings no older than a period
+     * @param {string} key - Storage key
+     * @param {number} period - Milliseconds
+     * @returns {Array<Object>} Conditions
+     */
+    load(key, period) {
+        try {
+            const readings = JSON.parse(this.storage.getItem(key) || '[]');
+            return readings.filter(reading => this.now() - Date.parse(reading.observedAt) <= period);
+        } catch (error) {
+            console.error('Error reading conditions timeline:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Add a reading
+     *
+     * A reading from another source or place starts the timeline again, since
+     * the difference between two services or sites is not a trend.
+     *
+     * @param {Object} conditions - Conditions from a weather provider
+     * @returns {Array<Object>} Readings after the addition
+     */
+    add(conditions) {
+        if (!conditions?.units) {
+            throw new Error('Conditions must come from a weather provider');
+        }
+
+        const sameSeries = reading => reading.source === conditions.source && (
+            reading.latitude === null || conditions.latitude === null ||
+            calculateDistanceMiles(reading, conditions) <= this.maxDistance
+        );
+        const readings = this.readings()
+            .filter(sameSeries)
+            .filter(reading => reading.observedAt !== conditions.observedAt);
+        readings.push(conditions);
+        readings.sort((a, b) => Date.parse(a.observedAt) - Date.parse(b.observedAt));
+
+        const kept = readings.slice(-this.maxReadings);
+        this.storage.setItem(TIMELINE_KEY, JSON.stringify(kept));
+
+        const history = this.history().filter(reading =>
+            reading.observedAt !== conditions.observedAt || reading.source !== conditions.source);
+        history.push(conditions);
+        history.sort((a, b) => Date.parse(a.observedAt) - Date.parse(b.observedAt));
+        this.storage.setItem(HISTORY_KEY, JSON.stringify(history.slice(-this.maxHistory)));
+
+        return kept;
+    }
+
+    /**
+     * Conditions projected to a time from the stored readings
+     * @param {string|number|Date} [time] - Time to project to; now by default
+     * @returns {Object|null} Conditions, or null without readings
+     */
+    project(time = this.now()) {
+        const readings = this.readings();
+        if (readings.length === 0) {
+            return null;
+        }
+        return extrapolateConditions(readings, time, { horizon: this.horizon });
+    }
+
+    /**
+     * Change per hour of the stored readings
+     * @returns {Object|null} Trends from calculateTrends, or null without readings
+     */
+    trends() {
+        const readings = this.readings();
+        return readings.length ? calculateTrends(readings) : null;
+    }
+
+    /**
+     * Remove every reading
+     */
+    clear() {
+        this.storage.removeItem(TIMELINE_KEY);
+        this.storage.removeItem(HISTORY_KEY);
+    }
+}
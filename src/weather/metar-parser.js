@@ -0,0 +1,240 @@
+/**
+ * METAR and TAF parser module
+ *
+ * Reads raw aviation reports into Conditions so a course near an airport can
+ * use the field's observation, including from a pasted report with no
+ * connection.
+ *
+ * @module metar-parser
+ */
+
+import { createConditions } from './weather-provider.js';
+import { altimeterToStationPressure, hpaToInHg } from '../calculations/pressure-calculations.js';
+
+const WIND_TO_MPH = {
+    KT: 1.15078,
+    MPS: 2.23694,
+    KMH: 0.621371
+};
+
+const WIND_PATTERN = /^(\d{3}|VRB)(\d{2,3})(?:G(\d{2,3}))?(KT|MPS|KMH)$/;
+const VARIABLE_WIND_PATTERN = /^(\d{3})V(\d{3})$/;
+const TEMPERATURE_PATTERN = /^(M?\d{2})\/(M?\d{2})?$/;
+const PRECISE_TEMPERATURE_PATTERN = /^T([01])(\d{3})([01])(\d{3})$/;
+
+const celsiusToFahrenheit = celsius => celsius * 9 / 5 + 32;
+const parseSignedTemperature = value => (value.startsWith('M') ? -1 : 1) * Number(value.replace('M', ''));
+
+/**
+ * Relative humidity from temperature and dew point
+ * @param {number} temperature - Temperature in Celsius
+ * @param {number} dewPoint - Dew point in Celsius
+ * @returns {number} Relative humidity (0-100)
+ */
+export function calculateRelativeHumidity(temperature, dewPoint) {
+    // Magnus formula
+    const saturation = t => Math.exp(17.625 * t / (243.04 + t));
+    return Math.min(100, 100 * saturation(dewPoint) / saturation(temperature));
+}
+
+/**
+ * Date of a DDHHMMZ group, taken in whichever month puts it closest to the reference date
+ * @param {string} group - Day-time group
+ * @param {Date} referenceDate - Date the report was received
+ * @returns {Date} Report time
+ */
+function parseReportTime(group, referenceDate) {
+    const day = Number(group.slice(0, 2));
+    const hour = Number(group.slice(2, 4));
+    const minute = Number(group.slice(4, 6));
+    const date = new Date(Date.UTC(referenceDate.getUTCFullYear(), referenceDate.getUTCMonth(), day, hour, minute));
+
+    // Observations can be from late last month; forecast periods can run into next month
+    const halfMonth = 15 * 24 * 60 * 60 * 1000;
+    if (date - referenceDate > halfMonth) {
+        date.setUTCMonth(date.getUTCMonth() - 1);
+    } else if (referenceDate - date > halfMonth) {
+        date.setUTCMonth(date.getUTCMonth() + 1);
+    }
+    return date;
+}
+
+/**
+ * Wind from a dddffGggKT group
+ * @param {string} group - Wind group
+ * @returns {Object|null} {direction (null when variable), speed, gust} in degrees and mph
+ */
+function parseWindGroup(group) {
+    const match = WIND_PATTERN.exec(group);
+    if (!match) {
+        return null;
+    }
+    const [, direction, speed, gust, unit] = match;
+    const toMph = WIND_TO_MPH[unit];
+    return {
+        direction: direction === 'VRB' ? null : Number(direction),
+        speed: Number(speed) * toMph,
+        gust: gust ? Number(gust) * toMph : null
+    };
+}
+
+/**
+ * Split a raw METAR into its groups
+ * @param {string} raw - Raw report, e.g. "METAR KDEN 011553Z 20012G20KT 10SM FEW080 24/03 A3012"
+ * @param {Object} [options] - Parse options
+ * @param {Date} [options.referenceDate=new Date()] - When the report was received, to date the DDHHMMZ group
+ * @returns {Object} Report fields; temperatures in Celsius, wind in mph, pressures in inHg
+ */
+export function parseMetarReport(raw, options = {}) {
+    const { referenceDate = new Date() } = options;
+    if (typeof raw !== 'string' || !raw.trim()) {
+        throw new Error('METAR report must be a non-empty string');
+    }
+
+    const [body, remarks = ''] = raw.trim().toUpperCase().replace(/=$/, '').split(/\sRMK\s/);
+    const groups = body.split(/\s+/);
+    if (groups[0] === 'METAR' || groups[0] === 'SPECI') {
+        groups.shift();
+    }
+
+    const station = groups.shift();
+    if (!/^[A-Z][A-Z0-9]{3}$/.test(station)) {
+        throw new Error(`Invalid METAR station identifier: ${station}`);
+    }
+
+    const report = { station, raw: raw.trim() };
+    for (const group of groups) {
+        if (/^\d{6}Z$/.test(group)) {
+            report.time = parseReportTime(group, referenceDate);
+        } else if (!report.wind && WIND_PATTERN.test(group)) {
+            report.wind = parseWindGroup(group);
+        } else if (VARIABLE_WIND_PATTERN.test(group)) {
+            const [, from, to] = VARIABLE_WIND_PATTERN.exec(group);
+            report.variableWind = { from: Number(from), to: Number(to) };
+        } else if (TEMPERATURE_PATTERN.test(group)) {
+            const [, temperature, dewPoint] = TEMPERATURE_PATTERN.exec(group);
+            report.temperature = parseSignedTemperature(temperature);
+            report.dewPoint = dewPoint ? parseSignedTemperature(dewPoint) : null;
+        } else if (/^A\d{4}$/.test(group)) {
+            report.altimeter = Number(group.slice(1)) / 100;
+        } else if (/^Q\d{4}$/.test(group)) {
+            report.altimeter = hpaToInHg(Number(group.slice(1)));
+        }
+    }
+
+    // North American remarks: SLPppp and tenths-of-a-degree temperatures
+    for (const group of remarks.split(/\s+/)) {
+        const precise = PRECISE_TEMPERATURE_PATTERN.exec(group);
+        if (precise) {
+            report.temperature = (precise[1] === '1' ? -1 : 1) * Number(precise[2]) / 10;
+            report.dewPoint = (precise[3] === '1' ? -1 : 1) * Number(precise[4]) / 10;
+        } else if (/^SLP\d{3}$/.test(group)) {
+            const tenths = Number(group.slice(3)) / 10;
+            report.seaLevelPressure = hpaToInHg(tenths + (tenths < 50 ? 1000 : 900));
+        }
+    }
+
+    if (!report.wind) {
+        throw new Error('METAR report has no wind group');
+    }
+    if (typeof report.temperature !== 'number') {
+        throw new Error('METAR report has no temperature group');
+    }
+    if (typeof report.altimeter !== 'number') {
+        throw new Error('METAR report has no altimeter setting');
+    }
+    return report;
+}
+
+/**
+ * Conditions from a raw METAR
+ * @param {string} raw - Raw report
+ * @param {Object} options - Parse options
+ * @param {number} options.elevation - Field elevation in feet
+ * @param {Date} [options.referenceDate=new Date()] - When the report was received
+ * @returns {Object} Conditions with source 'metar <station>'
+ */
+export function parseMetar(raw, options = {}) {
+    const report = parseMetarReport(raw, options);
+    const { elevation } = options;
+    const { wind, variableWind, temperature, dewPoint } = report;
+
+    // Without a dew point the humidity is unknown, and guessing it would claim dry or damp air
+    if (dewPoint === null || dewPoint === undefined) {
+        throw new Error('METAR report has no dew point, so the humidity is unknown');
+    }
+
+    // Variable wind takes the middle of its reported range (clockwise from the first
+    // direction). With no range it has no direction to push the ball in, so it counts as calm
+    let windDirection = wind.direction;
+    const isDirectionless = windDirection === null && !variableWind;
+    if (windDirection === null && variableWind) {
+        windDirection = (variableWind.from + ((variableWind.to - variableWind.from + 360) % 360) / 2) % 360;
+    }
+
+    return createConditions({
+        temperature: celsiusToFahrenheit(temperature),
+        humidity: calculateRelativeHumidity(temperature, dewPoint),
+        dewPoint: celsiusToFahrenheit(dewPoint),
+        stationPressure: altimeterToStationPressure(report.altimeter, elevation),
+        seaLevelPressure: report.seaLevelPressure ?? report.altimeter,
+        windSpeed: isDirectionless ? 0 : wind.speed,
+        windGust: isDirectionless ? 0 : wind.gust,
+        windDirection: windDirection ?? 0,
+        elevation,
+        observedAt: report.time,
+        source: `metar ${report.station}`
+    });
+}
+
+/**
+ * Wind periods from a raw TAF
+ *
+ * TAFs carry no temperature or (in North America) pressure, so only the
+ * prevailing wind of the base forecast and each FM change group is read.
+ *
+ * @param {string} raw - Raw TAF
+ * @param {Object} [options] - Parse options
+ * @param {Date} [options.referenceDate=new Date()] - When the forecast was received
+ * @returns {Array<Object>} [{from (Date), windDirection, windSpeed, windGust}] in time order
+ */
+export function parseTaf(raw, options = {}) {
+    const { referenceDate = new Date() } = options;
+    if (typeof raw !== 'string' || !raw.trim()) {
+        throw new Error('TAF report must be a non-empty string');
+    }
+
+    const groups = raw.trim().toUpperCase().replace(/=$/, '').split(/\s+/);
+    const periods = [];
+    let from = null;
+    let hasWind = false;
+
+    for (const group of groups) {
+        if (/^\d{4}\/\d{4}$/.test(group) && from === null) {
+            // Validity period of the base forecast
+            from = parseReportTime(`${group.slice(0, 4)}00`, referenceDate);
+        } else if (/^FM\d{6}$/.test(group)) {
+            from = parseReportTime(group.slice(2), referenceDate);
+            hasWind = false;
+        } else if (/^(TEMPO|BECMG|PROB\d{2})$/.test(group)) {
+            // Temporary and transitional groups do not change the prevailing wind
+            hasWind = true;
+        } else if (from && !hasWind) {
+            const wind = parseWindGroup(group);
+            if (wind) {
+                periods.push({
+                    from,
+                    windDirection: wind.direction,
+                    windSpeed: wind.speed,
+                    windGust: wind.gust ?? wind.speed
+                });
+                hasWind = true;
+            }
+        }
+    }
+
+    if (periods.length === 0) {
+        throw new Error('TAF report has no wind forecast');
+    }
+    return periods;
+}
@@ -0,0 +1,90 @@
+/**
+ * METAR weather provider module
+ * @module metar-provider
+ */
+
+import { WeatherProvider } from './weather-provider.js';
+import { parseMetar } from './metar-parser.js';
+
+const BASE_URL = 'https://aviationweather.gov/api/data/metar';
+const SEARCH_RADIUS = 0.5; // degrees of latitude/longitude around the course
+const M_TO_FT = 3.28084;
+
+/**
+ * Airport observations from a pasted METAR or the Aviation Weather Center
+ *
+ * With a report the provider works offline. Otherwise it fetches the latest
+ * METAR for the configured station, or for the airport nearest the course.
+ */
+export class MetarProvider extends WeatherProvider {
+    /**
+     * @param {Object} [options] - Provider options
+     * @param {string} [options.report] - Raw METAR to use instead of fetching
+     * @param {string} [options.station] - ICAO identifier of the airport to fetch
+     * @param {number} [options.elevation] - Field elevation in feet; required with a pasted report
+     * @param {Function} [options.fetch] - fetch implementation
+     */
+    constructor(options = {}) {
+        super(options);
+        this.report = options.report;
+        this.station = options.station;
+    }
+
+    get name() {
+        return 'metar';
+    }
+
+    get requiresApiKey() {
+        // The Aviation Weather Center needs no key
+        return false;
+    }
+
+    async getConditions(location) {
+        if (this.report) {
+            return parseMetar(this.report, { elevation: this.elevation });
+        }
+
+        const url = this.station
+            ? `${BASE_URL}?ids=${this.station}&format=json`
+            : this.buildUrl(location || {});
+        const observations = await this.request(url);
+        const nearest = this.findNearest(observations, location);
+        if (!nearest) {
+            throw new Error('No METAR found near the course');
+        }
+
+        // AWC reports the field elevation in meters
+        return parseMetar(nearest.rawOb, {
+            elevation: typeof nearest.elev === 'number' ? nearest.elev * M_TO_FT : this.elevation
+        });
+    }
+
+    buildUrl({ latitude, longitude }) {
+        if (typeof latitude !== 'number' || typeof longitude !== 'number') {
+            throw new Error('A METAR station or the course location is required');
+        }
+        const bbox = [
+            latitude - SEARCH_RADIUS, longitude - SEARCH_RADIUS,
+            latitude + SEARCH_RADIUS, longitude + SEARCH_RADIUS
+        ].map(value => value.toFixed(2)).join(',');
+        return `${BASE_URL}?bbox=${bbox}&format=json`;
+    }
+
+    /**
+     * Observation from the airport closest to a location
+     * @param {Array<Object>} observations - AWC METAR records with lat, lon and rawOb
+     * @param {Object} [location] - {latitude, longitude}; the first record is used without one
+     * @returns {Object|null} Closest record
+     */
+    findNearest(observations, location) {
+        const records = (Array.isArray(observations) ? observations : []).filter(record => record.rawOb);
+        if (!location || typeof location.latitude !== 'number') {
+            return records[0] || null;
+        }
+        const distance = record => Math.hypot(
+            record.lat - location.latitude,
+            (record.lon - location.longitude) * Math.cos(location.latitude * Math.PI / 180)
+        );
+        return records.reduce((best, record) => (!best || distance(record) < distance(best) ? record : best), null);
+    }
+}
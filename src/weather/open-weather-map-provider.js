@@ -0,0 +1,70 @@
+/**
+ * OpenWeatherMap weather provider module
+ * @module open-weather-map-provider
+ */
+
+import { WeatherProvider } from './weather-provider.js';
+import { hpaToInHg } from '../calculations/pressure-calculations.js';
+
+const BASE_URL = 'https://api.openweathermap.org/data/2.5';
+
+const toInHg = value => (typeof value === 'number' ? hpaToInHg(value) : undefined);
+const MM_PER_INCH = 25.4;
+
+/**
+ * Readings from an OpenWeatherMap weather or forecast list entry
+ * @param {Object} entry - Entry with main, wind and dt
+ * @returns {Object} Readings in CONDITIONS_UNITS
+ */
+function readEntry(entry) {
+    const main = entry.main || {};
+    const wind = entry.wind || {};
+    const rain = entry.rain || {};
+    return {
+        temperature: main.temp,
+        humidity: main.humidity,
+        // Pressures stay in hPa whatever the units parameter; grnd_level is the station value
+        stationPressure: toInHg(main.grnd_level),
+        seaLevelPressure: toInHg(main.sea_level ?? main.pressure),
+        windSpeed: wind.speed,
+        windGust: wind.gust,
+        windDirection: wind.deg,
+        // Rain is in millimetres over the last hour, or the three hours of a forecast step
+        precipitationRate: (rain['1h'] ?? (rain['3h'] ?? 0) / 3) / MM_PER_INCH,
+        observedAt: typeof entry.dt === 'number' ? entry.dt * 1000 : undefined
+    };
+}
+
+/**
+ * OpenWeatherMap current weather and 3-hour forecast, requested in imperial units
+ */
+export class OpenWeatherMapProvider extends WeatherProvider {
+    get name() {
+        return 'openweathermap';
+    }
+
+    buildUrl({ latitude, longitude }) {
+        return `${BASE_URL}/weather?lat=${latitude}&lon=${longitude}&appid=${this.apiKey}&units=imperial`;
+    }
+
+    buildForecastUrl({ latitude, longitude }) {
+        return `${BASE_URL}/forecast?lat=${latitude}&lon=${longitude}&appid=${this.apiKey}&units=imperial`;
+    }
+
+    normalize(payload, location) {
+        return {
+            ...readEntry(payload),
+            latitude: payload.coord?.lat ?? location.latitude,
+            longitude: payload.coord?.lon ?? location.longitude
+        };
+    }
+
+    normalizeForecast(payload, location) {
+        // Steps are three hours apart; the round timeline interpolates between them
+        return (payload.list || []).map(entry => ({
+            ...readEntry(entry),
+            latitude: payload.city?.coord?.lat ?? location.latitude,
+            longitude: payload.city?.coord?.lon ?? location.longitude
+        }));
+    }
+}
@@ -0,0 +1,43 @@
+/**
+ * Weather station provider module
+ * @module station-provider
+ */
+
+import { WeatherProvider, createConditions } from './weather-provider.js';
+
+/**
+ * Readings from the facility's own weather station, served by the station receiver
+ */
+export class StationProvider extends WeatherProvider {
+    /**
+     * @param {Object} [options] - Provider options
+     * @param {string} [options.url=''] - Receiver address; the page's own origin by default
+     * @param {number} [options.elevation] - Station elevation in feet, used when the receiver has none
+     * @param {Function} [options.fetch] - fetch implementation
+     */
+    constructor(options = {}) {
+        super(options);
+        this.url = (options.url || '').replace(/\/+$/, '');
+    }
+
+    get name() {
+        return 'station';
+    }
+
+    get requiresApiKey() {
+        return false;
+    }
+
+    async getConditions(location) {
+        const conditions = await this.request(this.buildUrl(location || {}));
+        // The receiver already serves Conditions; keep its station id as the source
+        return createConditions({ ...conditions, elevation: conditions.elevation ?? this.elevation });
+    }
+
+    buildUrl({ latitude, longitude }) {
+        const query = typeof latitude === 'number' && typeof longitude === 'number'
+            ? `?lat=${latitude}&lon=${longitude}`
+            : '';
+        return `${this.url}/api/weather${query}`;
+    }
+}
@@ -0,0 +1,160 @@
+/**
+ * Weather station receiver module
+ *
+ * A small Node HTTP server the facility's own weather station uploads to. It
+ * keeps the latest reading and serves it as Conditions at /api/weather, the
+ * route UIManager.fetchWeatherData and the station provider read.
+ *
+ * @module station-receiver
+ */
+
+import http from 'http';
+import { APIError } from '../utils/error-handling.js';
+import { parseStationUpload } from './station-upload.js';
+
+export const DEFAULT_MAX_AGE = 15 * 60 * 1000; // 15 minutes
+
+/**
+ * Upload paths consoles are pointed at: the Wunderground protocol path and Ecowitt's customized server path
+ */
+export const UPLOAD_PATHS = Object.freeze({
+    WUNDERGROUND: '/weatherstation/updateweatherstation.php',
+    ECOWITT: '/data/report'
+});
+
+const CONDITIONS_PATH = '/api/weather';
+const MAX_BODY_LENGTH = 16 * 1024;
+
+/**
+ * Read a request body
+ * @param {http.IncomingMessage} request - Request
+ * @returns {Promise<string>} Body text
+ */
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        request.setEncoding('utf8');
+        request.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_LENGTH) {
+                reject(new APIError('Station upload is too large', 413, request.url));
+                request.destroy();
+            }
+        });
+        request.on('end', () => resolve(body));
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Receives personal weather station uploads and serves the latest reading
+ */
+export class StationReceiver {
+    /**
+     * @param {Object} [options] - Receiver options
+     * @param {number} [options.elevation] - Station elevation in feet
+     * @param {number} [options.latitude] - Station latitude
+     * @param {number} [options.longitude] - Station longitude
+     * @param {string} [options.passkey] - When set, uploads must carry it as PASSWORD or PASSKEY
+     * @param {number} [options.maxAge=DEFAULT_MAX_AGE] - Milliseconds after which a reading is no longer served
+     */
+    constructor(options = {}) {
+        this.elevation = options.elevation;
+        this.latitude = options.latitude;
+        this.longitude = options.longitude;
+        this.passkey = options.passkey;
+        this.maxAge = options.maxAge ?? DEFAULT_MAX_AGE;
+        this.latest = null;
+        this.handleRequest = this.handleRequest.bind(this);
+    }
+
+    /**
+     * Store an upload as the latest reading
+     * @param {URLSearchParams|Object|string} params - Upload parameters
+     * @param {Date} [receivedAt=new Date()] - When the upload arrived
+     * @returns {Object} Conditions
+     */
+    receive(params, receivedAt = new Date()) {
+        const fields = Object.fromEntries(new URLSearchParams(params));
+        if (this.passkey && fields.PASSWORD !== this.passkey && fields.PASSKEY !== this.passkey) {
+            throw new APIError('Station passkey is not valid', 401, 'upload');
+        }
+
+        this.latest = parseStationUpload(fields, {
+            elevation: this.elevation,
+            latitude: this.latitude,
+            longitude: this.longitude,
+            receivedAt
+        });
+        return this.latest;
+    }
+
+    /**
+     * The latest reading, if it is recent enough to use
+     * @param {Date} [now=new Date()] - Current time
+     * @returns {Object} Conditions
+     */
+    getLatest(now = new Date()) {
+        if (!this.latest || now - Date.parse(this.latest.observedAt) > this.maxAge) {
+            throw new APIError('No recent weather station reading', 503, CONDITIONS_PATH);
+        }
+        return this.latest;
+    }
+
+    /**
+     * Route a request: station uploads in, Conditions out
+     * @param {http.IncomingMessage} request - Request
+     * @param {http.ServerResponse} response - Response
+     * @returns {Promise<void>}
+     */
+    async handleRequest(request, response) {
+        const url = new URL(request.url, 'http://localhost');
+        const path = url.pathname.replace(/\/+$/, '');
+
+        try {
+            if (request.method === 'GET' && path === CONDITIONS_PATH) {
+                sendJson(response, 200, this.getLatest());
+            } else if (request.method === 'GET' && path === UPLOAD_PATHS.WUNDERGROUND) {
+                this.receive(url.searchParams);
+                // Consoles check for this exact reply
+                send(response, 200, 'success\n', 'text/plain');
+            } else if (request.method === 'POST' && path === UPLOAD_PATHS.ECOWITT) {
+                this.receive(await readBody(request));
+                send(response, 200, '', 'text/plain');
+            } else {
+                throw new APIError('Not found', 404, path);
+            }
+        } catch (error) {
+            // Readings the conditions model rejects are the station's fault, not the server's
+            const status = error instanceof APIError ? error.status : 400;
+            sendJson(response, status, { error: error.message });
+        }
+    }
+
+    /**
+     * Start an HTTP server for the receiver
+     * @param {number} port - Port to listen on
+     * @returns {Promise<http.Server>} Listening server
+     */
+    listen(port) {
+        const server = http.createServer(this.handleRequest);
+        return new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, () => resolve(server));
+        });
+    }
+}
+
+function send(response, status, body, contentType) {
+    response.writeHead(status, {
+        'Content-Type': contentType,
+        'Cache-Control': 'no-store',
+        // Pages served by the dev server on another port read the conditions too
+        'Access-Control-Allow-Origin': '*'
+    });
+    response.end(body);
+}
+
+function sendJson(response, status, body) {
+    send(response, status, JSON.stringify(body), 'application/json');
+}
@@ -0,0 +1,110 @@
+/**
+ * Weather station upload module
+ *
+ * Reads the uploads personal weather stations send to a custom server:
+ * Wunderground-style query strings (Davis, Ambient and most consoles) and the
+ * Ecowitt form post. Both report in imperial units, so only the field names
+ * and the pressure they carry differ.
+ *
+ * @module station-upload
+ */
+
+import { createConditions } from './weather-provider.js';
+
+export const STATION_FORMATS = Object.freeze({
+    WUNDERGROUND: 'wunderground',
+    ECOWITT: 'ecowitt'
+});
+
+/**
+ * Pressure fields by format: absolute is measured at the station, relative is reduced to sea level
+ */
+const PRESSURE_FIELDS = {
+    [STATION_FORMATS.WUNDERGROUND]: { absolute: 'absbaromin', relative: 'baromin' },
+    [STATION_FORMATS.ECOWITT]: { absolute: 'baromabsin', relative: 'baromrelin' }
+};
+
+/**
+ * Upload parameters as a plain object
+ * @param {URLSearchParams|Object|string} params - Query string, form body or parsed parameters
+ * @returns {Object} Parameters by name
+ */
+function toParams(params) {
+    if (typeof params === 'string' || params instanceof URLSearchParams) {
+        return Object.fromEntries(new URLSearchParams(params));
+    }
+    if (!params || typeof params !== 'object') {
+        throw new Error('Station upload must be a query string or parameter object');
+    }
+    return params;
+}
+
+/**
+ * Observation time from a dateutc parameter
+ * @param {string} [dateutc] - "YYYY-MM-DD HH:MM:SS" in UTC, or "now"
+ * @param {Date} receivedAt - When the upload arrived
+ * @returns {Date} Observation time
+ */
+function parseUploadTime(dateutc, receivedAt) {
+    if (!dateutc || dateutc === 'now') {
+        return receivedAt;
+    }
+    const time = new Date(`${dateutc.trim().replace(' ', 'T')}Z`);
+    return isNaN(time.getTime()) ? receivedAt : time;
+}
+
+/**
+ * Which format an upload is in
+ * @param {Object} params - Upload parameters
+ * @returns {string} STATION_FORMATS value
+ */
+export function detectStationFormat(params) {
+    const fields = toParams(params);
+    return 'PASSKEY' in fields || 'baromrelin' in fields || 'baromabsin' in fields
+        ? STATION_FORMATS.ECOWITT
+        : STATION_FORMATS.WUNDERGROUND;
+}
+
+/**
+ * Conditions from a station upload
+ * @param {URLSearchParams|Object|string} params - Upload parameters
+ * @param {Object} [options] - Station details
+ * @param {number} [options.elevation] - Station elevation in feet; derived from the pressures when the station sends both
+ * @param {number} [options.latitude] - Station latitude
+ * @param {number} [options.longitude] - Station longitude
+ * @param {Date} [options.receivedAt=new Date()] - When the upload arrived, used for dateutc=now
+ * @returns {Object} Conditions with source 'station <id>'
+ */
+export function parseStationUpload(params, options = {}) {
+    const { elevation, latitude, longitude, receivedAt = new Date() } = options;
+    const fields = toParams(params);
+    const format = detectStationFormat(fields);
+    const pressure = PRESSURE_FIELDS[format];
+
+    if (fields[pressure.absolute] === undefined && fields[pressure.relative] === undefined) {
+        throw new Error('Station upload has no barometric pressure');
+    }
+
+    // Ecowitt's PASSKEY is a hash of the console's MAC address, so it is not shown
+    const id = format === STATION_FORMATS.ECOWITT
+        ? fields.model || fields.stationtype || format
+        : fields.ID || format;
+
+    return createConditions({
+        temperature: fields.tempf,
+        humidity: fields.humidity,
+        dewPoint: fields.dewptf,
+        stationPressure: fields[pressure.absolute],
+        seaLevelPressure: fields[pressure.relative],
+        windSpeed: fields.windspeedmph,
+        windGust: fields.windgustmph,
+        windDirection: fields.winddir,
+        // Ecowitt sends the instantaneous rate, Wunderground the rain of the last hour
+        precipitationRate: fields.rainratein ?? fields.rainin,
+        elevation,
+        latitude,
+        longitude,
+        observedAt: parseUploadTime(fields.dateutc, receivedAt),
+        source: `station ${id}`
+    });
+}
@@ -0,0 +1,126 @@
+/**
+ * Tee-time forecast module
+ *
+ * Turns a provider's hourly forecast into a conditions timeline for the hours
+ * of a round and precomputes a yardage card for each hour, so club choices can
+ * be prepared the night before.
+ *
+ * @module tee-time-forecast
+ */
+
+import { createConditions, toShotConditions } from './weather-provider.js';
+import { buildYardageCard } from '../calculations/yardage-card.js';
+import { resolveClubLaunch } from '../calculations/yardage-engine.js';
+import { normalizeAngle } from '../calculations/wind-frame.js';
+
+export const DEFAULT_ROUND_HOURS = 5;
+
+const HOUR = 60 * 60 * 1000;
+const LINEAR_FIELDS = [
+    'temperature', 'humidity', 'dewPoint', 'stationPressure',
+    'seaLevelPressure', 'windSpeed', 'windGust'
+];
+
+/**
+ * Conditions between two forecast steps
+ * @param {Object} before - Conditions at or before the time
+ * @param {Object} after - Conditions at or after the time
+ * @param {number} time - Time in milliseconds
+ * @returns {Object} Conditions at the time
+ */
+export function interpolateConditions(before, after, time) {
+    const start = Date.parse(before.observedAt);
+    const end = Date.parse(after.observedAt);
+    const fraction = end > start ? Math.min(1, Math.max(0, (time - start) / (end - start))) : 0;
+
+    const values = { ...before, observedAt: time };
+    for (const field of LINEAR_FIELDS) {
+        values[field] = before[field] + (after[field] - before[field]) * fraction;
+    }
+    // Turn the wind the short way round, so 350° to 10° passes through north
+    const turn = ((after.windDirection - before.windDirection + 540) % 360) - 180;
+    values.windDirection = normalizeAngle(before.windDirection + turn * fraction);
+
+    return createConditions(values);
+}
+
+/**
+ * Hour-by-hour conditions from the tee time to the end of the round
+ * @param {Array<Object>} forecast - Forecast Conditions in time order
+ * @param {string|number|Date} teeTime - Tee time
+ * @param {Object} [options] - Timeline options
+ * @param {number} [options.roundHours=DEFAULT_ROUND_HOURS] - Length of the round in hours
+ * @returns {Array<Object>} [{time (ISO string), hour (0 at the tee time), conditions}]
+ */
+export function buildConditionsTimeline(forecast, teeTime, options = {}) {
+    const { roundHours = DEFAULT_ROUND_HOURS } = options;
+    const start = new Date(teeTime).getTime();
+
+    if (!Array.isArray(forecast) || forecast.length === 0) {
+        throw new Error('Forecast must be a non-empty array');
+    }
+    if (isNaN(start)) {
+        throw new Error('Tee time must be a valid date');
+    }
+    if (typeof roundHours !== 'number' || isNaN(roundHours) || roundHours <= 0) {
+        throw new Error('Round length must be a positive number of hours');
+    }
+
+    const first = Date.parse(forecast[0].observedAt);
+    const last = Date.parse(forecast[forecast.length - 1].observedAt);
+    if (start < first || start + roundHours * HOUR > last) {
+        throw new Error('Tee time is outside the forecast range');
+    }
+
+    const timeline = [];
+    for (let hour = 0; hour <= roundHours; hour++) {
+        const time = start + hour * HOUR;
+        const index = forecast.findIndex(step => Date.parse(step.observedAt) >= time);
+        const after = forecast[index];
+        const before = forecast[Math.max(0, index - 1)];
+        timeline.push({
+            time: new Date(time).toISOString(),
+            hour,
+            conditions: interpolateConditions(before, after, time)
+        });
+    }
+    return timeline;
+}
+
+/**
+ * A yardage card for every hour of a timeline
+ * @param {Array<Object>} timeline - Output of buildConditionsTimeline
+ * @param {Object} [options] - buildYardageCard options (clubs, distances, bearing)
+ * @returns {Array<Object>} [{time, hour, conditions, card}]
+ */
+export function buildRoundYardageCards(timeline, options = {}) {
+    // Calibrate the bag once rather than for every hour
+    const clubs = (options.clubs || []).map(club => resolveClubLaunch(club));
+
+    return timeline.map(({ time, hour, conditions }) => ({
+        time,
+        hour,
+        conditions,
+        card: buildYardageCard(toShotConditions(conditions), { ...options, clubs })
+    }));
+}
+
+/**
+ * Fetch the forecast and build the round's timeline and yardage cards
+ * @param {WeatherProvider} provider - Weather provider with an hourly forecast
+ * @param {Object} location - {latitude, longitude} of the course
+ * @param {string|number|Date} teeTime - Tee time
+ * @param {Object} [options] - roundHours plus buildYardageCard options
+ * @returns {Promise<Object>} {teeTime, source, createdAt, hours}
+ */
+export async function getTeeTimeForecast(provider, location, teeTime, options = {}) {
+    const forecast = await provider.getHourlyForecast(location);
+    const timeline = buildConditionsTimeline(forecast, teeTime, options);
+
+    return {
+        teeTime: new Date(teeTime).toISOString(),
+        source: provider.name,
+        createdAt: new Date().toISOString(),
+        hours: buildRoundYardageCards(timeline, options)
+    };
+}
@@ -0,0 +1,62 @@
+/**
+ * Tomorrow.io weather provider module
+ * @module tomorrow-io-provider
+ */
+
+import { WeatherProvider } from './weather-provider.js';
+
+const BASE_URL = 'https://api.tomorrow.io/v4/weather';
+
+/**
+ * Readings from a Tomorrow.io {time, values} entry
+ * @param {Object} entry - Realtime data or a forecast timeline step
+ * @returns {Object} Readings in CONDITIONS_UNITS
+ */
+function readEntry({ time, values = {} } = {}) {
+    return {
+        temperature: values.temperature,
+        humidity: values.humidity,
+        dewPoint: values.dewPoint,
+        // Imperial pressures are already in inHg
+        stationPressure: values.pressureSurfaceLevel,
+        seaLevelPressure: values.pressureSeaLevel,
+        windSpeed: values.windSpeed,
+        windGust: values.windGust,
+        windDirection: values.windDirection,
+        precipitationRate: values.precipitationIntensity,
+        observedAt: time
+    };
+}
+
+/**
+ * Tomorrow.io realtime weather and hourly forecast, requested in imperial units
+ */
+export class TomorrowIoProvider extends WeatherProvider {
+    get name() {
+        return 'tomorrow.io';
+    }
+
+    buildUrl({ latitude, longitude }) {
+        return `${BASE_URL}/realtime?location=${latitude},${longitude}&units=imperial&apikey=${this.apiKey}`;
+    }
+
+    buildForecastUrl({ latitude, longitude }) {
+        return `${BASE_URL}/forecast?location=${latitude},${longitude}&timesteps=1h&units=imperial&apikey=${this.apiKey}`;
+    }
+
+    normalize(payload, location) {
+        return {
+            ...readEntry(payload.data),
+            latitude: payload.location?.lat ?? location.latitude,
+            longitude: payload.location?.lon ?? location.longitude
+        };
+    }
+
+    normalizeForecast(payload, location) {
+        return (payload.timelines?.hourly || []).map(entry => ({
+            ...readEntry(entry),
+            latitude: payload.location?.lat ?? location.latitude,
+            longitude: payload.location?.lon ?? location.longitude
+        }));
+    }
+}
@@ -0,0 +1,65 @@
+/**
+ * WeatherAPI.com weather provider module
+ * @module weather-api-provider
+ */
+
+import { WeatherProvider } from './weather-provider.js';
+
+const BASE_URL = 'https://api.weatherapi.com/v1';
+const FORECAST_DAYS = 3;
+
+/**
+ * Readings from a WeatherAPI current or forecast hour entry
+ * @param {Object} entry - Entry with the *_f, *_mph and *_in fields
+ * @param {number} epoch - Time of the entry in seconds
+ * @returns {Object} Readings in CONDITIONS_UNITS
+ */
+function readEntry(entry, epoch) {
+    return {
+        temperature: entry.temp_f,
+        humidity: entry.humidity,
+        dewPoint: entry.dewpoint_f,
+        // WeatherAPI only reports pressure reduced to sea level
+        seaLevelPressure: entry.pressure_in,
+        windSpeed: entry.wind_mph,
+        windGust: entry.gust_mph,
+        windDirection: entry.wind_degree,
+        precipitationRate: entry.precip_in,
+        observedAt: typeof epoch === 'number' ? epoch * 1000 : undefined
+    };
+}
+
+/**
+ * WeatherAPI.com current conditions and hourly forecast
+ */
+export class WeatherApiProvider extends WeatherProvider {
+    get name() {
+        return 'weatherapi';
+    }
+
+    buildUrl({ latitude, longitude }) {
+        return `${BASE_URL}/current.json?key=${this.apiKey}&q=${latitude},${longitude}`;
+    }
+
+    buildForecastUrl({ latitude, longitude }) {
+        return `${BASE_URL}/forecast.json?key=${this.apiKey}&q=${latitude},${longitude}&days=${FORECAST_DAYS}`;
+    }
+
+    normalize(payload, location) {
+        const current = payload.current || {};
+        return {
+            ...readEntry(current, current.last_updated_epoch),
+            latitude: payload.location?.lat ?? location.latitude,
+            longitude: payload.location?.lon ?? location.longitude
+        };
+    }
+
+    normalizeForecast(payload, location) {
+        const days = payload.forecast?.forecastday || [];
+        return days.flatMap(day => day.hour || []).map(hour => ({
+            ...readEntry(hour, hour.time_epoch),
+            latitude: payload.location?.lat ?? location.latitude,
+            longitude: payload.location?.lon ?? location.longitude
+        }));
+    }
+}
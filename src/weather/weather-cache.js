@@ -0,0 +1,249 @@
+/**
+ * Weather cache module
+ *
+ * The one place pages keep fetched Conditions. Entries are keyed by provider
+ * and rounded location, so a reading is only reused near where it was taken
+ * and from the service that took it; every entry carries its age and source
+ * for display.
+ *
+ * @module weather-cache
+ */
+
+const CACHE_KEY = 'weatherCache';
+const LEGACY_KEY = 'weatherData';
+
+const EARTH_RADIUS_MILES = 3958.8;
+
+export const DEFAULT_CACHE_OPTIONS = Object.freeze({
+    maxAge: 30 * 60 * 1000, // 30 minutes before an entry is stale
+    maxStaleAge: 3 * 60 * 60 * 1000, // 3 hours before a stale entry is dropped
+    maxDistance: 1, // miles from the requested location
+    precision: 2, // decimal places of latitude/longitude in the key
+    maxEntries: 20
+});
+
+/**
+ * Great-circle distance between two locations
+ * @param {Object} from - {latitude, longitude} in degrees
+ * @param {Object} to - {latitude, longitude} in degrees
+ * @returns {number} Distance in miles
+ */
+export function calculateDistanceMiles(from, to) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(to.latitude - from.latitude);
+    const dLon = toRadians(to.longitude - from.longitude);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_MILES * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Short description of a cached reading for the page, e.g. "tomorrow.io · 5 min ago"
+ * @param {Object} meta - Entry metadata from WeatherCache
+ * @returns {string} Description
+ */
+export function formatCacheMeta(meta) {
+    const minutes = Math.floor(meta.age / 60000);
+    const age = minutes < 1 ? 'just now' : minutes < 60 ? `${minutes} min ago` : `${Math.floor(minutes / 60)} h ago`;
+    return `${meta.source} · ${age}${meta.stale ? ' (refreshing)' : ''}`;
+}
+
+function validateLocation(location) {
+    const { latitude, longitude } = location || {};
+    if (typeof latitude !== 'number' || isNaN(latitude) || typeof longitude !== 'number' || isNaN(longitude)) {
+        throw new Error('Location must have a numeric latitude and longitude');
+    }
+    return { latitude, longitude };
+}
+
+/**
+ * Conditions cached per provider and location in localStorage (or any Storage-like object)
+ */
+export class WeatherCache {
+    /**
+     * @param {Object} [options] - Cache options; see DEFAULT_CACHE_OPTIONS
+     * @param {Storage} [options.storage] - Storage with getItem/setItem/removeItem; localStorage by default
+     * @param {number} [options.maxAge] - Milliseconds before an entry is stale
+     * @param {number} [options.maxStaleAge] - Milliseconds before a stale entry is no longer served at all
+     * @param {number} [options.maxDistance] - Miles from the requested location an entry may be used
+     * @param {number} [options.precision] - Decimal places of the rounded location in keys
+     * @param {number} [options.maxEntries] - Entries kept, oldest dropped first
+     * @param {Function} [options.now] - Clock returning milliseconds; Date.now by default
+     */
+    constructor(options = {}) {
+        const { storage = globalThis.localStorage, now = Date.now, ...settings } = options;
+        Object.assign(this, DEFAULT_CACHE_OPTIONS, settings);
+        if (typeof this.maxAge !== 'number' || isNaN(this.maxAge) || this.maxAge <= 0) {
+            throw new Error('Cache max age must be a positive number');
+        }
+        if (typeof this.maxDistance !== 'number' || isNaN(this.maxDistance) || this.maxDistance < 0) {
+            throw new Error('Cache max distance must be a non-negative number');
+        }
+        this.storage = storage;
+        this.now = now;
+    }
+
+    /**
+     * Key of a provider's reading at a location
+     * @param {string} provider - Provider name
+     * @param {Object} location - {latitude, longitude}
+     * @returns {string} Key, e.g. "tomorrow.io:39.74,-104.99"
+     */
+    key(provider, location) {
+        const { latitude, longitude } = validateLocation(location);
+        return `${provider}:${latitude.toFixed(this.precision)},${longitude.toFixed(this.precision)}`;
+    }
+
+    /**
+     * Cached Conditions for a provider near a location
+     * @param {string} provider - Provider name
+     * @param {Object} location - {latitude, longitude}
+     * @param {Object} [options] - Lookup options
+     * @param {boolean} [options.allowStale=false] - Return entries past maxAge (but within maxStaleAge)
+     * @returns {Object|null} {conditions, meta} for the closest usable entry
+     */
+    get(provider, location, options = {}) {
+        const { allowStale = false } = options;
+        const entries = this.read();
+        const exact = entries[this.key(provider, location)];
+        const candidates = exact ? [exact] : Object.values(entries).filter(entry => entry.provider === provider);
+
+        let best = null;
+        for (const entry of candidates) {
+            const result = this.describe(entry, location);
+            const usable = result.meta.distance <= this.maxDistance &&
+                result.meta.age <= this.maxStaleAge &&
+                (allowStale || !result.meta.stale);
+            if (usable && (!best || result.meta.distance < best.meta.distance)) {
+                best = result;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Most recent usable entry for a provider wherever it was taken, for display before the location is known
+     * @param {string} provider - Provider name
+     * @returns {Object|null} {conditions, meta}; meta.distance is null
+     */
+    latest(provider) {
+        const entry = Object.values(this.read())
+            .filter(candidate => candidate.provider === provider)
+            .sort((a, b) => b.cachedAt - a.cachedAt)[0];
+        if (!entry) {
+            return null;
+        }
+        const result = this.describe(entry, null);
+        return result.meta.age <= this.maxStaleAge ? result : null;
+    }
+
+    /**
+     * Cache Conditions for a provider at a location
+     * @param {string} provider - Provider name
+     * @param {Object} location - {latitude, longitude} the reading was requested for
+     * @param {Object} conditions - Conditions
+     * @returns {Object} {conditions, meta}
+     */
+    set(provider, location, conditions) {
+        const { latitude, longitude } = validateLocation(location);
+        if (!conditions?.units) {
+            throw new Error('Conditions must come from a weather provider');
+        }
+
+        const entry = { provider, latitude, longitude, cachedAt: this.now(), conditions };
+        const entries = { ...this.read(), [this.key(provider, location)]: entry };
+
+        // Keep the newest entries that could still be served
+        const kept = Object.entries(entries)
+            .filter(([, candidate]) => this.now() - candidate.cachedAt <= this.maxStaleAge)
+            .sort(([, a], [, b]) => b.cachedAt - a.cachedAt)
+            .slice(0, this.maxEntries);
+        this.write(Object.fromEntries(kept));
+        return this.describe(entry, location);
+    }
+
+    /**
+     * Fetch from a provider and cache the result
+     * @param {WeatherProvider} provider - Provider to fetch from
+     * @param {Object} location - {latitude, longitude}
+     * @returns {Promise<Object>} {conditions, meta}
+     */
+    async refresh(provider, location) {
+        const conditions = await provider.getConditions(location);
+        return this.set(provider.name, location, conditions);
+    }
+
+    /**
+     * Cached Conditions when fresh, otherwise fetched
+     *
+     * With staleWhileRevalidate, a stale entry is returned straight away and
+     * the fetch runs in the background; onUpdate receives the new reading.
+     *
+     * @param {WeatherProvider} provider - Provider to fetch from
+     * @param {Object} location - {latitude, longitude}
+     * @param {Object} [options] - Fetch options
+     * @param {boolean} [options.staleWhileRevalidate=false] - Serve stale entries while refreshing
+     * @param {Function} [options.onUpdate] - Called with {conditions, meta} after a background refresh
+     * @returns {Promise<Object>} {conditions, meta}
+     */
+    async getOrFetch(provider, location, options = {}) {
+        const { staleWhileRevalidate = false, onUpdate } = options;
+        const cached = this.get(provider.name, location, { allowStale: staleWhileRevalidate });
+
+        if (cached && !cached.meta.stale) {
+            return cached;
+        }
+        if (cached) {
+            this.refresh(provider, location)
+                .then(result => onUpdate?.(result))
+                .catch(error => console.error('Error refreshing cached weather:', error));
+            return cached;
+        }
+        return this.refresh(provider, location);
+    }
+
+    /**
+     * Remove every cached reading
+     */
+    clear() {
+        this.storage.removeItem(CACHE_KEY);
+        this.storage.removeItem(LEGACY_KEY);
+    }
+
+    /**
+     * Entry with its metadata
+     * @param {Object} entry - Stored entry
+     * @param {Object|null} location - Requested location, for the distance
+     * @returns {Object} {conditions, meta: {provider, source, cachedAt, observedAt, age, stale, distance}}
+     */
+    describe(entry, location) {
+        const age = Math.max(0, this.now() - entry.cachedAt);
+        return {
+            conditions: entry.conditions,
+            meta: {
+                provider: entry.provider,
+                source: entry.conditions.source,
+                cachedAt: new Date(entry.cachedAt).toISOString(),
+                observedAt: entry.conditions.observedAt,
+                age,
+                stale: age > this.maxAge,
+                distance: location ? calculateDistanceMiles(entry, location) : null
+            }
+        };
+    }
+
+    read() {
+        try {
+            return JSON.parse(this.storage.getItem(CACHE_KEY) || '{}');
+        } catch (error) {
+            console.error('Error reading weather cache:', error);
+            return {};
+        }
+    }
+
+    write(entries) {
+        this.storage.setItem(CACHE_KEY, JSON.stringify(entries));
+        // Entries from before the cache had no location or provider
+        this.storage.removeItem(LEGACY_KEY);
+    }
+}
@@ -0,0 +1,282 @@
+/**
+ * Weather provider module
+ *
+ * Every weather service is wrapped in a WeatherProvider whose getConditions
+ * resolves to the same Conditions object, so pages never read a service's
+ * own response shape.
+ *
+ * @module weather-provider
+ */
+
+import { APIError } from '../utils/error-handling.js';
+import { calculateDewPoint } from '../calculations/air-density-calculations.js';
+import {
+    calculatePressureElevation,
+    seaLevelToStationPressure,
+    stationToSeaLevelPressure,
+    PRESSURE_TYPES
+} from '../calculations/pressure-calculations.js';
+
+/**
+ * Units of every Conditions field
+ */
+export const CONDITIONS_UNITS = Object.freeze({
+    temperature: '°F',
+    humidity: '%',
+    dewPoint: '°F',
+    stationPressure: 'inHg',
+    seaLevelPressure: 'inHg',
+    windSpeed: 'mph',
+    windGust: 'mph',
+    windDirection: 'degrees true, direction the wind blows from',
+    precipitationRate: 'in/hr',
+    elevation: 'ft'
+});
+
+const isNumber = value => typeof value === 'number' && !isNaN(value);
+const optionalNumber = value => (value === null || value === undefined || value === '' ? null : Number(value));
+
+/**
+ * Build a Conditions object, deriving whatever a service leaves out
+ *
+ * Station pressure comes from sea-level pressure and elevation when a service
+ * only reports the reduced value; elevation comes from the two pressures when
+ * neither the service nor the caller knows it.
+ *
+ * @param {Object} values - Readings already converted to CONDITIONS_UNITS
+ * @param {number} values.temperature - Temperature in °F
+ * @param {number} values.humidity - Relative humidity (0-100)
+ * @param {number} [values.dewPoint] - Dew point in °F
+ * @param {number} [values.stationPressure] - Pressure at the course in inHg
+ * @param {number} [values.seaLevelPressure] - Pressure reduced to sea level in inHg
+ * @param {number} [values.windSpeed=0] - Sustained wind in mph
+ * @param {number} [values.windGust] - Gust speed in mph
+ * @param {number} [values.windDirection=0] - Where the wind blows from, degrees true
+ * @param {number} [values.precipitationRate=0] - Rain rate in inches per hour
+ * @param {number} [values.elevation] - Elevation in feet
+ * @param {number} [values.latitude] - Latitude of the reading
+ * @param {number} [values.longitude] - Longitude of the reading
+ * @param {string|number|Date} [values.observedAt] - Observation time
+ * @param {string} [values.source] - Provider name
+ * @returns {Object} Conditions
+ */
+export function createConditions(values) {
+    const temperature = optionalNumber(values.temperature);
+    const humidity = optionalNumber(values.humidity);
+    if (!isNumber(temperature)) {
+        throw new Error('Temperature must be a valid number');
+    }
+    if (!isNumber(humidity) || humidity < 0 || humidity > 100) {
+        throw new Error('Humidity must be between 0% and 100%');
+    }
+
+    const windSpeed = optionalNumber(values.windSpeed) ?? 0;
+    if (!isNumber(windSpeed) || windSpeed < 0) {
+        throw new Error('Wind speed must be a non-negative number');
+    }
+
+    let stationPressure = optionalNumber(values.stationPressure);
+    let seaLevelPressure = optionalNumber(values.seaLevelPressure);
+    let elevation = optionalNumber(values.elevation);
+    if (stationPressure === null && seaLevelPressure === null) {
+        throw new Error('Station or sea-level pressure is required');
+    }
+
+    if (elevation === null && stationPressure !== null && seaLevelPressure !== null) {
+        elevation = calculatePressureElevation(stationPressure, seaLevelPressure);
+    }
+    if (stationPressure === null) {
+        stationPressure = seaLevelToStationPressure(seaLevelPressure, elevation ?? 0);
+    }
+    if (seaLevelPressure === null) {
+        seaLevelPressure = stationToSeaLevelPressure(stationPressure, elevation ?? 0);
+    }
+
+    return {
+        temperature,
+        humidity,
+        dewPoint: optionalNumber(values.dewPoint) ?? calculateDewPoint(temperature, humidity),
+        stationPressure,
+        seaLevelPressure,
+        windSpeed,
+        windGust: Math.max(windSpeed, optionalNumber(values.windGust) ?? 0),
+        windDirection: optionalNumber(values.windDirection) ?? 0,
+        precipitationRate: Math.max(0, optionalNumber(values.precipitationRate) ?? 0),
+        elevation,
+        latitude: optionalNumber(values.latitude),
+        longitude: optionalNumber(values.longitude),
+        observedAt: new Date(values.observedAt ?? Date.now()).toISOString(),
+        source: values.source || 'unknown',
+        units: CONDITIONS_UNITS
+    };
+}
+
+/**
+ * Check a location's coordinates
+ * @param {Object} location - {latitude, longitude} in degrees
+ * @returns {Object} {latitude, longitude}
+ */
+function validateLocation(location) {
+    const { latitude, longitude } = location || {};
+    if (!isNumber(latitude) || latitude < -90 || latitude > 90) {
+        throw new Error('Latitude must be between -90 and 90');
+    }
+    if (!isNumber(longitude) || longitude < -180 || longitude > 180) {
+        throw new Error('Longitude must be between -180 and 180');
+    }
+    return { latitude, longitude };
+}
+
+/**
+ * Map Conditions onto the yardage engine's conditions argument
+ *
+ * Station pressure already reflects the course's elevation, so the engine
+ * does not apply altitude again.
+ *
+ * @param {Object} conditions - Conditions from a WeatherProvider
+ * @returns {Object} Conditions for computeShot
+ */
+export function toShotConditions(conditions) {
+    return {
+        temperature: conditions.temperature,
+        humidity: conditions.humidity,
+        pressure: conditions.stationPressure,
+        pressureType: PRESSURE_TYPES.STATION,
+        altitude: conditions.elevation ?? 0,
+        windSpeed: conditions.windSpeed,
+        windGust: conditions.windGust,
+        windDirection: conditions.windDirection,
+        precipitationRate: conditions.precipitationRate ?? 0
+    };
+}
+
+/**
+ * Base class for weather services
+ *
+ * Adapters implement buildUrl and normalize, plus buildForecastUrl and
+ * normalizeForecast when the service has an hourly forecast; the base class
+ * does the requests and error handling.
+ */
+export class WeatherProvider {
+    /**
+     * @param {Object} [options] - Provider options
+     * @param {string} [options.apiKey] - Service API key
+     * @param {number} [options.elevation] - Course elevation in feet, used when the service has none
+     * @param {Function} [options.fetch] - fetch implementation
+     */
+    constructor(options = {}) {
+        this.apiKey = options.apiKey;
+        this.elevation = options.elevation;
+        this.fetch = options.fetch || ((...args) => globalThis.fetch(...args));
+    }
+
+    /**
+     * Provider name reported as Conditions.source
+     * @returns {string} Name
+     */
+    get name() {
+        return 'provider';
+    }
+
+    /**
+     * Whether requests need options.apiKey
+     * @returns {boolean} True for keyed services
+     */
+    get requiresApiKey() {
+        return true;
+    }
+
+    /**
+     * Current conditions at a location
+     * @param {Object} location - Location
+     * @param {number} location.latitude - Latitude in degrees
+     * @param {number} location.longitude - Longitude in degrees
+     * @returns {Promise<Object>} Conditions
+     */
+    async getConditions(location) {
+        const coords = validateLocation(location);
+        const payload = await this.request(this.buildUrl(coords));
+        return this.toConditions(this.normalize(payload, coords));
+    }
+
+    /**
+     * Hourly forecast conditions at a location
+     * @param {Object} location - {latitude, longitude} in degrees
+     * @returns {Promise<Array<Object>>} Conditions in time order, observedAt being the forecast hour
+     */
+    async getHourlyForecast(location) {
+        const coords = validateLocation(location);
+        const payload = await this.request(this.buildForecastUrl(coords));
+        return this.normalizeForecast(payload, coords)
+            .map(values => this.toConditions(values))
+            .sort((a, b) => Date.parse(a.observedAt) - Date.parse(b.observedAt));
+    }
+
+    /**
+     * Fetch and parse a service response
+     * @param {string} url - Request URL
+     * @returns {Promise<Object>} Parsed response body
+     */
+    async request(url) {
+        if (this.requiresApiKey && !this.apiKey) {
+            throw new APIError(`${this.name} API key is not configured`, 401, this.name);
+        }
+
+        const response = await this.fetch(url);
+        if (!response.ok) {
+            throw new APIError(`${this.name} request failed`, response.status, url.split('?')[0]);
+        }
+        return response.json();
+    }
+
+    /**
+     * Conditions from normalized readings, filling in the configured elevation
+     * @param {Object} values - Readings in CONDITIONS_UNITS
+     * @returns {Object} Conditions
+     */
+    toConditions(values) {
+        return createConditions({
+            ...values,
+            elevation: values.elevation ?? this.elevation,
+            source: this.name
+        });
+    }
+
+    /**
+     * Request URL for a location
+     * @param {Object} location - {latitude, longitude}
+     * @returns {string} URL
+     */
+    buildUrl() {
+        throw new Error('buildUrl must be implemented by the weather provider');
+    }
+
+    /**
+     * Hourly forecast request URL for a location
+     * @param {Object} location - {latitude, longitude}
+     * @returns {string} URL
+     */
+    buildForecastUrl() {
+        throw new Error(`${this.name} does not provide a forecast`);
+    }
+
+    /**
+     * Convert a service response to createConditions values
+     * @param {Object} payload - Parsed response body
+     * @param {Object} location - {latitude, longitude} requested
+     * @returns {Object} Readings in CONDITIONS_UNITS
+     */
+    normalize() {
+        throw new Error('normalize must be implemented by the weather provider');
+    }
+
+    /**
+     * Convert a forecast response to createConditions values, one per forecast step
+     * @param {Object} payload - Parsed response body
+     * @param {Object} location - {latitude, longitude} requested
+     * @returns {Array<Object>} Readings in CONDITIONS_UNITS
+     */
+    normalizeForecast() {
+        throw new Error(`${this.name} does not provide a forecast`);
+    }
+}
@@ -0,0 +1,56 @@
+/**
+ * Weather provider registry module
+ *
+ * Pages ask for the configured provider here instead of naming a service, so
+ * switching services is a matter of setting WEATHER_PROVIDER.
+ *
+ * @module weather-providers
+ */
+
+import { TomorrowIoProvider } from './tomorrow-io-provider.js';
+import { OpenWeatherMapProvider } from './open-weather-map-provider.js';
+import { WeatherApiProvider } from './weather-api-provider.js';
+import { MetarProvider } from './metar-provider.js';
+import { StationProvider } from './station-provider.js';
+
+export const DEFAULT_WEATHER_PROVIDER = 'tomorrow';
+
+/**
+ * Provider classes by configuration name, with a function reading each one's options from the environment
+ */
+export const WEATHER_PROVIDERS = {
+    tomorrow: { Provider: TomorrowIoProvider, fromEnv: env => ({ apiKey: env.TOMORROW_API_KEY }) },
+    openweathermap: { Provider: OpenWeatherMapProvider, fromEnv: env => ({ apiKey: env.WEATHER_API_KEY }) },
+    weatherapi: { Provider: WeatherApiProvider, fromEnv: env => ({ apiKey: env.WEATHERAPI_KEY }) },
+    metar: { Provider: MetarProvider, fromEnv: env => ({ station: env.METAR_STATION }) },
+    station: { Provider: StationProvider, fromEnv: env => ({ url: env.WEATHER_STATION_URL }) }
+};
+
+/**
+ * Create a weather provider by name
+ * @param {string} [name='tomorrow'] - WEATHER_PROVIDERS key
+ * @param {Object} [options] - Provider options (apiKey, elevation, fetch)
+ * @returns {WeatherProvider} Provider instance
+ */
+export function createWeatherProvider(name = DEFAULT_WEATHER_PROVIDER, options = {}) {
+    const entry = WEATHER_PROVIDERS[String(name).toLowerCase()];
+    if (!entry) {
+        throw new Error(`Unknown weather provider: ${name}`);
+    }
+    return new entry.Provider(options);
+}
+
+/**
+ * Create the provider selected by the environment
+ * @param {Object} [env] - Environment variables; process.env by default
+ * @returns {WeatherProvider} Provider instance
+ */
+export function getConfiguredWeatherProvider(env = process.env) {
+    const name = (env.WEATHER_PROVIDER || DEFAULT_WEATHER_PROVIDER).toLowerCase();
+    const entry = WEATHER_PROVIDERS[name];
+    const elevation = Number(env.COURSE_ELEVATION);
+    return createWeatherProvider(name, {
+        ...entry?.fromEnv(env),
+        elevation: env.COURSE_ELEVATION && !isNaN(elevation) ? elevation : undefined
+    });
+}
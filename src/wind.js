@@ -1,11 +1,19 @@
 // Wind calculation and UI handling
-import { calculateWindEffect } from './calculations/wind-calculations.js';
-import { calculateAirDensity } from './calculations/air-density-calculations.js';
-import { calculateAltitudeEffect } from './calculations/core-calculations.js';
+import { computeShot } from './calculations/yardage-engine.js';
+import { formatPlaysLike } from './calculations/gust-calculations.js';
+import { getConfiguredWeatherProvider } from './weather/weather-providers.js';
+import { toShotConditions } from './weather/weather-provider.js';
+import { getActiveConditions } from './weather/conditions-presets.js';
+import { WeatherCache, formatCacheMeta } from './weather/weather-cache.js';
+import { ConditionsTimeline } from './weather/conditions-timeline.js';
+import { readBallTemperature } from './utils/ball-inputs.js';
 
 class WindCalculator {
     constructor() {
         console.log('Initializing WindCalculator...');
+        this.weatherCache = new WeatherCache();
+        this.conditionsTimeline = new ConditionsTimeline();
+        this.conditions = null;
         this.initializeElements();
         this.setupChart();
         this.setupEventListeners();
@@ -16,19 +24,25 @@ class WindCalculator {
         console.log('Initializing elements...');
         // Input elements
         this.windSpeedInput = document.getElementById('wind-speed');
+        this.windGustInput = document.getElementById('wind-gust');
         this.windAngleInput = document.getElementById('wind-angle');
         this.shotDistanceInput = document.getElementById('shot-distance');
         this.shotHeightInput = document.getElementById('shot-height');
         this.shotDirectionInput = document.getElementById('shot-direction');
+        this.shotShapeInput = document.getElementById('shot-shape');
+        this.ballInputs = ['ball-storage-temperature', 'ball-minutes-out', 'ball-held-in']
+            .map(id => document.getElementById(id));
 
         // Display elements
         this.windSpeedDisplay = document.getElementById('current-wind-speed');
         this.windDirectionDisplay = document.getElementById('current-wind-direction');
         this.lastUpdatedDisplay = document.getElementById('last-updated');
         this.adjustedDistanceDisplay = document.getElementById('adjusted-distance');
+        this.playsLikeDisplay = document.getElementById('plays-like');
         this.distanceEffectDisplay = document.getElementById('distance-effect');
         this.tempEffectDisplay = document.getElementById('temp-effect');
         this.lateralEffectDisplay = document.getElementById('lateral-effect');
+        this.shapeEffectDisplay = document.getElementById('shape-effect');
 
         // Canvas element
         this.canvas = document.getElementById('shot-chart');
@@ -41,6 +55,7 @@ class WindCalculator {
         // Log element states
         console.log('Elements initialized:', {
             windSpeedInput: !!this.windSpeedInput,
+            windGustInput: !!this.windGustInput,
             windAngleInput: !!this.windAngleInput,
             shotDistanceInput: !!this.shotDistanceInput,
             shotHeightInput: !!this.shotHeightInput,
@@ -68,10 +83,13 @@ class WindCalculator {
         // Add input event listeners
         const inputs = [
             this.windSpeedInput,
+            this.windGustInput,
             this.windAngleInput,
             this.shotDistanceInput,
             this.shotHeightInput,
-            this.shotDirectionInput
+            this.shotDirectionInput,
+            this.shotShapeInput,
+            ...this.ballInputs
         ];
 
         inputs.forEach((input, index) => {
@@ -90,7 +108,7 @@ class WindCalculator {
         if (refreshButton) {
             refreshButton.addEventListener('click', () => {
                 console.log('Refresh button clicked');
-                this.fetchWeatherData();
+                this.fetchWeatherData(true);
             });
         } else {
             console.error('Refresh button not found');
@@ -226,130 +244,168 @@ class WindCalculator {
 
         // Get input values
         const windSpeed = parseFloat(this.windSpeedInput?.value) || 0;
+        const windGust = Math.max(windSpeed, parseFloat(this.windGustInput?.value) || 0);
         const windDirection = parseFloat(this.windAngleInput?.value) || 0;
         const shotDistance = parseFloat(this.shotDistanceInput?.value) || 0;
         const shotHeight = parseFloat(this.shotHeightInput?.value) || 0;
         const shotDirection = parseFloat(this.shotDirectionInput?.value) || 0;
+        const shotShape = this.shotShapeInput?.value || undefined;
 
         console.log('Input values:', {
             windSpeed,
+            windGust,
             windDirection,
             shotDistance,
             shotHeight,
-            shotDirection
+            shotDirection,
+            shotShape
         });
 
-        // Get weather data from cache if available
-        const weatherData = this.getCachedWeather();
-        const temperature = weatherData?.values?.temperature || 70;
-        const pressure = weatherData?.values?.pressureSeaLevel || 29.92;
-        const humidity = weatherData?.values?.humidity || 0;
-        const altitude = weatherData?.values?.altitude || 0;
+        const conditions = this.getCurrentConditions();
+        const weather = conditions
+            ? toShotConditions(conditions)
+            : { temperature: 70, pressure: 29.92, humidity: 0, altitude: 0 };
 
-        // Calculate wind effects
-        const windEffects = calculateWindEffect(windSpeed, windDirection, shotDistance, shotHeight);
-        
-        // Calculate air density effects
-        const airDensity = calculateAirDensity(temperature, pressure, humidity);
-        
-        // Calculate altitude effects
-        const altitudeEffects = calculateAltitudeEffect(altitude);
+        if (shotDistance <= 0) {
+            this.drawChart();
+            return;
+        }
 
-        // Calculate total effects
-        const windDistanceEffect = windEffects.distance * shotDistance;
-        const lateralEffect = windEffects.lateral * shotDistance;
-        const airDensityEffect = (airDensity - 1) * shotDistance;
-        const altitudeEffect = (altitudeEffects.total - 1) * shotDistance;
+        // Map the apex in yards onto the engine's trajectory heights (a stock iron peaks near 25)
+        const trajectoryHeight = shotHeight < 18 ? 'low' : shotHeight > 32 ? 'high' : 'medium';
+
+        // Weather wind is where it blows from; the engine turns it around the shot's bearing
+        let shot;
+        try {
+            shot = computeShot(
+                { ...weather, windSpeed, windGust, windDirection, ballTemperature: readBallTemperature(weather.temperature) },
+                { distance: shotDistance, bearing: shotDirection, height: trajectoryHeight, shape: shotShape }
+            );
+        } catch (error) {
+            console.error('Error calculating shot:', error);
+            this.showShotError(error);
+            this.drawChart();
+            return;
+        }
 
         // Calculate final adjusted distance
-        const adjustedDistance = Math.round(shotDistance + windDistanceEffect + airDensityEffect + altitudeEffect);
+        const adjustedDistance = Math.round(shot.gust.expected);
 
         // Update displays
         if (this.adjustedDistanceDisplay) {
             this.adjustedDistanceDisplay.textContent = `${adjustedDistance} yards`;
         }
+
+        if (this.playsLikeDisplay) {
+            this.playsLikeDisplay.textContent = shot.gust.isGusty
+                ? `${formatPlaysLike(shot.gust)} (gusts ${Math.round(windGust)} mph)`
+                : formatPlaysLike(shot.gust);
+        }
         
         if (this.distanceEffectDisplay) {
-            this.distanceEffectDisplay.textContent = `${Math.round(windDistanceEffect)} yards`;
+            this.distanceEffectDisplay.textContent = `${Math.round(shot.adjustments.wind)} yards`;
         }
 
         if (this.tempEffectDisplay) {
-            this.tempEffectDisplay.textContent = `${Math.round(airDensityEffect + altitudeEffect)} yards`;
+            this.tempEffectDisplay.textContent = `${Math.round(shot.adjustments.airDensity)} yards`;
         }
         
         if (this.lateralEffectDisplay) {
-            const lateralEffectText = lateralEffect > 0 ? 'right' : 'left';
-            this.lateralEffectDisplay.textContent = `${Math.round(lateralEffect)} yards ${lateralEffectText}`;
+            const lateralEffectText = shot.lateral > 0 ? 'right' : 'left';
+            this.lateralEffectDisplay.textContent = `${Math.abs(Math.round(shot.lateral))} yards ${lateralEffectText}`;
+        }
+
+        // The curve the player put on it, apart from what the wind did
+        if (this.shapeEffectDisplay) {
+            const side = yards => `${Math.abs(Math.round(yards))} ${yards > 0 ? 'right' : 'left'}`;
+            const { name, startLine, curvature, windDrift } = shot.shape;
+            this.shapeEffectDisplay.textContent = name === 'straight'
+                ? `Straight · wind ${side(windDrift)}`
+                : `${name.charAt(0).toUpperCase() + name.slice(1)}: starts ${side(startLine)}, ` +
+                    `curves ${side(curvature)}, wind ${side(windDrift)}`;
         }
 
         // Redraw chart
         this.drawChart();
     }
 
-    async fetchWeatherData() {
+    // Clear the last shot's numbers so they are not read as this input's
+    showShotError(error) {
+        [
+            this.adjustedDistanceDisplay, this.distanceEffectDisplay, this.tempEffectDisplay,
+            this.lateralEffectDisplay, this.shapeEffectDisplay
+        ]
+            .filter(Boolean)
+            .forEach(display => {
+                display.textContent = '--';
+            });
+        if (this.playsLikeDisplay) {
+            this.playsLikeDisplay.textContent = `Cannot adjust this shot: ${error.message}`;
+        }
+    }
+
+    async fetchWeatherData(forceRefresh = false) {
         try {
             console.log('Fetching weather data...');
-            // Check for cached weather data first
-            const cachedData = localStorage.getItem('weatherData');
-            if (cachedData) {
-                const weatherData = JSON.parse(cachedData);
-                const now = new Date().getTime();
-                const isExpired = (now - weatherData.timestamp) > weatherData.expiresIn;
-
-                if (!isExpired) {
-                    console.log('Using cached weather data for wind calculations');
-                    const data = weatherData.data;
-                    
-                    // Update UI with weather data
-                    if (this.windSpeedInput) this.windSpeedInput.value = Math.round(data.values.windSpeed);
-                    if (this.windAngleInput) this.windAngleInput.value = data.values.windDirection;
-                    if (this.windSpeedDisplay) this.windSpeedDisplay.textContent = `${Math.round(data.values.windSpeed)} mph`;
-                    if (this.windDirectionDisplay) this.windDirectionDisplay.textContent = this.getDirectionLabel(data.values.windDirection);
-                    if (this.lastUpdatedDisplay) this.lastUpdatedDisplay.textContent = `Updated: ${new Date(weatherData.timestamp).toLocaleTimeString()}`;
-                    
-                    // Store temperature for later use
-                    this.currentTemperature = data.values.temperature;
-                    
-                    // Update calculations
-                    this.handleWindChange();
-                    return;
-                }
+            // An active preset stands in for the live weather
+            const presetConditions = getActiveConditions();
+            if (presetConditions) {
+                console.log('Using conditions preset for wind calculations');
+                this.applyConditions(presetConditions);
+                return;
             }
 
-            // If no cached data or expired, fetch new data
             const position = await new Promise((resolve, reject) => {
                 navigator.geolocation.getCurrentPosition(resolve, reject);
             });
 
-            const { latitude, longitude } = position.coords;
-            const url = `https://api.tomorrow.io/v4/weather/realtime?location=${latitude},${longitude}&units=imperial&apikey=jG9onLuVeiR4NWlVIO85EWWLCtQ2Uzqv`;
-            
-            const response = await fetch(url);
-            if (!response.ok) {
-                throw new Error('Weather data fetch failed');
-            }
-            
-            const data = await response.json();
-            console.log('Weather data fetched:', data);
-            
-            // Update UI with weather data
-            if (this.windSpeedInput) this.windSpeedInput.value = Math.round(data.data.values.windSpeed);
-            if (this.windAngleInput) this.windAngleInput.value = data.data.values.windDirection;
-            if (this.windSpeedDisplay) this.windSpeedDisplay.textContent = `${Math.round(data.data.values.windSpeed)} mph`;
-            if (this.windDirectionDisplay) this.windDirectionDisplay.textContent = this.getDirectionLabel(data.data.values.windDirection);
-            if (this.lastUpdatedDisplay) this.lastUpdatedDisplay.textContent = `Updated: ${new Date().toLocaleTimeString()}`;
-            
-            // Store temperature for later use
-            this.currentTemperature = data.data.values.temperature;
-            
-            // Update calculations
-            this.handleWindChange();
+            // Reuse a recent reading from here unless the player asked for a new one
+            const location = { latitude: position.coords.latitude, longitude: position.coords.longitude };
+            const provider = getConfiguredWeatherProvider();
+            const { conditions, meta } = forceRefresh
+                ? await this.weatherCache.refresh(provider, location)
+                : await this.weatherCache.getOrFetch(provider, location, {
+                    staleWhileRevalidate: true,
+                    onUpdate: update => this.applyConditions(update.conditions, update.meta)
+                });
+            console.log('Weather data:', { conditions, meta });
+
+            this.applyConditions(conditions, meta);
         } catch (error) {
             console.error('Error fetching weather data:', error);
             this.updateWithMockData();
         }
     }
 
+    applyConditions(conditions, meta = null) {
+        this.conditions = conditions;
+        if (meta) {
+            this.conditionsTimeline.add(conditions);
+        }
+
+        // Update UI with weather data
+        if (this.windSpeedInput) this.windSpeedInput.value = Math.round(conditions.windSpeed);
+        if (this.windGustInput) this.windGustInput.value = Math.round(conditions.windGust);
+        if (this.windAngleInput) this.windAngleInput.value = conditions.windDirection;
+        if (this.windSpeedDisplay) this.windSpeedDisplay.textContent = `${Math.round(conditions.windSpeed)} mph`;
+        if (this.windDirectionDisplay) this.windDirectionDisplay.textContent = this.getDirectionLabel(conditions.windDirection);
+        if (this.lastUpdatedDisplay) {
+            if (conditions.source.startsWith('preset: ')) {
+                this.lastUpdatedDisplay.textContent = `Using ${conditions.source}`;
+            } else {
+                this.lastUpdatedDisplay.textContent = meta
+                    ? `Updated: ${formatCacheMeta(meta)}`
+                    : `Updated: ${new Date(conditions.observedAt).toLocaleTimeString()}`;
+            }
+        }
+
+        // Store temperature for later use
+        this.currentTemperature = conditions.temperature;
+
+        // Update calculations
+        this.handleWindChange();
+    }
+
     updateWithMockData() {
         console.log('Using mock data...');
         // Mock data for testing
@@ -358,6 +414,7 @@ class WindCalculator {
         this.currentTemperature = 70; // Default temperature
 
         if (this.windSpeedInput) this.windSpeedInput.value = mockWindSpeed;
+        if (this.windGustInput) this.windGustInput.value = mockWindSpeed;
         if (this.windAngleInput) this.windAngleInput.value = mockWindDirection;
         if (this.windSpeedDisplay) this.windSpeedDisplay.textContent = `${mockWindSpeed} mph`;
         if (this.windDirectionDisplay) this.windDirectionDisplay.textContent = this.getDirectionLabel(mockWindDirection);
@@ -367,39 +424,13 @@ class WindCalculator {
         this.handleWindChange();
     }
 
-    getCachedWeather() {
-        try {
-            const cachedData = localStorage.getItem('weatherData');
-            if (!cachedData) {
-                console.log('No cached weather data found');
-                return null;
-            }
-
-            const { data, timestamp } = JSON.parse(cachedData);
-            const cacheAge = Date.now() - timestamp;
-            const cacheTimeout = 30 * 60 * 1000; // 30 minutes
-
-            if (cacheAge >= cacheTimeout) {
-                console.log('Weather cache expired:', {
-                    cacheAge: Math.round(cacheAge / 1000 / 60) + ' minutes',
-                    timeout: Math.round(cacheTimeout / 1000 / 60) + ' minutes'
-                });
-                localStorage.removeItem('weatherData');
-                return null;
-            }
-
-            console.log('Using cached weather data:', {
-                data,
-                cacheAge: Math.round(cacheAge / 1000 / 60) + ' minutes',
-                expiresIn: Math.round((cacheTimeout - cacheAge) / 1000 / 60) + ' minutes'
-            });
-
-            return data;
-        } catch (error) {
-            console.error('Error reading weather cache:', error);
-            localStorage.removeItem('weatherData');
-            return null;
+    // The active preset, or the recent readings carried forward to now
+    getCurrentConditions() {
+        const presetConditions = getActiveConditions();
+        if (presetConditions || !this.conditions) {
+            return presetConditions;
         }
+        return this.conditionsTimeline.project() || this.conditions;
     }
 
     getDirectionLabel(degrees) {
@@ -1,6 +1,5 @@
 // Import required functions
-import { calculateWindEffect, calculateAltitudeEffect, calculateAirDensityRatio } from '../calculations/core-calculations.js';
-import { calculateTrajectory } from '../ball-physics.js';
+import { computeShot } from '../calculations/yardage-engine.js';
 
 // Cache for calculations
 const calculationCache = new Map();
@@ -12,8 +11,13 @@ function generateCacheKey(conditions) {
         humidity: Math.round(conditions.humidity),
         altitude: Math.round(conditions.altitude),
         windSpeed: Math.round(conditions.windSpeed),
+        windGust: Math.round(conditions.windGust ?? conditions.windSpeed),
         windDirection: conditions.windDirection,
-        shotHeight: conditions.shotHeight
+        shotBearing: conditions.shotBearing,
+        shotHeight: conditions.shotHeight,
+        club: conditions.club,
+        surface: conditions.surface,
+        windProfile: conditions.windProfile
     });
 }
 
@@ -68,40 +72,68 @@ function calculateBallFlightAdjustments(conditions) {
     const {
         temperature,
         humidity,
+        pressure,
+        pressureType,
         altitude,
         windSpeed,
+        windGust,
         windDirection,
-        shotHeight
+        ballTemperature,
+        shotBearing = 0,
+        shotHeight = 'medium',
+        club = 'seven_iron',
+        surface = 'fairway',
+        windProfile = null
     } = conditions;
     
-    // Calculate air density ratio
-    const airDensity = calculateAirDensityRatio({
-        temp: temperature,
-        humidity: humidity,
-        altitude: altitude
-    });
-    
-    // Calculate wind effect
-    const windEffect = calculateWindEffect(windSpeed, windDirection, shotHeight);
-    
-    // Calculate altitude effect
-    const altitudeEffect = calculateAltitudeEffect(altitude);
+    const shot = computeShot(
+        {
+            temperature,
+            humidity,
+            pressure,
+            pressureType,
+            altitude,
+            windSpeed,
+            windGust,
+            windDirection: windDirection || 'N',
+            windProfile,
+            surface,
+            ballTemperature
+        },
+        { bearing: shotBearing, height: shotHeight },
+        club
+    );
     
-    // Calculate trajectory with all effects combined
-    const trajectory = calculateTrajectory({
-        airDensity,
-        windEffect,
-        altitudeEffect
-    });
+    // Effects as fractions of the standard carry, as the page displays them
+    const standardCarry = shot.breakdown.standardCarry;
+    const windEffect = {
+        distanceEffect: shot.breakdown.wind / standardCarry,
+        lateralEffect: shot.lateral / shot.carry
+    };
     
     return {
-        airDensityFactor: airDensity,
+        engineVersion: shot.version,
+        airDensityFactor: shot.conditions.airDensity,
         windEffect: windEffect,
-        altitudeEffect: altitudeEffect,
-        trajectory: trajectory,
-        maxHeight: trajectory.maxHeight,
-        landingAngle: trajectory.landingAngle,
-        carryDistance: trajectory.carryDistance,
+        factor: shot.carry / standardCarry,
+        components: {
+            temperature,
+            humidity,
+            altitude,
+            windSpeed,
+            windDirection,
+            airDensity: shot.conditions.airDensity,
+            wind: windEffect
+        },
+        trajectory: shot.trajectory,
+        maxHeight: shot.maxHeight,
+        landingAngle: shot.landingAngle,
+        carryDistance: shot.carry,
+        gustRange: shot.gust,
+        totalDistance: shot.total,
+        rollout: shot.ground.roll / shot.carry,
+        ground: shot.ground,
+        breakdown: shot.breakdown,
         timestamp: Date.now()
     };
 }
@@ -0,0 +1,85 @@
+/**
+ * Unit tests for bag gapping analysis
+ */
+
+import { GAPPING_RULES, analyzeBagGapping } from '../src/clubs/bag-gapping.js';
+import { createClubProfile } from '../src/clubs/club-profile.js';
+
+const bag = entries => entries.map(([name, carry, dispersion]) => createClubProfile({ name, carry, dispersion }));
+
+describe('Bag gapping', () => {
+    test('finds overlaps and holes between neighbouring clubs', () => {
+        const { standard } = analyzeBagGapping(bag([
+            ['7 Iron', 160], ['6 Iron', 172], ['5 Iron', 176], ['PW', 130]
+        ]));
+
+        expect(standard.gaps.map(gap => [gap.longer, gap.shorter, gap.status])).toEqual([
+            ['5 Iron', '6 Iron', 'overlap'],
+            ['6 Iron', '7 Iron', 'ok'],
+            ['7 Iron', 'PW', 'hole']
+        ]);
+        expect(standard.gaps[1].target).toBeCloseTo(172 * GAPPING_RULES.targetGapRatio, 6);
+        expect(standard.overlaps).toHaveLength(1);
+        expect(standard.holes).toHaveLength(1);
+    });
+
+    test('counts measured dispersion into overlaps', () => {
+        const tight = analyzeBagGapping(bag([['8 Iron', 150, { carry: 3 }], ['9 Iron', 141, { carry: 3 }]]));
+        expect(tight.standard.gaps[0]).toMatchObject({ status: 'ok', spread: Math.hypot(3, 3) });
+
+        const loose = analyzeBagGapping(bag([['8 Iron', 150, { carry: 8 }], ['9 Iron', 141, { carry: 7 }]]));
+        expect(loose.standard.gaps[0].status).toBe('overlap');
+    });
+
+    test('suggests loft changes, removals and extra clubs', () => {
+        const nudge = analyzeBagGapping(bag([['8 Iron', 150, { carry: 5 }], ['9 Iron', 143, { carry: 5 }]]));
+        expect(nudge.suggestions[0]).toMatchObject({
+            type: 'loft',
+            changes: [{ club: '9 Iron', loftChange: 1.5, loft: 43.5 }],
+            message: 'Weaken the 9 Iron 1.5° to open the gap between the 8 Iron and 9 Iron'
+        });
+
+        // A change larger than one club can take is split between the two
+        const split = analyzeBagGapping(bag([['8 Iron', 150], ['9 Iron', 146]])).suggestions[0];
+        expect(split.changes).toEqual([
+            { club: '8 Iron', loftChange: -1.5, loft: 36.5 },
+            { club: '9 Iron', loftChange: 1.5, loft: 43.5 }
+        ]);
+
+        const crowded = analyzeBagGapping(bag([['5 Iron', 180], ['6 Iron', 180]])).suggestions[0];
+        expect(crowded).toMatchObject({ type: 'remove', changes: [] });
+
+        const stretch = analyzeBagGapping(bag([['7 Iron', 160], ['8 Iron', 141]])).suggestions[0];
+        expect(stretch).toMatchObject({
+            type: 'loft',
+            changes: [{ club: '7 Iron', loftChange: 2, loft: 36 }, { club: '8 Iron', loftChange: -1.5, loft: 36.5 }]
+        });
+
+        const [wedge] = analyzeBagGapping(bag([['PW', 125], ['SW', 95]])).suggestions;
+        expect(wedge).toMatchObject({ type: 'wedge', loft: 52, carry: 110 });
+        expect(wedge.message).toBe('Add a 52° wedge carrying about 110 yards between the PW and SW');
+
+        const [hybrid] = analyzeBagGapping(bag([['3 Wood', 225], ['5 Iron', 180]])).suggestions;
+        expect(hybrid).toMatchObject({ type: 'club', loft: 21 });
+    });
+
+    test('reports the gaps in the current air as well', () => {
+        const clubs = bag([['Driver', 230], ['3 Wood', 212], ['7 Iron', 150], ['8 Iron', 140]]);
+        expect(analyzeBagGapping(clubs).current).toBeNull();
+
+        const { standard, current } = analyzeBagGapping(clubs, { temperature: 95, humidity: 40, altitude: 6000 });
+        expect(current.gaps).toHaveLength(standard.gaps.length);
+        // Thin air opens the top of the bag more than the irons
+        expect(current.gaps[0].gap).toBeGreaterThan(standard.gaps[0].gap);
+        expect(current.gaps[2].gap).toBeLessThan(standard.gaps[2].gap);
+
+        // Wind depends on the hole, so it does not change the gaps
+        const windy = analyzeBagGapping(clubs, { windSpeed: 20, windDirection: 0 });
+        windy.current.gaps.forEach((gap, i) => expect(gap.gap).toBeCloseTo(standard.gaps[i].gap, 6));
+    });
+
+    test('throws error for invalid inputs', () => {
+        expect(() => analyzeBagGapping(null)).toThrow('Clubs must be an array of club profiles');
+        expect(() => analyzeBagGapping(bag([['7 Iron', 150]]))).toThrow('Gapping needs at least two clubs');
+    });
+});
@@ -0,0 +1,67 @@
+/**
+ * Unit tests for the amateur bag generator
+ */
+
+import {
+    TOUR_DRIVER_SPEED,
+    HANDICAP_BANDS,
+    findHandicapBand,
+    generateClubLaunch,
+    findDriverSpeed,
+    generateBag
+} from '../src/clubs/bag-generator.js';
+import { PGA_CLUB_DATA } from '../constants/club-data.js';
+
+describe('Bag generator', () => {
+    test('finds the band for a handicap', () => {
+        expect(findHandicapBand('low')).toBe(HANDICAP_BANDS.low);
+        expect(findHandicapBand(-2)).toBe(HANDICAP_BANDS.scratch);
+        expect(findHandicapBand(12)).toBe(HANDICAP_BANDS.low);
+        expect(findHandicapBand(18.4)).toBe(HANDICAP_BANDS.mid);
+        expect(findHandicapBand(28)).toBe(HANDICAP_BANDS.high);
+    });
+
+    test('scales tour launch data to the swing speed and strike', () => {
+        const tour = generateClubLaunch('seven_iron', TOUR_DRIVER_SPEED, 'scratch');
+        expect(tour.ballSpeed).toBeCloseTo(PGA_CLUB_DATA.seven_iron.ballSpeed * 0.99, 6);
+
+        const member = generateClubLaunch('7 Iron', 95, 'mid');
+        expect(member.ballSpeed).toBeLessThan(tour.ballSpeed * 0.85);
+        expect(member.spinRate).toBeLessThan(tour.spinRate);
+        expect(member.launchAngle).toBeGreaterThan(tour.launchAngle);
+
+        // Same speed, worse strike
+        expect(generateClubLaunch('driver', 95, 'high').ballSpeed)
+            .toBeLessThan(generateClubLaunch('driver', 95, 'low').ballSpeed);
+    });
+
+    test('builds the band\'s bag in carry order', () => {
+        const bag = generateBag({ driverSpeed: 95, handicap: 'mid' });
+        expect(bag).toHaveLength(HANDICAP_BANDS.mid.clubs.length);
+        expect(bag[0]).toMatchObject({ name: 'Driver', key: 'driver', loft: 10.5 });
+        expect(bag[0].carry).toBeGreaterThan(190);
+        expect(bag[0].carry).toBeLessThan(230);
+        bag.slice(1).forEach((club, i) => expect(club.carry).toBeLessThan(bag[i].carry));
+
+        const short = generateBag({ driverSpeed: 95, clubs: ['7 Iron', 'pw'] });
+        expect(short.map(club => club.key)).toEqual(['seven_iron', 'pitching_wedge']);
+    });
+
+    test('works back from one known carry', () => {
+        const speed = findDriverSpeed({ name: '7 Iron', carry: 140 }, 'mid');
+        expect(speed).toBeGreaterThan(95);
+        expect(speed).toBeLessThan(TOUR_DRIVER_SPEED);
+
+        const bag = generateBag({ knownClub: { name: '7 Iron', carry: 140 }, handicap: 16 });
+        expect(bag.find(club => club.key === 'seven_iron').carry).toBeCloseTo(140, 0);
+    });
+
+    test('throws error for invalid inputs', () => {
+        expect(() => findHandicapBand('pro')).toThrow('Handicap must be a number or one of: scratch, low, mid, high');
+        expect(() => generateClubLaunch('driver', 150)).toThrow('Driver swing speed must be between 60 and 135 mph');
+        expect(() => generateClubLaunch('Chipper', 95)).toThrow('Unknown club: Chipper');
+        expect(() => findDriverSpeed({ name: 'PW', carry: 0 })).toThrow('Known carry must be a positive number');
+        expect(() => findDriverSpeed({ name: 'PW', carry: 300 })).toThrow('Known carry is out of range for a Pitching Wedge');
+        expect(() => generateBag({ handicap: 'mid' })).toThrow('Driver swing speed or a known club carry is required');
+    });
+});
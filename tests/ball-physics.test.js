@@ -0,0 +1,145 @@
+/**
+ * Unit tests for the ball flight integrator
+ */
+
+import {
+    calculateTrajectory,
+    calculateAerodynamicCoefficients,
+    calculateStartConditions,
+    calculateShotCurvature,
+    classifyShotShape
+} from '../src/ball-physics.js';
+import { PGA_CLUB_DATA, SHOT_SHAPES } from '../constants/club-data.js';
+
+describe('calculateTrajectory', () => {
+    const sevenIron = PGA_CLUB_DATA.seven_iron;
+
+    test('reproduces tour carry distances within 5%', () => {
+        ['driver', 'five_iron', 'seven_iron', 'pitching_wedge'].forEach(club => {
+            const data = PGA_CLUB_DATA[club];
+            const result = calculateTrajectory(data);
+            expect(result.carryDistance).toBeGreaterThan(data.carryDistance * 0.95);
+            expect(result.carryDistance).toBeLessThan(data.carryDistance * 1.05);
+        });
+    });
+
+    test('returns apex, flight time and landing angle', () => {
+        const result = calculateTrajectory(PGA_CLUB_DATA.driver);
+        expect(result.maxHeight).toBeGreaterThan(80);
+        expect(result.maxHeight).toBeLessThan(130);
+        expect(result.flightTime).toBeGreaterThan(5);
+        expect(result.flightTime).toBeLessThan(8);
+        expect(result.timeToApex).toBeLessThan(result.flightTime);
+        expect(result.landingAngle).toBeGreaterThan(30);
+        expect(result.landingAngle).toBeLessThan(50);
+        expect(result.landingSpin).toBeLessThan(PGA_CLUB_DATA.driver.spinRate);
+    });
+
+    test('sampled path starts at the tee and ends on the ground', () => {
+        const result = calculateTrajectory(sevenIron);
+        const first = result.points[0];
+        const last = result.points[result.points.length - 1];
+        expect(first).toEqual({ x: 0, y: 0, z: 0, t: 0 });
+        expect(last.y).toBeCloseTo(0, 6);
+        expect(last.x).toBeCloseTo(result.carryDistance, 6);
+        expect(last.t).toBeCloseTo(result.flightTime, 3);
+    });
+
+    test('headwind shortens and tailwind lengthens carry', () => {
+        const calm = calculateTrajectory(sevenIron).carryDistance;
+        const into = calculateTrajectory({ ...sevenIron, wind: { x: -10 } }).carryDistance;
+        const helping = calculateTrajectory({ ...sevenIron, wind: { x: 10 } }).carryDistance;
+        expect(into).toBeLessThan(calm);
+        expect(helping).toBeGreaterThan(calm);
+        // A headwind hurts more than the same tailwind helps
+        expect(calm - into).toBeGreaterThan(helping - calm);
+    });
+
+    test('crosswind and spin axis move the ball sideways', () => {
+        expect(calculateTrajectory(sevenIron).lateralDistance).toBeCloseTo(0, 6);
+        expect(calculateTrajectory({ ...sevenIron, wind: { z: 10 } }).lateralDistance).toBeGreaterThan(5);
+        expect(calculateTrajectory({ ...sevenIron, spinAxis: 10 }).lateralDistance).toBeGreaterThan(5);
+        expect(calculateTrajectory({ ...sevenIron, spinAxis: -10 }).lateralDistance).toBeLessThan(-5);
+    });
+
+    test('thinner air carries further', () => {
+        const standard = calculateTrajectory(sevenIron).carryDistance;
+        const thin = calculateTrajectory({ ...sevenIron, airDensity: 0.85 }).carryDistance;
+        const dense = calculateTrajectory({ ...sevenIron, airDensity: 1.1 }).carryDistance;
+        expect(thin).toBeGreaterThan(standard);
+        expect(dense).toBeLessThan(standard);
+    });
+
+    test('throws error for invalid inputs', () => {
+        expect(() => calculateTrajectory({ ballSpeed: 0 })).toThrow('Ball speed must be a positive number');
+        expect(() => calculateTrajectory({ launchAngle: 90 })).toThrow('Launch angle must be between -10 and 80 degrees');
+        expect(() => calculateTrajectory({ spinRate: -1 })).toThrow('Spin rate must be a non-negative number');
+        expect(() => calculateTrajectory({ airDensity: 'thin' })).toThrow('Air density must be a positive number');
+    });
+});
+
+describe('calculateAerodynamicCoefficients', () => {
+    test('drag and lift grow with spin', () => {
+        const low = calculateAerodynamicCoefficients(0.05);
+        const high = calculateAerodynamicCoefficients(0.2);
+        expect(high.dragCoefficient).toBeGreaterThan(low.dragCoefficient);
+        expect(high.liftCoefficient).toBeGreaterThan(low.liftCoefficient);
+    });
+
+    test('lift coefficient saturates', () => {
+        expect(calculateAerodynamicCoefficients(1).liftCoefficient).toBe(0.25);
+    });
+});
+
+describe('Shot shaping', () => {
+    const sevenIron = PGA_CLUB_DATA.seven_iron;
+
+    test('square face and path produce a straight shot', () => {
+        const result = calculateStartConditions({ faceAngle: 0, clubPath: 0 });
+        expect(result.startDirection).toBe(0);
+        expect(result.spinAxis).toBeCloseTo(0, 10);
+    });
+
+    test('face dominates start direction and face-to-path sets spin axis', () => {
+        const draw = calculateStartConditions({ ...SHOT_SHAPES.draw, launchAngle: 16 });
+        expect(draw.startDirection).toBeGreaterThan(0);
+        expect(draw.startDirection).toBeLessThan(SHOT_SHAPES.draw.clubPath);
+        expect(draw.spinAxis).toBeLessThan(0);
+
+        const driverDraw = calculateStartConditions({ ...SHOT_SHAPES.draw, launchAngle: 10 });
+        expect(Math.abs(driverDraw.spinAxis)).toBeGreaterThan(Math.abs(draw.spinAxis));
+    });
+
+    test('classifies shot shapes by spin axis', () => {
+        expect(classifyShotShape(0)).toBe('straight');
+        expect(classifyShotShape(-6)).toBe('draw');
+        expect(classifyShotShape(6)).toBe('fade');
+        expect(classifyShotShape(-20)).toBe('hook');
+        expect(classifyShotShape(20)).toBe('slice');
+    });
+
+    test('draw starts right and curves back left', () => {
+        const result = calculateShotCurvature(sevenIron, SHOT_SHAPES.draw);
+        expect(result.shape).toBe('draw');
+        expect(result.startLine).toBeGreaterThan(0);
+        expect(result.curvature).toBeLessThan(0);
+        expect(result.offline).toBeCloseTo(result.startLine + result.curvature, 6);
+        expect(result.windDrift).toBe(0);
+    });
+
+    test('crosswind combines with curvature', () => {
+        const rightToLeft = { wind: { z: -10 } };
+        const fade = calculateShotCurvature(sevenIron, SHOT_SHAPES.fade, rightToLeft);
+        const straight = calculateShotCurvature(sevenIron, SHOT_SHAPES.straight, rightToLeft);
+        expect(fade.windDrift).toBeLessThan(0);
+        expect(fade.offline).toBeCloseTo(fade.startLine + fade.curvature + fade.windDrift, 6);
+        // The fade is held up by the wind and finishes nearer the target
+        expect(Math.abs(fade.offline)).toBeLessThan(Math.abs(straight.offline));
+    });
+
+    test('throws error for invalid inputs', () => {
+        expect(() => calculateShotCurvature(null)).toThrow('Club data is required');
+        expect(() => calculateStartConditions({ faceAngle: 30 })).toThrow('Face angle must be between -20 and 20 degrees');
+        expect(() => calculateStartConditions({ clubPath: 'in' })).toThrow('Club path must be between -20 and 20 degrees');
+    });
+});
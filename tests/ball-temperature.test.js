@@ -0,0 +1,102 @@
+/**
+ * Unit tests for the ball temperature model
+ */
+
+import {
+    calculateBallTemperature,
+    calculateBallCOR,
+    calculateBallSpeedFactor,
+    clampBallTemperature,
+    REFERENCE_BALL_TEMPERATURE
+} from '../src/calculations/ball-temperature.js';
+import { calculateBallCompression } from '../src/ball-physics.js';
+import { computeShot } from '../src/calculations/yardage-engine.js';
+import { readBallTemperature } from '../src/utils/ball-inputs.js';
+import { PGA_CLUB_DATA } from '../constants/club-data.js';
+
+describe('Ball temperature', () => {
+    test('a ball warms or cools towards its surroundings', () => {
+        // Out of a 20°F car onto a 50°F range: a third of the gap is left after half an hour
+        const fromCar = calculateBallTemperature(50, { storageTemperature: 20, minutesOut: 30 });
+        expect(fromCar).toBeCloseTo(50 - 30 * Math.exp(-1), 6);
+        expect(calculateBallTemperature(50, { storageTemperature: 20, minutesOut: 600 })).toBeCloseTo(50, 2);
+        expect(calculateBallTemperature(50, { storageTemperature: 20 })).toBe(20);
+
+        // A pocket keeps it near body heat whatever the air is doing
+        const pocket = calculateBallTemperature(35, { minutesOut: 120, heldIn: 'pocket' });
+        expect(pocket).toBeGreaterThan(70);
+    });
+
+    test('a cold ball is less lively and plays firmer', () => {
+        const warm = calculateBallCOR(REFERENCE_BALL_TEMPERATURE);
+        const cold = calculateBallCOR(35);
+        expect(warm.cor).toBeCloseTo(0.78, 10);
+        expect(warm.effectiveCompression).toBe(90);
+        expect(cold.cor).toBeCloseTo(0.764, 10);
+        expect(cold.effectiveCompression).toBe(110);
+
+        // A soft ball gives up a little when warm but loses less as it cools
+        const softCold = calculateBallCOR(35, 60);
+        expect(calculateBallCOR(75, 60).cor).toBeLessThan(warm.cor);
+        expect(cold.cor - softCold.cor).toBeLessThan(0.001);
+    });
+
+    test('maps COR to ball-speed loss', () => {
+        const cold = calculateBallSpeedFactor(35);
+        expect(cold.ballSpeedLoss).toBeCloseTo(0.016 / 1.78, 10);
+        expect(cold.ballSpeedFactor).toBeCloseTo(1 - cold.ballSpeedLoss, 10);
+        expect(calculateBallSpeedFactor(95).ballSpeedFactor).toBeGreaterThan(1);
+
+        // The old compression factor now follows the ball model
+        const sevenIron = PGA_CLUB_DATA.seven_iron;
+        expect(calculateBallCompression(sevenIron, 35, 50, 35))
+            .toBeLessThan(calculateBallCompression(sevenIron, 35, 50, 75));
+    });
+
+    test('separates a cold ball from cold air', () => {
+        const coldAir = computeShot({ temperature: 35, humidity: 50, ballTemperature: 75 }, {}, PGA_CLUB_DATA.driver);
+        const coldBall = computeShot({ temperature: 35, humidity: 50, ballTemperature: 35 }, {}, PGA_CLUB_DATA.driver);
+
+        expect(coldAir.adjustments.ballTemperature).toBe(0);
+        // Nothing known about the ball: it has been out in the cold air
+        expect(computeShot({ temperature: 35, humidity: 50 }, {}, PGA_CLUB_DATA.driver).adjustments)
+            .toEqual(coldBall.adjustments);
+        expect(coldBall.adjustments.airDensity).toBeCloseTo(coldAir.adjustments.airDensity, 10);
+        // A few yards off a driver, less than the dense air costs
+        expect(coldBall.adjustments.ballTemperature).toBeGreaterThan(1);
+        expect(coldBall.adjustments.ballTemperature).toBeLessThan(coldAir.adjustments.airDensity);
+        expect(coldBall.carry).toBeLessThan(coldAir.carry);
+
+        const sum = Object.values(coldBall.adjustments).reduce((total, value) => total + value, 0);
+        expect(coldBall.playsLike).toBeCloseTo(coldBall.distance + sum, 10);
+    });
+
+    test('air colder than the ball model holds the ball at its limit', () => {
+        const arctic = computeShot({ temperature: -30, humidity: 50 }, { distance: 150 });
+        expect(arctic.conditions.ballTemperature).toBe(-20);
+        expect(arctic.playsLike).toBeGreaterThan(165);
+        expect(clampBallTemperature(50)).toBe(50);
+        expect(clampBallTemperature(140)).toBe(130);
+    });
+
+    test('reads the ball temperature from the page inputs', () => {
+        const page = values => ({ getElementById: id => (id in values ? { value: values[id] } : null) });
+
+        expect(readBallTemperature(50, page({}))).toBeUndefined();
+        expect(readBallTemperature(50, page({ 'ball-storage-temperature': '', 'ball-held-in': 'air' }))).toBeUndefined();
+        expect(readBallTemperature(50, page({ 'ball-storage-temperature': '20', 'ball-minutes-out': '30' })))
+            .toBeCloseTo(calculateBallTemperature(50, { storageTemperature: 20, minutesOut: 30 }), 10);
+        expect(readBallTemperature(35, page({ 'ball-minutes-out': '120', 'ball-held-in': 'pocket' })))
+            .toBeCloseTo(calculateBallTemperature(35, { minutesOut: 120, heldIn: 'pocket' }), 10);
+    });
+
+    test('throws error for invalid inputs', () => {
+        expect(() => calculateBallTemperature(50, { minutesOut: -5 })).toThrow('Minutes out must be a non-negative number');
+        expect(() => calculateBallTemperature(50, { heldIn: 'cooler' })).toThrow('Unknown ball storage: cooler');
+        expect(() => calculateBallCOR(200)).toThrow('Ball temperature must be between -20°F and 130°F');
+        expect(() => calculateBallCOR(70, 10)).toThrow('Compression rating must be between 30 and 120');
+        expect(() => computeShot({ ballTemperature: 'cold' })).toThrow('Ball temperature must be between -20°F and 130°F');
+        expect(() => computeShot({ temperature: -30, ballTemperature: -30 }, { distance: 150 }))
+            .toThrow('Ball temperature must be between -20°F and 130°F');
+    });
+});
@@ -0,0 +1,138 @@
+/**
+ * Unit tests for club profiles
+ */
+
+import {
+    createClubProfile,
+    updateClubProfile,
+    ClubProfileStore,
+    toClubId
+} from '../src/clubs/club-profile.js';
+import { computeShot } from '../src/calculations/yardage-engine.js';
+import { recommendClubs } from '../src/calculations/club-selection.js';
+import { PGA_CLUB_DATA } from '../constants/club-data.js';
+import { createStorage } from './helpers/storage.js';
+
+describe('Club profiles', () => {
+    test('defaults from the matching tour club', () => {
+        const profile = createClubProfile({ name: '7 Iron' });
+        expect(profile).toMatchObject({
+            id: '7-iron',
+            key: 'seven_iron',
+            loft: 34,
+            ballSpeed: PGA_CLUB_DATA.seven_iron.ballSpeed,
+            launchAngle: PGA_CLUB_DATA.seven_iron.launchAngle,
+            dispersion: null
+        });
+        expect(profile.carry).toBeCloseTo(PGA_CLUB_DATA.seven_iron.carryDistance, -1);
+        expect(profile.total).toBeGreaterThan(profile.carry);
+        expect(profile.distance).toBe(profile.carry);
+    });
+
+    test('scales the tour launch to the player\'s carry and keeps what was measured', () => {
+        const scaled = createClubProfile({ type: '7-iron', distance: 150 });
+        expect(scaled.carry).toBe(150);
+        expect(scaled.ballSpeed).toBeLessThan(PGA_CLUB_DATA.seven_iron.ballSpeed);
+        expect(computeShot({}, {}, scaled).carry).toBeCloseTo(150, 0);
+
+        // Our numbers, not tour averages: a lower-spinning 7 iron flies its own flight
+        const measured = createClubProfile({
+            name: '7 Iron', loft: 32, ballSpeed: 118, launchAngle: 18.5, spinRate: 6200,
+            dispersion: { carry: 6, lateral: 9 }
+        });
+        expect(measured.loft).toBe(32);
+        expect(measured.dispersion).toEqual({ carry: 6, lateral: 9 });
+        expect(computeShot({}, {}, measured).carry).toBeCloseTo(measured.carry, 6);
+        expect(recommendClubs(measured.carry, [measured], {}, { swings: ['full'], heights: ['medium'] })[0].miss)
+            .toBeCloseTo(0, 6);
+    });
+
+    test('the engine and club selection keep a measured carry', () => {
+        const measured = createClubProfile({
+            name: '7 Iron', carry: 150, ballSpeed: 120, launchAngle: 16.3, spinRate: 7097
+        });
+        expect(computeShot({}, {}, measured).carry).toBeCloseTo(150, 6);
+        expect(computeShot({}, {}, measured).breakdown.standardCarry).toBeCloseTo(150, 6);
+        const [stock] = recommendClubs(150, [measured], {}, { swings: ['full'], heights: ['medium'] });
+        expect(stock.carry).toBeCloseTo(150, 6);
+        expect(stock.miss).toBeCloseTo(0, 6);
+
+        // Conditions still move it
+        expect(computeShot({ temperature: 95, altitude: 5000 }, {}, measured).carry).toBeGreaterThan(155);
+    });
+
+    test('edits re-derive the numbers that depend on them', () => {
+        const profile = createClubProfile({ name: 'PW', carry: 120 });
+
+        const longer = updateClubProfile(profile, { carry: 125 });
+        expect(longer.ballSpeed).toBeGreaterThan(profile.ballSpeed);
+        expect(computeShot({}, {}, longer).carry).toBeCloseTo(125, 0);
+
+        const higher = updateClubProfile(profile, { launchAngle: profile.launchAngle + 4 });
+        expect(higher.ballSpeed).toBe(profile.ballSpeed);
+        expect(higher.apexHeight).toBeGreaterThan(profile.apexHeight);
+        expect(higher.carry).not.toBe(120);
+        expect(higher.loft).toBe(46);
+    });
+
+    test('store converts both older bag formats', () => {
+        const storage = createStorage();
+        storage.setItem('clubs', JSON.stringify([{ type: 'driver', distance: 240 }, { type: 'pw', distance: 115 }]));
+        storage.setItem('golfClubs', JSON.stringify([{ name: '7-Iron', distance: 150 }, { name: 'PW', distance: 120 }]));
+        const store = new ClubProfileStore(storage);
+
+        const clubs = store.list();
+        expect(clubs.map(club => club.name)).toEqual(['driver', '7-Iron', 'pw']);
+        expect(clubs[2].carry).toBe(115);
+        expect(storage.getItem('golfClubs')).toBeNull();
+        expect(JSON.parse(storage.getItem('clubs'))[0].ballSpeed).toBeGreaterThan(140);
+
+        store.update('7-iron', { launchAngle: 18 });
+        expect(store.get('7-Iron').launchAngle).toBe(18);
+        store.save({ name: '7-Iron', carry: 155 });
+        expect(store.list()).toHaveLength(3);
+        store.remove('driver');
+        expect(store.list().map(club => club.id)).toEqual(['7-iron', 'pitching-wedge']);
+    });
+
+    test('one club is one profile whatever it is called', () => {
+        expect(toClubId('PW')).toBe('pitching-wedge');
+        expect(toClubId('3-Wood')).toBe('3-wood');
+        expect(toClubId('4 Hybrid')).not.toBe(toClubId('3 Hybrid'));
+        expect(toClubId('Chipper')).toBe('chipper');
+
+        // A profile saved under the old name-only id is merged with the clubs page's
+        const storage = createStorage();
+        const legacy = { ...createClubProfile({ name: 'PW', carry: 120 }), id: 'pw' };
+        storage.setItem('clubs', JSON.stringify([legacy]));
+        const store = new ClubProfileStore(storage);
+        expect(store.list().map(club => club.id)).toEqual(['pitching-wedge']);
+
+        store.save({ name: 'Pitching Wedge', carry: 125 });
+        expect(store.list()).toHaveLength(1);
+        expect(store.get('pw').carry).toBe(125);
+    });
+
+    test('names without Latin letters do not replace each other', () => {
+        const store = new ClubProfileStore(createStorage());
+        const launch = { ballSpeed: 120, launchAngle: 16, spinRate: 7000 };
+        const wood = store.save({ name: '木', ...launch });
+        const other = store.save({ name: 'ウッド', ...launch, ballSpeed: 130 });
+
+        expect(wood.id).toMatch(/^club-[a-z0-9]+$/);
+        expect(other.id).not.toBe(wood.id);
+        expect(store.list().map(club => club.name).sort()).toEqual(['ウッド', '木'].sort());
+        expect(store.get('木').ballSpeed).toBe(120);
+    });
+
+    test('throws error for invalid inputs', () => {
+        expect(() => createClubProfile({ carry: 150 })).toThrow('Club name is required');
+        expect(() => createClubProfile({ name: '7 Iron', carry: -5 })).toThrow('Carry must be a positive number');
+        expect(() => createClubProfile({ name: 'Chipper' })).toThrow('Club needs a carry or launch data: Chipper');
+        expect(() => createClubProfile({ name: '7 Iron', ballSpeed: 0, launchAngle: 18, spinRate: 6000 }))
+            .toThrow('Ball speed must be a positive number');
+        expect(() => createClubProfile({ name: '7 Iron', dispersion: { carry: -1 } }))
+            .toThrow('Dispersion must be non-negative standard deviations in yards');
+        expect(() => new ClubProfileStore(createStorage()).update('driver', {})).toThrow('Unknown club: driver');
+    });
+});
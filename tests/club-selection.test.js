@@ -0,0 +1,137 @@
+/**
+ * Unit tests for club selection
+ */
+
+import {
+    findClubKey,
+    calibrateClubLaunch,
+    recommendClubs
+} from '../src/calculations/club-selection.js';
+import { calculateTrajectory } from '../src/ball-physics.js';
+
+describe('findClubKey', () => {
+    test('matches common club names and shorthand', () => {
+        expect(findClubKey('Driver')).toBe('driver');
+        expect(findClubKey('7-Iron')).toBe('seven_iron');
+        expect(findClubKey('7i')).toBe('seven_iron');
+        expect(findClubKey('3 Wood')).toBe('threewood');
+        expect(findClubKey('PW')).toBe('pitching_wedge');
+        expect(findClubKey('sw')).toBe('sand_wedge');
+        expect(findClubKey('4 Hybrid')).toBe('hybrid');
+    });
+
+    test('returns null for unknown clubs', () => {
+        expect(findClubKey('putter')).toBeNull();
+        expect(findClubKey('')).toBeNull();
+    });
+});
+
+describe('calibrateClubLaunch', () => {
+    test('reproduces the player\'s stock carry', () => {
+        const launch = calibrateClubLaunch({ name: '7-Iron', distance: 150 });
+        expect(launch.key).toBe('seven_iron');
+        expect(calculateTrajectory(launch).carryDistance).toBeCloseTo(150, 0);
+    });
+
+    test('accepts clubs stored with a type instead of a name', () => {
+        const launch = calibrateClubLaunch({ type: 'pw', distance: 120 });
+        expect(launch.name).toBe('pw');
+        expect(calculateTrajectory(launch).carryDistance).toBeCloseTo(120, 0);
+    });
+
+    test('reaches short chips and long drives', () => {
+        expect(calculateTrajectory(calibrateClubLaunch({ name: 'Lob Wedge', distance: 20 })).carryDistance)
+            .toBeCloseTo(20, 0);
+        expect(calculateTrajectory(calibrateClubLaunch({ name: 'Driver', distance: 360 })).carryDistance)
+            .toBeCloseTo(360, 0);
+    });
+
+    test('throws error for invalid clubs', () => {
+        expect(() => calibrateClubLaunch({ name: 'Lob Wedge', distance: 5 }))
+            .toThrow('Club distance must be between 16 and 132 yards for a Lob Wedge: 5');
+        expect(() => calibrateClubLaunch({ name: 'Reference', distance: 380 }))
+            .toThrow('Club distance must be between 24 and 373 yards for a Driver: 380');
+        expect(() => calibrateClubLaunch(null)).toThrow('Club must be a valid object');
+        expect(() => calibrateClubLaunch({ name: '7-Iron', distance: 0 }))
+            .toThrow('Club distance must be positive: 7-Iron');
+    });
+});
+
+describe('recommendClubs', () => {
+    const bag = [
+        { name: '5-Iron', distance: 175 },
+        { name: '6-Iron', distance: 165 },
+        { name: '7-Iron', distance: 155 },
+        { name: '8-Iron', distance: 145 },
+        { name: '9-Iron', distance: 135 }
+    ];
+
+    test('a stock distance picks the matching club', () => {
+        const [best] = recommendClubs(155, bag, {}, { swings: ['full'], heights: ['medium'] });
+        expect(best.club).toBe('7-Iron');
+        expect(Math.abs(best.miss)).toBeLessThan(1);
+    });
+
+    test('ranks options by miss plus swing penalty', () => {
+        const options = recommendClubs(150, bag);
+        expect(options).toHaveLength(5);
+        for (let i = 1; i < options.length; i++) {
+            expect(options[i].score).toBeGreaterThanOrEqual(options[i - 1].score);
+        }
+        expect(Math.abs(options[0].miss)).toBeLessThan(5);
+        expect(options[0].label).toContain(options[0].club);
+    });
+
+    test('a partial swing takes a long club down to a short target', () => {
+        const options = recommendClubs(60, [{ name: 'LW', distance: 90 }]);
+        expect(options.length).toBeGreaterThan(0);
+        expect(options[0].swing).not.toBe('full');
+        expect(Math.abs(options[0].miss)).toBeLessThan(10);
+    });
+
+    test('gives each option a spread around its miss', () => {
+        const [simulated] = recommendClubs(155, bag, {}, { swings: ['full'], heights: ['medium'] });
+        expect(simulated.spread).toBeGreaterThan(2);
+        expect(simulated.spread).toBeLessThan(15);
+
+        // A measured dispersion is used as it stands, narrowed for a partial swing
+        const profile = { name: 'LW', distance: 90, dispersion: { carry: 4, lateral: 3 } };
+        const [full] = recommendClubs(90, [profile], {}, { swings: ['full'], heights: ['medium'] });
+        expect(full.spread).toBeCloseTo(4 * full.carry / 90, 10);
+        const [half] = recommendClubs(60, [profile], {}, { swings: ['half'], heights: ['medium'] });
+        expect(half.spread).toBeLessThan(full.spread);
+    });
+
+    test('simulates where each option lands', () => {
+        const [best] = recommendClubs(155, bag, {}, { swings: ['full'], heights: ['medium'] });
+        const { carry, total, ellipse } = best.dispersion;
+        expect(carry.p10).toBeLessThan(carry.p50);
+        expect(carry.p90).toBeGreaterThan(carry.p50);
+        expect(carry.p50).toBeCloseTo(best.carry, -1);
+        expect(total.p50).toBeGreaterThan(carry.p50);
+        expect(ellipse.confidence).toBe(0.9);
+        expect(ellipse.semiMajor).toBeGreaterThanOrEqual(ellipse.semiMinor);
+
+        // A measured spread sets the carry range
+        const profile = { name: 'LW', distance: 90, dispersion: { carry: 4, lateral: 3 } };
+        const [wedge] = recommendClubs(90, [profile], {}, { swings: ['full'], heights: ['medium'] });
+        expect(wedge.dispersion.carry.p90 - wedge.dispersion.carry.p10).toBeCloseTo(2 * 1.2816 * wedge.spread, 10);
+    });
+
+    test('a headwind calls for more club', () => {
+        const options = { swings: ['full'], heights: ['medium'] };
+        const [calm] = recommendClubs(155, bag, {}, options);
+        const [into] = recommendClubs(155, bag, { wind: { x: -15 } }, options);
+        const order = bag.map(club => club.name);
+        expect(order.indexOf(into.club)).toBeLessThan(order.indexOf(calm.club));
+    });
+
+    test('throws error for invalid inputs', () => {
+        expect(() => recommendClubs(0, bag)).toThrow('Target distance must be a positive number');
+        expect(() => recommendClubs(150, [])).toThrow('At least one club is required');
+        expect(() => recommendClubs(150, bag, {}, { swings: ['punch'] }))
+            .toThrow('Unknown swing type: punch');
+        expect(() => recommendClubs(150, bag, {}, { heights: ['stinger'] }))
+            .toThrow('Unknown trajectory height: stinger');
+    });
+});
@@ -0,0 +1,104 @@
+/**
+ * Unit tests for the conditions presets
+ */
+
+import { ConditionsPresetStore, getActiveConditions } from '../src/weather/conditions-presets.js';
+import { createConditions } from '../src/weather/weather-provider.js';
+import { parseMetar } from '../src/weather/metar-parser.js';
+import { createStorage } from './helpers/storage.js';
+
+const snapshot = createConditions({
+    temperature: 84, humidity: 35, seaLevelPressure: 30.05, elevation: 5280,
+    windSpeed: 6, windDirection: 180, source: 'tomorrow.io'
+});
+
+describe('Conditions presets', () => {
+    let storage;
+    let store;
+
+    beforeEach(() => {
+        storage = createStorage();
+        store = new ConditionsPresetStore(storage);
+    });
+
+    test('saves a fetched snapshot and replaces presets with the same name', () => {
+        const preset = store.save('Denver trip', snapshot);
+        expect(preset).toMatchObject({ id: 'denver-trip', name: 'Denver trip', origin: 'snapshot' });
+        expect(preset.conditions.stationPressure).toBeCloseTo(snapshot.stationPressure, 6);
+
+        store.save('Home course summer morning', snapshot);
+        store.save(' denver  TRIP ', { ...snapshot, temperature: 60 });
+
+        expect(store.list().map(entry => entry.id)).toEqual(['home-course-summer-morning', 'denver-trip']);
+        expect(store.get('denver-trip').conditions.temperature).toBe(60);
+    });
+
+    test('names without Latin letters still get an id of their own', () => {
+        const tokyo = store.save('東京', snapshot);
+        const seoul = store.save('서울', snapshot);
+        expect(tokyo.id).toMatch(/^preset-[a-z0-9]+$/);
+        expect(seoul.id).not.toBe(tokyo.id);
+
+        store.save(' 東京 ', { ...snapshot, temperature: 60 });
+        expect(store.list()).toHaveLength(2);
+        expect(store.get(tokyo.id).conditions.temperature).toBe(60);
+    });
+
+    test('manual entry carries the altitude in the station pressure', () => {
+        const preset = store.saveManual('Mountain course', { temperature: 70, humidity: 40, altitude: 6000 });
+
+        expect(preset.origin).toBe('manual');
+        expect(preset.conditions).toMatchObject({ elevation: 6000, seaLevelPressure: 29.92, windSpeed: 0 });
+        expect(preset.conditions.stationPressure).toBeLessThan(24.2);
+        expect(preset.conditions.stationPressure).toBeGreaterThan(23.8);
+    });
+
+    test('the active preset replaces the live conditions', () => {
+        expect(getActiveConditions(storage)).toBeNull();
+
+        store.save('Denver trip', snapshot);
+        store.setActive('denver-trip');
+
+        expect(store.getActive().name).toBe('Denver trip');
+        expect(getActiveConditions(storage)).toMatchObject({
+            temperature: 84,
+            elevation: 5280,
+            source: 'preset: Denver trip'
+        });
+
+        store.setActive(null);
+        expect(getActiveConditions(storage)).toBeNull();
+    });
+
+    test('a pasted METAR kept as the active preset reaches the calculators', () => {
+        const metar = parseMetar('KDEN 011553Z 20012G20KT 10SM FEW080 24/03 A3012', { elevation: 5434 });
+        store.setActive(store.save('METAR KDEN', metar).id);
+
+        const active = getActiveConditions(storage);
+        expect(active).toMatchObject({ temperature: metar.temperature, windGust: metar.windGust, source: 'preset: METAR KDEN' });
+        expect(active.stationPressure).toBeCloseTo(metar.stationPressure, 6);
+    });
+
+    test('removing the active preset goes back to live weather', () => {
+        store.save('Denver trip', snapshot);
+        store.save('Home course summer morning', snapshot);
+        store.setActive('denver-trip');
+
+        store.remove('home-course-summer-morning');
+        expect(store.getActive().id).toBe('denver-trip');
+
+        store.remove('denver-trip');
+        expect(store.list()).toHaveLength(0);
+        expect(store.getActive()).toBeNull();
+    });
+
+    test('throws error for invalid inputs', () => {
+        expect(() => store.save('  ', snapshot)).toThrow('Preset name is required');
+        expect(() => store.save('Denver trip', null)).toThrow('Conditions must be a valid object');
+        expect(() => store.saveManual('Broken', { temperature: 70, humidity: 50, altitude: NaN }))
+            .toThrow('Altitude must be a valid number');
+        expect(() => store.saveManual('Broken', { temperature: 70, humidity: 150 }))
+            .toThrow('Humidity must be between 0% and 100%');
+        expect(() => store.setActive('nowhere')).toThrow('Unknown conditions preset: nowhere');
+    });
+});
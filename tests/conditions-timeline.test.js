@@ -0,0 +1,129 @@
+/**
+ * Unit tests for the conditions timeline
+ */
+
+import {
+    ConditionsTimeline,
+    calculateTrends,
+    extrapolateConditions
+} from '../src/weather/conditions-timeline.js';
+import { createConditions, toShotConditions } from '../src/weather/weather-provider.js';
+import { computeShot } from '../src/calculations/yardage-engine.js';
+import { createStorage } from './helpers/storage.js';
+
+const MINUTE = 60 * 1000;
+const teeTime = Date.parse('2024-06-01T15:00:00Z');
+
+const reading = (minutes, values = {}) => createConditions({
+    temperature: 80,
+    humidity: 40,
+    stationPressure: 29.60,
+    seaLevelPressure: 29.92,
+    windSpeed: 8,
+    windDirection: 200,
+    latitude: 39.74,
+    longitude: -104.99,
+    observedAt: teeTime + minutes * MINUTE,
+    source: 'tomorrow.io',
+    ...values
+});
+
+// A cold front arriving: falling temperature, rising pressure, wind veering through north
+const coldFront = [
+    reading(0, { temperature: 82, stationPressure: 29.50, windSpeed: 6, windDirection: 330 }),
+    reading(30, { temperature: 79, stationPressure: 29.53, windSpeed: 9, windDirection: 350 }),
+    reading(60, { temperature: 76, stationPressure: 29.56, windSpeed: 12, windDirection: 10 })
+];
+
+describe('Conditions timeline', () => {
+    test('measures the trend of each field per hour', () => {
+        const trends = calculateTrends(coldFront);
+        expect(trends.temperature).toBeCloseTo(-6, 6);
+        expect(trends.stationPressure).toBeCloseTo(0.06, 6);
+        expect(trends.windSpeed).toBeCloseTo(6, 6);
+        expect(trends.windDirection).toBeCloseTo(40, 6);
+    });
+
+    test('extrapolates from the latest reading to the time of the shot', () => {
+        const projected = extrapolateConditions(coldFront, teeTime + 90 * MINUTE);
+        expect(projected.temperature).toBeCloseTo(73, 6);
+        expect(projected.stationPressure).toBeCloseTo(29.59, 6);
+        expect(projected.windDirection).toBeCloseTo(30, 6);
+        expect(projected.observedAt).toBe(new Date(teeTime + 90 * MINUTE).toISOString());
+
+        // No further than the horizon, and never backwards from the latest reading
+        const capped = extrapolateConditions(coldFront, teeTime + 10 * 60 * MINUTE, { horizon: 60 * MINUTE });
+        expect(capped.temperature).toBeCloseTo(70, 6);
+        expect(extrapolateConditions(coldFront, teeTime).temperature).toBe(76);
+    });
+
+    test('yardages drift as the front moves through', () => {
+        const storage = createStorage();
+        let clock = teeTime;
+        const timeline = new ConditionsTimeline({ storage, now: () => clock });
+        const playsLike = conditions => computeShot({ ...toShotConditions(conditions), windSpeed: 0 }, { distance: 150 }).playsLike;
+
+        timeline.add(coldFront[0]);
+        const firstTee = playsLike(timeline.project());
+
+        coldFront.slice(1).forEach(entry => timeline.add(entry));
+        clock = teeTime + 2 * 60 * MINUTE;
+        const backNine = playsLike(timeline.project());
+
+        // Colder, denser air: the same flag plays longer
+        expect(backNine).toBeGreaterThan(firstTee + 1);
+    });
+
+    test('keeps only recent readings from one source and place', () => {
+        const storage = createStorage();
+        let clock = teeTime + 60 * MINUTE;
+        const timeline = new ConditionsTimeline({ storage, now: () => clock, window: 90 * MINUTE });
+
+        coldFront.forEach(entry => timeline.add(entry));
+        timeline.add(coldFront[2]);
+        expect(timeline.readings()).toHaveLength(3);
+
+        clock = teeTime + 100 * MINUTE;
+        expect(timeline.readings()).toHaveLength(2);
+
+        // Moving to a course in Boulder starts again
+        timeline.add(reading(100, { latitude: 40.015, longitude: -105.27 }));
+        expect(timeline.readings()).toHaveLength(1);
+
+        timeline.add(reading(101, { latitude: 40.015, longitude: -105.27, source: 'metar KBJC' }));
+        expect(timeline.readings().map(entry => entry.source)).toEqual(['metar KBJC']);
+        expect(timeline.trends().temperature).toBe(0);
+
+        timeline.clear();
+        expect(timeline.project()).toBeNull();
+    });
+
+    test('keeps every reading for weeks for looking up past sessions', () => {
+        const storage = createStorage();
+        let clock = teeTime + 60 * MINUTE;
+        const timeline = new ConditionsTimeline({ storage, now: () => clock });
+
+        coldFront.forEach(entry => timeline.add(entry));
+        timeline.add(reading(70, { latitude: 40.015, longitude: -105.27, source: 'metar KBJC' }));
+        expect(timeline.readings()).toHaveLength(1);
+        expect(timeline.history()).toHaveLength(4);
+
+        // The round's trend is long gone, but last week's range session can still find its weather
+        clock = teeTime + 7 * 24 * 60 * MINUTE;
+        expect(timeline.readings()).toHaveLength(0);
+        expect(timeline.history().map(entry => entry.source))
+            .toEqual(['tomorrow.io', 'tomorrow.io', 'tomorrow.io', 'metar KBJC']);
+
+        clock = teeTime + 31 * 24 * 60 * MINUTE;
+        expect(timeline.history()).toHaveLength(0);
+    });
+
+    test('throws error for invalid inputs', () => {
+        expect(() => calculateTrends([])).toThrow('Readings must be a non-empty array');
+        expect(() => extrapolateConditions(coldFront, 'not a time')).toThrow('Projection time must be a valid date');
+        expect(() => new ConditionsTimeline({ storage: createStorage(), window: 0 }))
+            .toThrow('Timeline window must be a positive number');
+        expect(() => new ConditionsTimeline({ storage: createStorage() }).add({ temperature: 70 }))
+            .toThrow('Conditions must come from a weather provider');
+    });
+});
@@ -0,0 +1,105 @@
+/**
+ * Unit tests for shot dispersion
+ */
+
+import {
+    createRandom,
+    calculatePercentile,
+    calculateLandingEllipse,
+    simulateDispersion,
+    calculateLandingProbability
+} from '../src/calculations/dispersion-calculations.js';
+import { calculateTrajectory } from '../src/ball-physics.js';
+import { PGA_CLUB_DATA } from '../constants/club-data.js';
+
+describe('Sampling helpers', () => {
+    test('seeded generator is repeatable', () => {
+        const a = createRandom(42);
+        const b = createRandom(42);
+        const values = Array.from({ length: 5 }, () => a());
+        expect(values).toEqual(Array.from({ length: 5 }, () => b()));
+        values.forEach(value => {
+            expect(value).toBeGreaterThanOrEqual(0);
+            expect(value).toBeLessThan(1);
+        });
+    });
+
+    test('interpolates percentiles', () => {
+        const sorted = [10, 20, 30, 40, 50];
+        expect(calculatePercentile(sorted, 0)).toBe(10);
+        expect(calculatePercentile(sorted, 50)).toBe(30);
+        expect(calculatePercentile(sorted, 90)).toBeCloseTo(46, 10);
+        expect(() => calculatePercentile([], 50)).toThrow('At least one value is required');
+        expect(() => calculatePercentile(sorted, 120)).toThrow('Percentile must be between 0 and 100');
+    });
+
+    test('ellipse follows the spread of the points', () => {
+        const points = [
+            { x: 140, z: 0 }, { x: 160, z: 0 }, { x: 150, z: 2 }, { x: 150, z: -2 }
+        ];
+        const ellipse = calculateLandingEllipse(points);
+        expect(ellipse.center).toEqual({ x: 150, z: 0 });
+        expect(ellipse.semiMajor).toBeGreaterThan(ellipse.semiMinor);
+        expect(ellipse.angle).toBeCloseTo(0, 6);
+        expect(() => calculateLandingEllipse(points, 1)).toThrow('Confidence must be between 0 and 1');
+    });
+});
+
+describe('simulateDispersion', () => {
+    const sevenIron = PGA_CLUB_DATA.seven_iron;
+
+    test('percentiles bracket the nominal carry', () => {
+        const nominal = calculateTrajectory(sevenIron).carryDistance;
+        const result = simulateDispersion(sevenIron, {}, { samples: 200, seed: 1 });
+        expect(result.carry.p10).toBeLessThan(result.carry.p50);
+        expect(result.carry.p50).toBeLessThan(result.carry.p90);
+        expect(Math.abs(result.carry.p50 - nominal)).toBeLessThan(3);
+        expect(result.total.p50).toBeGreaterThan(result.carry.p50);
+        expect(result.ellipse.semiMajor).toBeGreaterThan(0);
+        expect(result.landings).toHaveLength(200);
+    });
+
+    test('same seed gives the same result', () => {
+        const first = simulateDispersion(sevenIron, {}, { samples: 50, seed: 7 });
+        const second = simulateDispersion(sevenIron, {}, { samples: 50, seed: 7 });
+        expect(second.carry).toEqual(first.carry);
+    });
+
+    test('tighter launch variability shrinks the ellipse', () => {
+        const stock = simulateDispersion(sevenIron, {}, { samples: 200, seed: 3 });
+        const tight = simulateDispersion(sevenIron, {}, {
+            samples: 200,
+            seed: 3,
+            dispersion: { ballSpeed: 1, launchAngle: 0.5, spinRate: 100, startDirection: 0.5, spinAxis: 1 }
+        });
+        expect(tight.ellipse.semiMajor).toBeLessThan(stock.ellipse.semiMajor);
+        expect(tight.carry.p90 - tight.carry.p10).toBeLessThan(stock.carry.p90 - stock.carry.p10);
+    });
+
+    test('gusts widen the spread into the wind', () => {
+        const options = { samples: 200, seed: 5 };
+        const steady = simulateDispersion(sevenIron, { wind: { x: -10 } }, options);
+        const gusty = simulateDispersion(sevenIron, { wind: { x: -10 }, gust: 10 }, options);
+        expect(gusty.carry.p50).toBeLessThan(steady.carry.p50);
+        expect(gusty.carry.p90 - gusty.carry.p10).toBeGreaterThan(steady.carry.p90 - steady.carry.p10);
+    });
+
+    test('landing probability grows with target size', () => {
+        const result = simulateDispersion(sevenIron, {}, { samples: 200, seed: 9 });
+        const center = result.ellipse.center;
+        const small = calculateLandingProbability(result, { ...center, radius: 5 });
+        const large = calculateLandingProbability(result, { ...center, radius: 25 });
+        expect(small).toBeLessThan(large);
+        expect(large).toBeLessThanOrEqual(1);
+        expect(() => calculateLandingProbability(result, { radius: 0 }))
+            .toThrow('Target radius must be a positive number');
+    });
+
+    test('throws error for invalid inputs', () => {
+        expect(() => simulateDispersion(null)).toThrow('Club data is required');
+        expect(() => simulateDispersion(sevenIron, {}, { samples: 5 }))
+            .toThrow('Samples must be an integer of at least 10');
+        expect(() => simulateDispersion(sevenIron, { gust: -5 }))
+            .toThrow('Gust must be a non-negative number');
+    });
+});
@@ -0,0 +1,48 @@
+/**
+ * Unit tests for elevation change calculations
+ */
+
+import { calculateElevationEffect } from '../src/calculations/elevation-calculations.js';
+import { calculateTrajectory } from '../src/ball-physics.js';
+import { PGA_CLUB_DATA } from '../constants/club-data.js';
+
+describe('Elevation Calculations', () => {
+    const sevenIron = PGA_CLUB_DATA.seven_iron;
+
+    test('flat target plays its own distance', () => {
+        const effect = calculateElevationEffect(150, 0, sevenIron);
+        expect(effect.playsLike).toBe(150);
+        expect(effect.adjustment).toBe(0);
+    });
+
+    test('uphill plays longer and downhill plays shorter', () => {
+        const uphill = calculateElevationEffect(170, 30, sevenIron);
+        const downhill = calculateElevationEffect(170, -30, sevenIron);
+        expect(uphill.method).toBe('trajectory');
+        expect(uphill.adjustment).toBeGreaterThan(5);
+        expect(downhill.adjustment).toBeLessThan(-5);
+        // Catching the ball on the way down costs more than dropping it further
+        expect(Math.abs(uphill.adjustment)).toBeGreaterThan(Math.abs(downhill.adjustment));
+    });
+
+    test('elevated landing shallows the descent angle', () => {
+        const effect = calculateElevationEffect(170, 40, sevenIron);
+        const flat = calculateTrajectory(sevenIron);
+        expect(effect.landingAngle).toBeLessThan(flat.landingAngle);
+    });
+
+    test('falls back to the descent angle without launch data', () => {
+        const effect = calculateElevationEffect(150, 30, { landingAngle: 45 });
+        expect(effect.method).toBe('descent-angle');
+        expect(effect.adjustment).toBeCloseTo(10, 6);
+    });
+
+    test('throws error for invalid inputs', () => {
+        expect(() => calculateElevationEffect('far', 10)).toThrow('Distance must be a valid number');
+        expect(() => calculateElevationEffect(0, 10)).toThrow('Distance must be positive');
+        expect(() => calculateElevationEffect(150, 'up')).toThrow('Height difference must be a valid number');
+        expect(() => calculateElevationEffect(150, 400)).toThrow('Height difference must be within 300 feet');
+        expect(() => calculateElevationEffect(150, 10, { landingAngle: 90 })).toThrow('Landing angle must be between 0 and 90 degrees');
+        expect(() => calculateElevationEffect(150, 200, sevenIron)).toThrow('Trajectory never reaches the landing height');
+    });
+});
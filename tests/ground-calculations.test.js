@@ -0,0 +1,93 @@
+/**
+ * Unit tests for bounce and roll calculations
+ */
+
+import {
+    calculateGroundRoll,
+    calculateTurfWetness,
+    resolveSurface,
+    SURFACE_PRESETS
+} from '../src/calculations/ground-calculations.js';
+import { calculateTrajectory } from '../src/ball-physics.js';
+import { PGA_CLUB_DATA } from '../constants/club-data.js';
+
+describe('Ground Calculations', () => {
+    const driver = calculateTrajectory(PGA_CLUB_DATA.driver);
+    const sevenIron = calculateTrajectory(PGA_CLUB_DATA.seven_iron);
+    const lobWedge = calculateTrajectory(PGA_CLUB_DATA.lob_wedge);
+
+    test('splits carry and total distance', () => {
+        const result = calculateGroundRoll(driver, 'fairway');
+        expect(result.carry).toBe(driver.carryDistance);
+        expect(result.total).toBeCloseTo(result.carry + result.roll, 6);
+        expect(result.roll).toBeCloseTo(result.bounce.distance + result.rollout, 6);
+        expect(result.roll).toBeGreaterThan(15);
+        expect(result.roll).toBeLessThan(45);
+    });
+
+    test('firm turf runs further than soft turf', () => {
+        const soft = calculateGroundRoll(sevenIron, { type: 'fairway', firmness: 0.2 });
+        const firm = calculateGroundRoll(sevenIron, { type: 'fairway', firmness: 0.9 });
+        expect(firm.roll).toBeGreaterThan(soft.roll);
+        expect(firm.bounce.height).toBeGreaterThan(soft.bounce.height);
+    });
+
+    test('wet turf and long grass kill rollout', () => {
+        const dry = calculateGroundRoll(driver, 'fairway');
+        const wet = calculateGroundRoll(driver, { type: 'fairway', wet: true });
+        const rough = calculateGroundRoll(driver, 'rough');
+        expect(wet.roll).toBeLessThan(dry.roll);
+        expect(rough.roll).toBeLessThan(dry.roll);
+    });
+
+    test('high-spin wedges check on the green', () => {
+        const result = calculateGroundRoll(lobWedge, 'green');
+        expect(result.checked).toBe(true);
+        expect(result.roll).toBeLessThan(1);
+    });
+
+    test('residual spin falls back to calculateSpinDecay', () => {
+        const landing = {
+            carryDistance: sevenIron.carryDistance,
+            landingAngle: sevenIron.landingAngle,
+            landingSpeed: sevenIron.landingSpeed,
+            spinRate: PGA_CLUB_DATA.seven_iron.spinRate,
+            flightTime: sevenIron.flightTime
+        };
+        const result = calculateGroundRoll(landing, 'green');
+        expect(result.residualSpin).toBeLessThan(PGA_CLUB_DATA.seven_iron.spinRate);
+        expect(result.residualSpin).toBeGreaterThan(0);
+    });
+
+    test('throws error for invalid inputs', () => {
+        expect(() => calculateGroundRoll(null)).toThrow('Landing data must be a valid object');
+        expect(() => calculateGroundRoll({ ...driver, carryDistance: -1 })).toThrow('Carry distance must be a non-negative number');
+        expect(() => calculateGroundRoll({ ...driver, landingAngle: 0 })).toThrow('Landing angle must be between 0 and 90 degrees');
+        expect(() => calculateGroundRoll({ ...driver, landingSpeed: 'fast' })).toThrow('Landing speed must be a non-negative number');
+        expect(() => calculateGroundRoll(driver, 'bunker')).toThrow('Unknown surface type: bunker');
+    });
+});
+
+describe('Surface descriptions', () => {
+    test('resolves presets and overrides', () => {
+        expect(resolveSurface('green')).toEqual({ type: 'green', ...SURFACE_PRESETS.green, wetness: 0 });
+        expect(resolveSurface({ type: 'green', firmness: 0.9, wet: true })).toMatchObject({
+            firmness: 0.9,
+            wetness: 1
+        });
+    });
+
+    test('validates surface ranges', () => {
+        expect(() => resolveSurface({ firmness: 2 })).toThrow('Firmness must be between 0 and 1');
+        expect(() => resolveSurface({ grassHeight: -1 })).toThrow('Grass height must be non-negative');
+        expect(() => resolveSurface({ wetness: 1.5 })).toThrow('Wetness must be between 0 and 1');
+    });
+
+    test('turf wetness follows the dew point spread', () => {
+        expect(calculateTurfWetness(40, 70)).toBe(0);
+        expect(calculateTurfWetness(62, 70)).toBeCloseTo(0.6, 6);
+        expect(calculateTurfWetness(68, 70)).toBe(1);
+        expect(() => calculateTurfWetness('dew', 70)).toThrow('Dew point must be a valid number');
+        expect(() => calculateTurfWetness(50, null)).toThrow('Temperature must be a valid number');
+    });
+});
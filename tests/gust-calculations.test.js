@@ -0,0 +1,49 @@
+/**
+ * Unit tests for gust calculations
+ */
+
+import { calculateGustRange, formatPlaysLike } from '../src/calculations/gust-calculations.js';
+import { calculateWindEffect } from '../src/calculations/wind-calculations.js';
+
+describe('Gust Calculations', () => {
+    // 150 yards into a headwind
+    const playsLike = speed => 150 - calculateWindEffect(speed, 0, 30).distance * 150;
+
+    test('returns sustained, gust and expected distances', () => {
+        const range = calculateGustRange(10, 20, playsLike);
+        expect(range.isGusty).toBe(true);
+        expect(range.gust).toBeGreaterThan(range.sustained);
+        expect(range.expected).toBeGreaterThan(range.sustained);
+        expect(range.expected).toBeLessThan(range.gust);
+        expect(range.low).toBe(range.sustained);
+        expect(range.high).toBe(range.gust);
+    });
+
+    test('gust probability weights the expected distance', () => {
+        const never = calculateGustRange(10, 20, playsLike, { gustProbability: 0 });
+        const always = calculateGustRange(10, 20, playsLike, { gustProbability: 1 });
+        expect(never.expected).toBeCloseTo(never.sustained, 10);
+        expect(always.expected).toBeCloseTo(always.gust, 10);
+    });
+
+    test('steady wind collapses to a single distance', () => {
+        const range = calculateGustRange(10, undefined, playsLike);
+        expect(range.isGusty).toBe(false);
+        expect(range.gust).toBe(range.sustained);
+        expect(formatPlaysLike(range)).toBe(`plays ${Math.round(range.sustained)}`);
+    });
+
+    test('formats a plays-like range', () => {
+        expect(formatPlaysLike({ low: 161.6, high: 171.2 })).toBe('plays 162-171');
+    });
+
+    test('throws error for invalid inputs', () => {
+        expect(() => calculateGustRange(-1, 5, playsLike)).toThrow('Wind speed must be a non-negative number');
+        expect(() => calculateGustRange(10, 5, playsLike))
+            .toThrow('Gust speed must not be less than the sustained wind speed');
+        expect(() => calculateGustRange(10, 15, null)).toThrow('Distance calculation must be a function');
+        expect(() => calculateGustRange(10, 15, playsLike, { gustProbability: 2 }))
+            .toThrow('Gust probability must be between 0 and 1');
+        expect(() => formatPlaysLike(null)).toThrow('Gust range is required');
+    });
+});
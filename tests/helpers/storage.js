@@ -0,0 +1,14 @@
+/**
+ * Shared test helpers for the localStorage-backed stores
+ */
+
+/**
+ * In-memory Storage with the getItem/setItem/removeItem the stores use
+ * @param {Map} [items] - Backing map, to look at or share what was stored
+ * @returns {Object} Storage-like object
+ */
+export const createStorage = (items = new Map()) => ({
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+});
@@ -0,0 +1,120 @@
+/**
+ * Unit tests for launch monitor imports
+ */
+
+import {
+    LAUNCH_MONITOR_FORMATS,
+    parseCsv,
+    detectLaunchMonitorFormat,
+    parseLaunchMonitorExport,
+    summarizeValues,
+    removeOutliers,
+    importLaunchMonitorSession
+} from '../src/clubs/launch-monitor-import.js';
+
+const trackman = [
+    'Trackman Range Session,2024-06-01',
+    'Date,Player,Club,Club Speed,Ball Speed,Launch Angle,Launch Direction,Spin Rate,Spin Axis,Height,Carry,Total,Side,Landing Angle',
+    ',,,[mph],[mph],[deg],[deg],[rpm],[deg],[ft],[yds],[yds],[yds],[deg]',
+    '06/01/2024 10:00,Sam,7Iron,85.1,118.2,18.4,0.5,6410,1.2,88,158.1,165.3,2.1,49.8',
+    '06/01/2024 10:01,Sam,7Iron,84.6,117.5,18.9,-1.1,6520,-2.0,87,156.4,163.2,-3.4,50.1',
+    '06/01/2024 10:02,Sam,7Iron,85.3,118.6,18.1,0.2,6380,0.4,89,159.0,166.8,0.8,49.5',
+    '06/01/2024 10:03,Sam,7Iron,83.9,116.9,19.2,1.4,6610,2.2,86,155.2,162.0,4.0,50.4',
+    '06/01/2024 10:04,Sam,7Iron,80.2,98.4,12.1,-3.5,4950,-6.1,41,121.7,139.5,-14.2,31.0',
+    '06/01/2024 10:05,Sam,Driver,104.2,152.5,12.8,0.1,2710,3.0,92,248.3,270.1,6.2,36.4'
+].join('\n');
+
+const gcquad = [
+    'Club,Ball Speed (mph),Launch Angle (deg),Azimuth (deg),Back Spin (rpm),Side Spin (rpm),Carry (yds),Total (yds),Offline (yds),Peak Height (yds),Descent Angle (deg)',
+    '7I,118.0,18.5,1.0,6400,-300,157.5,164.0,4.2 R,29.3,50.0',
+    '7I,117.4,18.8,-0.6,6480,250,156.8,163.1,3.1 L,29.0,50.3',
+    'Average,117.7,18.65,0.2,6440,-25,157.2,163.6,0.6,29.2,50.2'
+].join('\r\n');
+
+const flightscope = [
+    'Club,"Ball (mph)","Club (mph)","Carry (yds)","Total (yds)","Lateral (yds)","Lateral (°)","Spin (rpm)","Height (ft)","Launch V (°)","Launch H (°)","Descent V (°)"',
+    '7i,118.1,84.8,157.9,164.6,R2.4,0.9,6450,88.0,18.6,0.7,50.1'
+].join('\n');
+
+const garmin = [
+    'Date,Player,Club Name,Club Type,Club Speed,Ball Speed,Launch Angle,Launch Direction,Backspin,Sidespin,Spin Rate,Spin Axis,Apex Height,Carry Distance,Carry Deviation Distance,Total Distance',
+    ',,,,[m/s],[m/s],[deg],[deg],[rpm],[rpm],[rpm],[deg],[m],[m],[m],[m]',
+    '2024-06-01 10:00:00,Sam,My 7i,7 Iron,38.0,52.8,18.5,0.3,6380,200,6410,1.8,27.0,144.2,1.5,150.9'
+].join('\n');
+
+describe('Launch monitor import', () => {
+    test('parses quoted cells and skips blank lines', () => {
+        expect(parseCsv('a,"b, c","say ""hi"""\n\n1,2,3\r\n')).toEqual([['a', 'b, c', 'say "hi"'], ['1', '2', '3']]);
+    });
+
+    test('detects each launch monitor by its columns', () => {
+        const header = text => parseCsv(text).find(row => row.includes('Club') || row.includes('Club Type'));
+        expect(detectLaunchMonitorFormat(header(trackman))).toBe(LAUNCH_MONITOR_FORMATS.TRACKMAN);
+        expect(detectLaunchMonitorFormat(header(gcquad))).toBe(LAUNCH_MONITOR_FORMATS.GCQUAD);
+        expect(detectLaunchMonitorFormat(header(flightscope))).toBe(LAUNCH_MONITOR_FORMATS.FLIGHTSCOPE);
+        expect(detectLaunchMonitorFormat(header(garmin))).toBe(LAUNCH_MONITOR_FORMATS.GARMIN_R10);
+        expect(detectLaunchMonitorFormat(['Date', 'Distance'])).toBeNull();
+    });
+
+    test('normalizes every export to the same units and club names', () => {
+        const [fromTrackman] = parseLaunchMonitorExport(trackman).shots;
+        expect(fromTrackman).toMatchObject({ club: '7 Iron', ballSpeed: 118.2, carry: 158.1, apexHeight: 88, lateral: 2.1 });
+
+        const { shots: fromGcquad } = parseLaunchMonitorExport(gcquad);
+        // The average row is left out; spin comes from its components, height from yards
+        expect(fromGcquad).toHaveLength(2);
+        expect(fromGcquad[0].spinRate).toBeCloseTo(Math.hypot(6400, 300), 6);
+        expect(fromGcquad[0].apexHeight).toBeCloseTo(87.9, 6);
+        expect(fromGcquad[1].lateral).toBe(-3.1);
+
+        const [fromFlightscope] = parseLaunchMonitorExport(flightscope).shots;
+        expect(fromFlightscope).toMatchObject({ club: '7 Iron', clubSpeed: 84.8, lateral: 2.4, launchAngle: 18.6, landingAngle: 50.1 });
+
+        const [fromGarmin] = parseLaunchMonitorExport(garmin).shots;
+        expect(fromGarmin.club).toBe('7 Iron');
+        expect(fromGarmin.ballSpeed).toBeCloseTo(118.1, 1);
+        expect(fromGarmin.carry).toBeCloseTo(157.7, 1);
+        expect(fromGarmin.apexHeight).toBeCloseTo(88.6, 1);
+    });
+
+    test('summarizes values and fences off mis-hits', () => {
+        expect(summarizeValues([3, 1, null, 2, 10])).toEqual({
+            count: 4, mean: 4, median: 2.5, std: Math.sqrt(50 / 3)
+        });
+        expect(summarizeValues([])).toBeNull();
+
+        const { shots } = parseLaunchMonitorExport(trackman);
+        const { kept, outliers } = removeOutliers(shots.filter(shot => shot.club === '7 Iron'));
+        expect(kept).toHaveLength(4);
+        expect(outliers.map(shot => shot.carry)).toEqual([121.7]);
+        // Too few shots to tell a mis-hit from a spread
+        expect(removeOutliers(shots.slice(0, 3)).outliers).toHaveLength(0);
+    });
+
+    test('aggregates each club into a profile', () => {
+        const { format, clubs } = importLaunchMonitorSession(trackman);
+        expect(format).toBe(LAUNCH_MONITOR_FORMATS.TRACKMAN);
+        expect(clubs.map(club => club.name)).toEqual(['Driver', '7 Iron']);
+
+        const sevenIron = clubs[1];
+        expect(sevenIron).toMatchObject({ shots: 4, outliers: 1 });
+        expect(sevenIron.stats.carry.mean).toBeCloseTo(157.175, 6);
+        expect(sevenIron.profile).toMatchObject({ id: '7-iron', key: 'seven_iron', loft: 34 });
+        expect(sevenIron.profile.carry).toBeCloseTo(157.25, 6);
+        expect(sevenIron.profile.ballSpeed).toBeCloseTo(117.85, 6);
+        expect(sevenIron.profile.dispersion.carry).toBeCloseTo(sevenIron.stats.carry.std, 10);
+        expect(sevenIron.profile.dispersion.lateral).toBeCloseTo(sevenIron.stats.lateral.std, 10);
+
+        const mean = importLaunchMonitorSession(trackman, { average: 'mean' }).clubs[1];
+        expect(mean.profile.carry).toBeCloseTo(157.175, 6);
+    });
+
+    test('throws error for invalid inputs', () => {
+        expect(() => parseCsv(null)).toThrow('Export must be CSV text');
+        expect(() => parseLaunchMonitorExport('Date,Distance\n1,2')).toThrow('Export has no header row with a club column');
+        expect(() => parseLaunchMonitorExport('Club,Speed,Angle,Range\n7i,1,2,3')).toThrow('Unrecognized launch monitor export');
+        expect(() => parseLaunchMonitorExport(trackman, { format: 'Bushnell' })).toThrow('Unknown launch monitor format: Bushnell');
+        expect(() => parseLaunchMonitorExport(trackman.split('\n').slice(0, 3).join('\n'))).toThrow('Export has no shots');
+        expect(() => importLaunchMonitorSession(trackman, { average: 'mode' })).toThrow('Average must be median or mean');
+    });
+});
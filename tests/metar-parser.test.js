@@ -0,0 +1,129 @@
+/**
+ * Unit tests for the METAR and TAF parser
+ */
+
+import {
+    calculateRelativeHumidity,
+    parseMetarReport,
+    parseMetar,
+    parseTaf
+} from '../src/weather/metar-parser.js';
+import { MetarProvider } from '../src/weather/metar-provider.js';
+import { altimeterToStationPressure } from '../src/calculations/pressure-calculations.js';
+import { getConfiguredWeatherProvider } from '../src/weather/weather-providers.js';
+
+const referenceDate = new Date(Date.UTC(2024, 5, 1, 16));
+const denver = 'METAR KDEN 011553Z 20012G20KT 10SM FEW080 24/03 A3012 RMK AO2 SLP132 T02390028';
+
+describe('METAR parser', () => {
+    test('reads the report groups', () => {
+        const report = parseMetarReport(denver, { referenceDate });
+        expect(report.station).toBe('KDEN');
+        expect(report.time.toISOString()).toBe('2024-06-01T15:53:00.000Z');
+        expect(report.wind.direction).toBe(200);
+        expect(report.wind.speed).toBeCloseTo(13.81, 2);
+        expect(report.wind.gust).toBeCloseTo(23.02, 2);
+        expect(report.altimeter).toBe(30.12);
+        // Remarks give tenths of a degree and sea-level pressure
+        expect(report.temperature).toBe(23.9);
+        expect(report.dewPoint).toBe(2.8);
+        expect(report.seaLevelPressure).toBeCloseTo(29.92, 2);
+    });
+
+    test('converts the altimeter setting to station pressure', () => {
+        expect(altimeterToStationPressure(29.92, 0)).toBeCloseTo(29.92, 1);
+        const mileHigh = altimeterToStationPressure(29.92, 5280);
+        expect(mileHigh).toBeGreaterThan(24.5);
+        expect(mileHigh).toBeLessThan(24.9);
+        expect(altimeterToStationPressure(30.12, 5280)).toBeGreaterThan(mileHigh);
+    });
+
+    test('builds Conditions with explicit units', () => {
+        const conditions = parseMetar(denver, { elevation: 5434, referenceDate });
+        expect(conditions.temperature).toBeCloseTo(75.02, 2);
+        expect(conditions.dewPoint).toBeCloseTo(37.04, 2);
+        expect(conditions.humidity).toBeCloseTo(calculateRelativeHumidity(23.9, 2.8), 10);
+        expect(conditions.humidity).toBeGreaterThan(20);
+        expect(conditions.humidity).toBeLessThan(30);
+        expect(conditions.stationPressure).toBeLessThan(25);
+        expect(conditions.elevation).toBe(5434);
+        expect(conditions.windGust).toBeGreaterThan(conditions.windSpeed);
+        expect(conditions.source).toBe('metar KDEN');
+        expect(conditions.units.stationPressure).toBe('inHg');
+    });
+
+    test('handles metric, negative and variable groups', () => {
+        const conditions = parseMetar('EGLL 011550Z VRB03MPS 350V030 9999 M02/M05 Q1013', {
+            elevation: 83,
+            referenceDate
+        });
+        expect(conditions.temperature).toBeCloseTo(28.4, 10);
+        expect(conditions.windSpeed).toBeCloseTo(6.71, 2);
+        expect(conditions.windDirection).toBe(10);
+        expect(conditions.seaLevelPressure).toBeCloseTo(29.91, 2);
+
+        // A variable wind with no range has no direction, so it does not push the ball
+        const variable = parseMetar('KDEN 011553Z VRB05G12KT 10SM 24/03 A3012', { elevation: 5434, referenceDate });
+        expect(variable).toMatchObject({ windSpeed: 0, windGust: 0 });
+    });
+
+    test('dates a report from the end of the previous month', () => {
+        const report = parseMetarReport('KDEN 302353Z 00000KT 10/M01 A2990', { referenceDate });
+        expect(report.time.toISOString()).toBe('2024-05-30T23:53:00.000Z');
+    });
+
+    test('reads the prevailing wind of each TAF period', () => {
+        const periods = parseTaf(
+            'TAF KDEN 011720Z 0118/0224 20012G20KT P6SM SCT080 FM012200 25015KT P6SM ' +
+            'TEMPO 0200/0204 VRB25G35KT TSRA FM020600 18008KT P6SM SKC',
+            { referenceDate }
+        );
+        expect(periods).toHaveLength(3);
+        expect(periods[0].from.toISOString()).toBe('2024-06-01T18:00:00.000Z');
+        expect(periods[1].windDirection).toBe(250);
+        expect(periods[2].from.toISOString()).toBe('2024-06-02T06:00:00.000Z');
+        expect(periods[2].windGust).toBe(periods[2].windSpeed);
+    });
+
+    test('pasted reports work offline', async () => {
+        const fetch = () => {
+            throw new Error('offline');
+        };
+        const provider = new MetarProvider({ report: denver, elevation: 5434, fetch });
+        const conditions = await provider.getConditions();
+        expect(conditions.source).toBe('metar KDEN');
+    });
+
+    test('fetches the airport nearest the course', async () => {
+        const requests = [];
+        const fetch = async url => {
+            requests.push(url);
+            return {
+                ok: true,
+                json: async () => [
+                    { icaoId: 'KAPA', lat: 39.57, lon: -104.85, elev: 1793, rawOb: 'KAPA 011553Z 18010KT 25/02 A3010' },
+                    { icaoId: 'KBJC', lat: 39.91, lon: -105.12, elev: 1724, rawOb: 'KBJC 011553Z 27010KT 22/01 A3011' }
+                ]
+            };
+        };
+        const provider = getConfiguredWeatherProvider({ WEATHER_PROVIDER: 'metar' });
+        provider.fetch = fetch;
+        const conditions = await provider.getConditions({ latitude: 39.6, longitude: -104.9 });
+        expect(requests[0]).toContain('bbox=39.10,-105.40,40.10,-104.40');
+        expect(conditions.source).toBe('metar KAPA');
+        expect(conditions.elevation).toBeCloseTo(5883, 0);
+    });
+
+    test('throws error for invalid inputs', async () => {
+        expect(() => parseMetarReport('')).toThrow('METAR report must be a non-empty string');
+        expect(() => parseMetarReport('12 011553Z')).toThrow('Invalid METAR station identifier: 12');
+        expect(() => parseMetarReport('KDEN 011553Z 10SM 24/03 A3012')).toThrow('METAR report has no wind group');
+        expect(() => parseMetarReport('KDEN 011553Z 20012KT 24/03')).toThrow('METAR report has no altimeter setting');
+        expect(() => parseMetar(denver)).toThrow('Field elevation must be a valid number');
+        expect(() => parseMetar('KDEN 011553Z 20012KT 10SM 24/ A3012', { elevation: 5434, referenceDate }))
+            .toThrow('METAR report has no dew point, so the humidity is unknown');
+        expect(() => parseTaf('TAF KDEN 011720Z 0118/0224 P6SM')).toThrow('TAF report has no wind forecast');
+        await expect(new MetarProvider().getConditions()).rejects
+            .toThrow('A METAR station or the course location is required');
+    });
+});
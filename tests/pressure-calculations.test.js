@@ -0,0 +1,83 @@
+/**
+ * Unit tests for pressure calculations
+ */
+
+import {
+    convertPressure,
+    seaLevelToStationPressure,
+    stationToSeaLevelPressure,
+    altimeterToStationPressure,
+    calculatePressureElevation,
+    toStationPressure,
+    PRESSURE_TYPES
+} from '../src/calculations/pressure-calculations.js';
+import { calculatePressureAtAltitude } from '../src/calculations/altitude-calculations.js';
+import { calculateStationAirDensity, calculateAirDensity } from '../src/calculations/air-density-calculations.js';
+import { resolveConditions } from '../src/calculations/yardage-engine.js';
+
+describe('Pressure calculations', () => {
+    test('converts between units', () => {
+        expect(convertPressure(1013.25, 'hPa')).toBeCloseTo(29.92, 2);
+        expect(convertPressure(1013.25, 'mb', 'kPa')).toBeCloseTo(101.325, 3);
+        expect(convertPressure(29.92, 'inHg', 'mmHg')).toBeCloseTo(760, 0);
+    });
+
+    test('reduces sea-level pressure with calculatePressureAtAltitude', () => {
+        expect(seaLevelToStationPressure(29.92, 5000)).toBeCloseTo(calculatePressureAtAltitude(5000), 10);
+        expect(seaLevelToStationPressure(30.5, 0)).toBe(30.5);
+        expect(stationToSeaLevelPressure(seaLevelToStationPressure(30.2, 3200), 3200)).toBeCloseTo(30.2, 10);
+    });
+
+    test('elevation inverts the sea-level reduction', () => {
+        const station = seaLevelToStationPressure(30.1, 6200);
+        expect(calculatePressureElevation(station, 30.1)).toBeCloseTo(6200, 0);
+        expect(calculatePressureElevation(30.1, 30.1)).toBeCloseTo(0, 0);
+    });
+
+    test('altimeter settings agree with the sea-level reduction', () => {
+        expect(altimeterToStationPressure(29.92, 0)).toBeCloseTo(29.92, 1);
+        expect(altimeterToStationPressure(29.92, 5000)).toBeCloseTo(seaLevelToStationPressure(29.92, 5000), 1);
+    });
+
+    test('station readings pass through unchanged', () => {
+        expect(toStationPressure(24.6, { type: PRESSURE_TYPES.STATION, elevation: 5280 })).toBe(24.6);
+        expect(toStationPressure(833, { type: 'station', unit: 'hPa' })).toBeCloseTo(24.6, 2);
+        expect(toStationPressure(29.92, { elevation: 5000 })).toBeCloseTo(24.86, 10);
+    });
+
+    test('station density handles mountain pressures', () => {
+        expect(() => calculateAirDensity(59, 24.6, 0)).toThrow('Pressure must be between 25 and 32 inHg');
+        expect(calculateStationAirDensity(59, 24.6, 0)).toBeCloseTo(24.6 / 29.92, 4);
+        expect(calculateStationAirDensity(75, 30, 60)).toBe(calculateAirDensity(75, 30, 60));
+    });
+
+    test('altitude enters the density once', () => {
+        const seaLevel = resolveConditions({ temperature: 80, humidity: 40, pressure: 30.1, altitude: 5280 });
+        const station = resolveConditions({
+            temperature: 80,
+            humidity: 40,
+            pressure: seaLevel.stationPressure,
+            pressureType: 'station',
+            altitude: 5280
+        });
+        const hpa = resolveConditions({
+            temperature: 80,
+            humidity: 40,
+            pressure: convertPressure(seaLevel.stationPressure, 'inHg', 'hPa'),
+            pressureType: 'station',
+            pressureUnit: 'hPa'
+        });
+        expect(station.airDensity).toBeCloseTo(seaLevel.airDensity, 10);
+        expect(hpa.airDensity).toBeCloseTo(seaLevel.airDensity, 5);
+        expect(seaLevel.airDensity).toBeLessThan(0.85);
+    });
+
+    test('throws error for invalid inputs', () => {
+        expect(() => convertPressure(30, 'psi')).toThrow('Unknown pressure unit: psi');
+        expect(() => convertPressure(-1)).toThrow('Pressure must be a positive number');
+        expect(() => toStationPressure(30, { type: 'qfe' })).toThrow('Unknown pressure type: qfe');
+        expect(() => seaLevelToStationPressure(30, 'high')).toThrow('Elevation must be a valid number');
+        expect(() => altimeterToStationPressure(0, 100)).toThrow('Altimeter setting must be a positive number');
+        expect(() => calculateStationAirDensity(59, 12, 0)).toThrow('Pressure must be between 15 and 32 inHg');
+    });
+});
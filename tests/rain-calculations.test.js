@@ -0,0 +1,80 @@
+/**
+ * Unit tests for rain and wet-ball calculations
+ */
+
+import {
+    calculateRainWaterContent,
+    calculateRainDragFactor,
+    calculateWetBallEffect,
+    resolveRainConditions
+} from '../src/calculations/rain-calculations.js';
+import { calculateTrajectory } from '../src/ball-physics.js';
+import { computeShot } from '../src/calculations/yardage-engine.js';
+import { PGA_CLUB_DATA } from '../constants/club-data.js';
+
+describe('Rain Calculations', () => {
+    test('heavier rain holds more water and adds more drag', () => {
+        // 1 in/h is about 1.2 g/m³ of falling water
+        expect(calculateRainWaterContent(1)).toBeCloseTo(0.00124, 5);
+        expect(calculateRainDragFactor(0)).toBe(1);
+        expect(calculateRainDragFactor(0.1)).toBeGreaterThan(1);
+        expect(calculateRainDragFactor(1)).toBeGreaterThan(calculateRainDragFactor(0.1));
+        // Even a downpour is a small change next to the air itself
+        expect(calculateRainDragFactor(2)).toBeLessThan(1.02);
+    });
+
+    test('a wet ball loses more spin the more it had', () => {
+        const driver = calculateWetBallEffect(1, 2500);
+        const wedge = calculateWetBallEffect(1, 9000);
+        expect(driver.spinFactor).toBeCloseTo(0.9, 10);
+        expect(wedge.spinFactor).toBeCloseTo(0.65, 10);
+        expect(wedge.launchOffset).toBe(1);
+        expect(calculateWetBallEffect(0, 9000)).toEqual({ spinFactor: 1, launchOffset: 0 });
+    });
+
+    test('rain soaks the ball before the turf', () => {
+        const drizzle = resolveRainConditions({ precipitationRate: 0.05 });
+        expect(drizzle.ballWetness).toBeCloseTo(0.5, 10);
+        expect(drizzle.turfWetness).toBeCloseTo(0.2, 10);
+        expect(drizzle.turfSoftening).toBeCloseTo(0.12, 10);
+        expect(drizzle.isWet).toBe(true);
+
+        const wetLie = resolveRainConditions({ lieWetness: 0.8, dewWetness: 0.3 });
+        expect(wetLie.ballWetness).toBe(0.8);
+        expect(wetLie.turfWetness).toBe(0.8);
+        expect(wetLie.dragFactor).toBe(1);
+        expect(wetLie.turfSoftening).toBe(0);
+        expect(resolveRainConditions().isWet).toBe(false);
+    });
+
+    test('drag factor shortens the flight', () => {
+        const dry = calculateTrajectory(PGA_CLUB_DATA['7-iron']);
+        const wet = calculateTrajectory({ ...PGA_CLUB_DATA['7-iron'], dragFactor: 1.05 });
+        expect(wet.carryDistance).toBeLessThan(dry.carryDistance);
+    });
+
+    test('feeds the flight and ground models through computeShot', () => {
+        const dry = computeShot({ temperature: 60, humidity: 50 }, { distance: 150 });
+        const rain = computeShot({ temperature: 60, humidity: 50, precipitationRate: 0.3 }, { distance: 150 });
+
+        expect(rain.conditions.ballWetness).toBe(1);
+        expect(rain.conditions.wetness).toBe(1);
+        expect(rain.adjustments.rain).not.toBe(0);
+        expect(rain.breakdown.rain).toBeCloseTo(rain.carry - dry.carry, 6);
+        // Less spin, a skidding wet landing, then no rollout on soaked turf
+        expect(rain.trajectory.landingSpin).toBeLessThan(dry.trajectory.landingSpin);
+        expect(rain.ground.roll).toBeLessThan(dry.ground.roll);
+
+        const sum = Object.values(rain.adjustments).reduce((total, value) => total + value, 0);
+        expect(rain.playsLike).toBeCloseTo(150 + sum, 10);
+    });
+
+    test('throws error for invalid inputs', () => {
+        expect(() => calculateRainWaterContent(-1)).toThrow('Precipitation rate must be a non-negative number');
+        expect(() => calculateWetBallEffect(1.5, 3000)).toThrow('Ball wetness must be between 0 and 1');
+        expect(() => calculateWetBallEffect(1, NaN)).toThrow('Spin rate must be a non-negative number');
+        expect(() => resolveRainConditions({ lieWetness: 2 })).toThrow('Lie wetness must be between 0 and 1');
+        expect(() => calculateTrajectory({ dragFactor: 0 })).toThrow('Drag factor must be a positive number');
+        expect(() => computeShot({ precipitationRate: 'heavy' })).toThrow('Precipitation rate must be a non-negative number');
+    });
+});
@@ -0,0 +1,113 @@
+/**
+ * Unit tests for range session normalization
+ */
+
+import {
+    STANDARD_SESSION_CONDITIONS,
+    resolveSessionConditions,
+    findSessionConditions,
+    mergeSessionConditions,
+    normalizeClubProfile,
+    normalizeSession
+} from '../src/clubs/session-normalization.js';
+import { createClubProfile, updateClubProfile } from '../src/clubs/club-profile.js';
+import { calculatePressureAtAltitude } from '../src/calculations/altitude-calculations.js';
+import { createConditions } from '../src/weather/weather-provider.js';
+
+const denver = { temperature: 90, humidity: 20, altitude: 5280 };
+
+const sevenIron = () => createClubProfile({
+    name: '7 Iron', carry: 170, total: 178, ballSpeed: 118, launchAngle: 18.5, spinRate: 6400,
+    apexHeight: 95, landingAngle: 50, dispersion: { carry: 5, lateral: 8 }
+});
+
+describe('Session normalization', () => {
+    test('resolves entered and recorded conditions to an air density', () => {
+        const standard = resolveSessionConditions({ temperature: 59 });
+        expect(standard.airDensity).toBeCloseTo(STANDARD_SESSION_CONDITIONS.airDensity, 6);
+
+        // No barometer: the standard atmosphere at the range's altitude
+        const mile = resolveSessionConditions(denver);
+        expect(mile.pressure).toBe(calculatePressureAtAltitude(5280));
+        expect(mile.airDensity).toBeLessThan(0.85);
+        expect(mile.source).toBe('entered');
+
+        const measured = resolveSessionConditions({ ...denver, pressure: 30.1 });
+        expect(measured.pressure).toBeCloseTo(calculatePressureAtAltitude(5280), 0);
+
+        const reading = createConditions({
+            temperature: 90, humidity: 20, stationPressure: 24.6, elevation: 5280,
+            observedAt: '2024-06-01T16:00:00Z', source: 'station'
+        });
+        expect(resolveSessionConditions(reading)).toMatchObject({
+            pressure: 24.6, altitude: 5280, source: 'station', observedAt: '2024-06-01T16:00:00.000Z'
+        });
+    });
+
+    test('finds the recorded reading nearest the session', () => {
+        const readings = ['2024-06-01T14:00:00Z', '2024-06-01T15:20:00Z', '2024-06-01T16:00:00Z']
+            .map(observedAt => ({ observedAt }));
+        expect(findSessionConditions(readings, '2024-06-01T15:30:00Z')).toBe(readings[1]);
+        expect(findSessionConditions(readings, '2024-06-01T18:00:00Z')).toBeNull();
+        expect(findSessionConditions(readings, '2024-06-01T18:00:00Z', { maxGap: 3 * 60 * 60 * 1000 }))
+            .toBe(readings[2]);
+    });
+
+    test('entered values fill in over the recorded reading', () => {
+        const reading = createConditions({
+            temperature: 70, humidity: 60, seaLevelPressure: 30.0, elevation: 0,
+            observedAt: '2024-06-01T16:00:00Z', source: 'station'
+        });
+
+        // Only the altitude is known: the reading's air, reduced to the range's height
+        const altitude = resolveSessionConditions(mergeSessionConditions({ altitude: 5280 }, reading));
+        expect(altitude).toMatchObject({ temperature: 70, humidity: 60, altitude: 5280, source: 'station with entered values' });
+        expect(altitude.pressure).toBeLessThan(25);
+
+        const humid = resolveSessionConditions(mergeSessionConditions({ humidity: 90, pressure: 29.5 }, reading));
+        expect(humid).toMatchObject({ temperature: 70, humidity: 90 });
+        expect(humid.pressure).toBeCloseTo(29.5, 6);
+
+        expect(mergeSessionConditions({}, reading)).toBe(reading);
+        expect(mergeSessionConditions(denver, null)).toBe(denver);
+        // Without a reading a partial entry is not enough
+        expect(mergeSessionConditions({ altitude: 5280 }, null)).toBeNull();
+    });
+
+    test('carries thin-air numbers back to standard conditions', () => {
+        const profile = sevenIron();
+        const normalized = normalizeClubProfile(profile, denver);
+
+        expect(normalized.carry).toBeLessThan(profile.carry - 10);
+        expect(normalized.total - normalized.carry).toBeCloseTo(profile.total - profile.carry, 6);
+        expect(normalized.apexHeight).not.toBe(profile.apexHeight);
+        expect(normalized).toMatchObject({
+            ballSpeed: 118, launchAngle: 18.5, spinRate: 6400, dispersion: { carry: 5, lateral: 8 }
+        });
+        expect(normalized.session).toMatchObject({ carry: 170, total: 178, conditions: { altitude: 5280 } });
+
+        // A cold morning session is carried the other way, and standard air not at all
+        expect(normalizeClubProfile(profile, { temperature: 40, humidity: 60 }).carry).toBeGreaterThan(profile.carry);
+        expect(normalizeClubProfile(profile, { temperature: 59 }).carry).toBeCloseTo(profile.carry, 6);
+    });
+
+    test('normalizes every club of a session and drops the record on edits', () => {
+        const session = { format: 'TrackMan', shots: [], clubs: [{ name: '7 Iron', shots: 4, profile: sevenIron() }] };
+        const normalized = normalizeSession(session, denver);
+        expect(normalized.conditions.altitude).toBe(5280);
+        expect(normalized.clubs[0]).toMatchObject({ name: '7 Iron', shots: 4 });
+        expect(normalized.clubs[0].profile.session).not.toBeNull();
+
+        const relofted = updateClubProfile(normalized.clubs[0].profile, { loft: 33 });
+        expect(relofted.session).toEqual(normalized.clubs[0].profile.session);
+        expect(updateClubProfile(relofted, { carry: 160 }).session).toBeNull();
+    });
+
+    test('throws error for invalid inputs', () => {
+        expect(() => resolveSessionConditions(null)).toThrow('Session conditions must be a valid object');
+        expect(() => resolveSessionConditions({ humidity: 50 })).toThrow('Temperature must be a valid number');
+        expect(() => resolveSessionConditions({ temperature: 70, altitude: 20000 }))
+            .toThrow('Altitude must be between 0 and 15,000 feet');
+        expect(() => findSessionConditions([], 'tomorrow')).toThrow('Session time must be a valid date');
+    });
+});
@@ -0,0 +1,94 @@
+/**
+ * Unit tests for the weather station receiver
+ */
+
+import { parseStationUpload, detectStationFormat, STATION_FORMATS } from '../src/weather/station-upload.js';
+import { StationReceiver, UPLOAD_PATHS } from '../src/weather/station-receiver.js';
+import { StationProvider } from '../src/weather/station-provider.js';
+
+const wundergroundQuery = 'ID=KCODENVE123&PASSWORD=secret&action=updateraw&dateutc=2024-06-01+15%3A00%3A00' +
+    '&tempf=75.2&humidity=30&dewptf=41.5&baromin=30.02&windspeedmph=8&windgustmph=14&winddir=200';
+
+const ecowittForm = 'PASSKEY=ABC123&stationtype=EasyWeatherPro_V5.1.1&dateutc=2024-06-01+15%3A00%3A00' +
+    '&tempf=75.2&humidity=30&baromrelin=30.020&baromabsin=24.930&winddir=200&windspeedmph=8.1' +
+    '&windgustmph=13.9&model=GW2000A';
+
+describe('Weather station receiver', () => {
+    test('normalizes a Wunderground-style upload', () => {
+        const conditions = parseStationUpload(wundergroundQuery, { elevation: 5280 });
+
+        expect(detectStationFormat(wundergroundQuery)).toBe(STATION_FORMATS.WUNDERGROUND);
+        expect(conditions).toMatchObject({
+            temperature: 75.2, humidity: 30, dewPoint: 41.5, seaLevelPressure: 30.02,
+            windSpeed: 8, windGust: 14, windDirection: 200, elevation: 5280,
+            observedAt: '2024-06-01T15:00:00.000Z', source: 'station KCODENVE123'
+        });
+        expect(conditions.stationPressure).toBeLessThan(25.2);
+    });
+
+    test('normalizes an Ecowitt upload from its absolute and relative pressure', () => {
+        const conditions = parseStationUpload(ecowittForm);
+
+        expect(detectStationFormat(ecowittForm)).toBe(STATION_FORMATS.ECOWITT);
+        expect(conditions.stationPressure).toBe(24.93);
+        expect(conditions.seaLevelPressure).toBe(30.02);
+        // The two pressures give the station's elevation
+        expect(conditions.elevation).toBeGreaterThan(4900);
+        expect(conditions.elevation).toBeLessThan(5400);
+        expect(conditions.source).toBe('station GW2000A');
+    });
+
+    test('uses the arrival time for dateutc=now', () => {
+        const receivedAt = new Date('2024-06-01T16:30:00Z');
+        const conditions = parseStationUpload({ ...Object.fromEntries(new URLSearchParams(wundergroundQuery)), dateutc: 'now' }, { receivedAt });
+        expect(conditions.observedAt).toBe(receivedAt.toISOString());
+    });
+
+    test('serves uploads over HTTP at /api/weather', async () => {
+        const receiver = new StationReceiver({ elevation: 5280, maxAge: Infinity });
+        const server = await receiver.listen(0);
+        const base = `http://localhost:${server.address().port}`;
+
+        try {
+            expect((await fetch(`${base}/api/weather`)).status).toBe(503);
+
+            const upload = await fetch(`${base}${UPLOAD_PATHS.WUNDERGROUND}?${wundergroundQuery}`);
+            expect(await upload.text()).toBe('success\n');
+            const fromWunderground = await (await fetch(`${base}/api/weather?lat=39.7&lon=-105`)).json();
+            expect(fromWunderground.source).toBe('station KCODENVE123');
+
+            const post = await fetch(`${base}${UPLOAD_PATHS.ECOWITT}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                body: ecowittForm
+            });
+            expect(post.status).toBe(200);
+
+            const conditions = await new StationProvider({ url: `${base}/` }).getConditions({ latitude: 39.7, longitude: -105 });
+            expect(conditions).toMatchObject({ stationPressure: 24.93, source: 'station GW2000A' });
+
+            const missingTemperature = await fetch(`${base}${UPLOAD_PATHS.WUNDERGROUND}?humidity=30&baromin=30`);
+            expect(missingTemperature.status).toBe(400);
+            expect(await missingTemperature.json()).toEqual({ error: 'Temperature must be a valid number' });
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+
+    test('stops serving a reading once it is stale', () => {
+        const receiver = new StationReceiver({ maxAge: 10 * 60 * 1000 });
+        receiver.receive(wundergroundQuery);
+
+        expect(receiver.getLatest(new Date('2024-06-01T15:05:00Z')).temperature).toBe(75.2);
+        expect(() => receiver.getLatest(new Date('2024-06-01T15:11:00Z'))).toThrow('No recent weather station reading');
+    });
+
+    test('throws error for invalid inputs', () => {
+        const receiver = new StationReceiver({ passkey: 'other' });
+        expect(() => receiver.receive(wundergroundQuery)).toThrow('Station passkey is not valid');
+        expect(() => parseStationUpload('tempf=70&humidity=50')).toThrow('Station upload has no barometric pressure');
+        expect(() => parseStationUpload(null)).toThrow('Station upload must be a query string or parameter object');
+        expect(() => parseStationUpload('tempf=70&humidity=120&baromin=30'))
+            .toThrow('Humidity must be between 0% and 100%');
+    });
+});
@@ -0,0 +1,94 @@
+/**
+ * Unit tests for the tee-time forecast
+ */
+
+import {
+    interpolateConditions,
+    buildConditionsTimeline,
+    buildRoundYardageCards,
+    getTeeTimeForecast
+} from '../src/weather/tee-time-forecast.js';
+import { buildYardageCard } from '../src/calculations/yardage-card.js';
+import { createConditions } from '../src/weather/weather-provider.js';
+import { TomorrowIoProvider } from '../src/weather/tomorrow-io-provider.js';
+
+const hourly = (hour, values) => createConditions({
+    temperature: 60, humidity: 50, seaLevelPressure: 29.92, windSpeed: 5, windDirection: 180,
+    observedAt: Date.UTC(2024, 5, 1, hour), ...values
+});
+
+// Warming morning, steps three hours apart like OpenWeatherMap
+const forecast = [
+    hourly(6, { temperature: 55, windDirection: 350 }),
+    hourly(9, { temperature: 64, windDirection: 20 }),
+    hourly(12, { temperature: 73, windSpeed: 14, windGust: 22 }),
+    hourly(15, { temperature: 78 })
+];
+
+describe('Tee-time forecast', () => {
+    test('interpolates between forecast steps', () => {
+        const conditions = interpolateConditions(forecast[0], forecast[1], Date.UTC(2024, 5, 1, 7));
+        expect(conditions.temperature).toBeCloseTo(58, 10);
+        // 350° to 20° turns through north
+        expect(conditions.windDirection).toBeCloseTo(0, 10);
+        expect(conditions.observedAt).toBe('2024-06-01T07:00:00.000Z');
+    });
+
+    test('builds an hourly timeline for the round', () => {
+        const timeline = buildConditionsTimeline(forecast, '2024-06-01T08:30:00Z', { roundHours: 4 });
+        expect(timeline).toHaveLength(5);
+        expect(timeline[0].time).toBe('2024-06-01T08:30:00.000Z');
+        expect(timeline[4].time).toBe('2024-06-01T12:30:00.000Z');
+        expect(timeline[0].conditions.temperature).toBeCloseTo(62.5, 10);
+        expect(timeline[4].conditions.windSpeed).toBeCloseTo(12.5, 10);
+    });
+
+    test('precomputes a yardage card for each hour', () => {
+        const timeline = buildConditionsTimeline(forecast, '2024-06-01T06:00:00Z', { roundHours: 6 });
+        const hours = buildRoundYardageCards(timeline, { clubs: [{ type: '7-Iron', distance: 160 }] });
+        const first = hours[0].card.clubs[0];
+        const last = hours[6].card.clubs[0];
+        expect(first.club).toBe('7-Iron');
+        // Warmer air later in the round carries further
+        expect(last.carry).toBeGreaterThan(first.carry);
+        expect(hours[0].card.distances[2].distance).toBe(150);
+    });
+
+    test('wind only counts with a bearing', () => {
+        const conditions = { windSpeed: 20, windDirection: 0 };
+        const still = buildYardageCard(conditions, { distances: [150] });
+        const into = buildYardageCard(conditions, { distances: [150], bearing: 0 });
+        expect(still.distances[0].playsLike).toBeCloseTo(150, 6);
+        expect(into.distances[0].playsLike).toBeGreaterThan(160);
+    });
+
+    test('fetches the provider forecast', async () => {
+        const fetch = async () => ({
+            ok: true,
+            json: async () => ({
+                timelines: {
+                    hourly: [0, 1, 2, 3, 4, 5, 6].map(hour => ({
+                        time: new Date(Date.UTC(2024, 5, 1, 8 + hour)).toISOString(),
+                        values: { temperature: 70, humidity: 40, pressureSeaLevel: 30, windSpeed: 6, windDirection: 90 }
+                    }))
+                }
+            })
+        });
+        const provider = new TomorrowIoProvider({ apiKey: 'key', fetch });
+        const result = await getTeeTimeForecast(provider, { latitude: 30, longitude: -81 }, '2024-06-01T09:00:00Z',
+            { roundHours: 4, distances: [150] });
+        expect(result.source).toBe('tomorrow.io');
+        expect(result.hours).toHaveLength(5);
+        expect(result.hours[0].card.distances[0].playsLike).toBeLessThan(150);
+    });
+
+    test('throws error for invalid inputs', () => {
+        expect(() => buildConditionsTimeline([], '2024-06-01T08:00:00Z')).toThrow('Forecast must be a non-empty array');
+        expect(() => buildConditionsTimeline(forecast, 'soon')).toThrow('Tee time must be a valid date');
+        expect(() => buildConditionsTimeline(forecast, '2024-06-01T13:00:00Z'))
+            .toThrow('Tee time is outside the forecast range');
+        expect(() => buildConditionsTimeline(forecast, '2024-06-01T08:00:00Z', { roundHours: 0 }))
+            .toThrow('Round length must be a positive number of hours');
+        expect(() => buildYardageCard({}, { clubs: null })).toThrow('Clubs and distances must be arrays');
+    });
+});
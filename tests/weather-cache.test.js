@@ -0,0 +1,129 @@
+/**
+ * Unit tests for the weather cache
+ */
+
+import { WeatherCache, calculateDistanceMiles, formatCacheMeta } from '../src/weather/weather-cache.js';
+import { createConditions } from '../src/weather/weather-provider.js';
+import { createStorage } from './helpers/storage.js';
+
+const MINUTE = 60 * 1000;
+
+const conditionsAt = (temperature, source = 'tomorrow.io') =>
+    createConditions({ temperature, humidity: 40, seaLevelPressure: 29.92, source });
+
+const createProvider = (name = 'tomorrow.io') => {
+    const provider = {
+        name,
+        calls: 0,
+        async getConditions() {
+            provider.calls++;
+            return conditionsAt(60 + provider.calls, name);
+        }
+    };
+    return provider;
+};
+
+const course = { latitude: 39.7412, longitude: -104.9903 };
+
+describe('Weather cache', () => {
+    let storage;
+    let clock;
+    let cache;
+
+    beforeEach(() => {
+        storage = createStorage();
+        clock = Date.parse('2024-06-01T15:00:00Z');
+        cache = new WeatherCache({ storage, now: () => clock });
+    });
+
+    test('keys entries by provider and rounded location', () => {
+        expect(cache.key('tomorrow.io', course)).toBe('tomorrow.io:39.74,-104.99');
+
+        cache.set('tomorrow.io', course, conditionsAt(70));
+        expect(cache.get('tomorrow.io', { latitude: 39.7449, longitude: -104.9851 }).conditions.temperature).toBe(70);
+        expect(cache.get('openweathermap', course)).toBeNull();
+    });
+
+    test('ignores readings taken too far away', () => {
+        cache.set('tomorrow.io', course, conditionsAt(70));
+
+        // About half a mile away: a different key, but close enough to reuse
+        const nearby = cache.get('tomorrow.io', { latitude: 39.7480, longitude: -104.9903 });
+        expect(nearby.meta.distance).toBeCloseTo(0.47, 1);
+        // Boulder is 25 miles away
+        expect(cache.get('tomorrow.io', { latitude: 40.015, longitude: -105.27 })).toBeNull();
+        expect(calculateDistanceMiles(course, { latitude: 40.015, longitude: -105.27 })).toBeCloseTo(24.4, 0);
+    });
+
+    test('reports age and source, and goes stale after maxAge', () => {
+        cache.set('tomorrow.io', course, conditionsAt(70));
+        clock += 5 * MINUTE;
+
+        const { meta } = cache.get('tomorrow.io', course);
+        expect(meta).toMatchObject({ provider: 'tomorrow.io', source: 'tomorrow.io', age: 5 * MINUTE, stale: false });
+        expect(formatCacheMeta(meta)).toBe('tomorrow.io · 5 min ago');
+
+        clock += 30 * MINUTE;
+        expect(cache.get('tomorrow.io', course)).toBeNull();
+        expect(cache.get('tomorrow.io', course, { allowStale: true }).meta.stale).toBe(true);
+
+        clock += 3 * 60 * MINUTE;
+        expect(cache.get('tomorrow.io', course, { allowStale: true })).toBeNull();
+    });
+
+    test('fetches only when there is no fresh entry', async () => {
+        const provider = createProvider();
+
+        const first = await cache.getOrFetch(provider, course);
+        const second = await cache.getOrFetch(provider, course);
+        expect(provider.calls).toBe(1);
+        expect(second.conditions).toEqual(first.conditions);
+
+        clock += 31 * MINUTE;
+        const third = await cache.getOrFetch(provider, course);
+        expect(provider.calls).toBe(2);
+        expect(third.conditions.temperature).toBe(62);
+        expect(third.meta.age).toBe(0);
+    });
+
+    test('serves a stale entry while revalidating in the background', async () => {
+        const provider = createProvider();
+        await cache.getOrFetch(provider, course);
+        clock += 45 * MINUTE;
+
+        let onUpdate;
+        const updated = new Promise(resolve => { onUpdate = resolve; });
+        const stale = await cache.getOrFetch(provider, course, { staleWhileRevalidate: true, onUpdate });
+        expect(stale.meta.stale).toBe(true);
+        expect(stale.conditions.temperature).toBe(61);
+
+        const fresh = await updated;
+        expect(fresh.conditions.temperature).toBe(62);
+        expect(cache.get('tomorrow.io', course).meta.stale).toBe(false);
+    });
+
+    test('replaces the old weatherData entry and keeps a bounded number of entries', () => {
+        storage.setItem('weatherData', JSON.stringify({ data: { temp: 70 }, timestamp: clock }));
+        cache = new WeatherCache({ storage, now: () => clock, maxEntries: 2 });
+
+        cache.set('tomorrow.io', course, conditionsAt(70));
+        clock += MINUTE;
+        cache.set('tomorrow.io', { latitude: 40.015, longitude: -105.27 }, conditionsAt(65));
+        clock += MINUTE;
+        cache.set('metar', course, conditionsAt(68, 'metar KDEN'));
+
+        expect(storage.getItem('weatherData')).toBeNull();
+        expect(cache.get('tomorrow.io', course)).toBeNull();
+        expect(cache.latest('metar').meta).toMatchObject({ source: 'metar KDEN', distance: null });
+    });
+
+    test('throws error for invalid inputs', () => {
+        expect(() => new WeatherCache({ storage, maxAge: 0 })).toThrow('Cache max age must be a positive number');
+        expect(() => new WeatherCache({ storage, maxDistance: -1 }))
+            .toThrow('Cache max distance must be a non-negative number');
+        expect(() => cache.get('tomorrow.io', { latitude: '39.7' }))
+            .toThrow('Location must have a numeric latitude and longitude');
+        expect(() => cache.set('tomorrow.io', course, { temp: 70 }))
+            .toThrow('Conditions must come from a weather provider');
+    });
+});
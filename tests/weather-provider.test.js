@@ -0,0 +1,148 @@
+/**
+ * Unit tests for the weather providers
+ */
+
+import {
+    createConditions,
+    toShotConditions,
+    CONDITIONS_UNITS
+} from '../src/weather/weather-provider.js';
+import { calculatePressureElevation, hpaToInHg } from '../src/calculations/pressure-calculations.js';
+import {
+    createWeatherProvider,
+    getConfiguredWeatherProvider
+} from '../src/weather/weather-providers.js';
+import { TomorrowIoProvider } from '../src/weather/tomorrow-io-provider.js';
+import { OpenWeatherMapProvider } from '../src/weather/open-weather-map-provider.js';
+import { WeatherApiProvider } from '../src/weather/weather-api-provider.js';
+
+const respondWith = (body, status = 200) => {
+    const requests = [];
+    const fetch = async url => {
+        requests.push(url);
+        return { ok: status < 400, status, json: async () => body };
+    };
+    return { fetch, requests };
+};
+
+const denver = { latitude: 39.74, longitude: -104.99 };
+
+describe('Weather providers', () => {
+    test('normalizes Tomorrow.io realtime data', async () => {
+        const { fetch, requests } = respondWith({
+            data: {
+                time: '2024-06-01T15:00:00Z',
+                values: {
+                    temperature: 75, humidity: 30, dewPoint: 42,
+                    pressureSurfaceLevel: 24.9, pressureSeaLevel: 30.0,
+                    windSpeed: 8, windGust: 15, windDirection: 200
+                }
+            },
+            location: { lat: 39.74, lon: -104.99 }
+        });
+        const conditions = await new TomorrowIoProvider({ apiKey: 'key', fetch }).getConditions(denver);
+
+        expect(requests[0]).toContain('location=39.74,-104.99');
+        expect(requests[0]).toContain('units=imperial');
+        expect(conditions).toMatchObject({
+            temperature: 75, humidity: 30, dewPoint: 42,
+            stationPressure: 24.9, seaLevelPressure: 30,
+            windSpeed: 8, windGust: 15, windDirection: 200,
+            source: 'tomorrow.io', observedAt: '2024-06-01T15:00:00.000Z'
+        });
+        // Station and sea-level pressure give the elevation
+        expect(conditions.elevation).toBeGreaterThan(4900);
+        expect(conditions.elevation).toBeLessThan(5400);
+        expect(conditions.units).toBe(CONDITIONS_UNITS);
+    });
+
+    test('normalizes OpenWeatherMap data from hPa', async () => {
+        const { fetch } = respondWith({
+            coord: { lat: 39.74, lon: -104.99 },
+            main: { temp: 75, humidity: 30, pressure: 1016, sea_level: 1016, grnd_level: 843 },
+            wind: { speed: 8, deg: 200 },
+            rain: { '1h': 2.54 },
+            dt: 1717254000
+        });
+        const conditions = await new OpenWeatherMapProvider({ apiKey: 'key', fetch }).getConditions(denver);
+
+        expect(conditions.seaLevelPressure).toBeCloseTo(30.0, 1);
+        expect(conditions.stationPressure).toBeCloseTo(24.89, 1);
+        expect(conditions.windGust).toBe(8);
+        expect(conditions.precipitationRate).toBeCloseTo(0.1, 10);
+        expect(conditions.dewPoint).toBeLessThan(conditions.temperature);
+        expect(conditions.source).toBe('openweathermap');
+    });
+
+    test('WeatherAPI sea-level pressure uses the course elevation', async () => {
+        const { fetch, requests } = respondWith({
+            location: { lat: 39.74, lon: -104.99 },
+            current: {
+                temp_f: 75, humidity: 30, dewpoint_f: 42, pressure_in: 30.0,
+                wind_mph: 8, gust_mph: 12, wind_degree: 200, last_updated_epoch: 1717254000
+            }
+        });
+        const provider = new WeatherApiProvider({ apiKey: 'key', fetch, elevation: 5280 });
+        const conditions = await provider.getConditions(denver);
+
+        expect(requests[0]).toContain('current.json?key=key&q=39.74,-104.99');
+        expect(conditions.elevation).toBe(5280);
+        expect(conditions.stationPressure).toBeLessThan(25);
+        expect(conditions.windGust).toBe(12);
+    });
+
+    test('every provider produces the same Conditions fields', async () => {
+        const payloads = {
+            tomorrow: { data: { values: { temperature: 60, humidity: 50, pressureSeaLevel: 29.92 } } },
+            openweathermap: { main: { temp: 60, humidity: 50, pressure: 1013.25 } },
+            weatherapi: { current: { temp_f: 60, humidity: 50, pressure_in: 29.92 } }
+        };
+        const shapes = await Promise.all(Object.entries(payloads).map(async ([name, body]) => {
+            const provider = createWeatherProvider(name, { apiKey: 'key', fetch: respondWith(body).fetch });
+            return Object.keys(await provider.getConditions(denver)).sort();
+        }));
+        expect(shapes[1]).toEqual(shapes[0]);
+        expect(shapes[2]).toEqual(shapes[0]);
+    });
+
+    test('configuration picks the provider and key', () => {
+        const provider = getConfiguredWeatherProvider({
+            WEATHER_PROVIDER: 'WeatherAPI',
+            WEATHERAPI_KEY: 'abc',
+            COURSE_ELEVATION: '1200'
+        });
+        expect(provider).toBeInstanceOf(WeatherApiProvider);
+        expect(provider.apiKey).toBe('abc');
+        expect(provider.elevation).toBe(1200);
+        expect(getConfiguredWeatherProvider({})).toBeInstanceOf(TomorrowIoProvider);
+    });
+
+    test('maps Conditions onto the yardage engine', () => {
+        const conditions = createConditions({ temperature: 80, humidity: 40, seaLevelPressure: 30.1, elevation: 500 });
+        // Station pressure carries the elevation, so the engine must not reduce it again
+        expect(conditions.stationPressure).toBeLessThan(30.1);
+        expect(toShotConditions(conditions)).toEqual({
+            temperature: 80, humidity: 40, pressure: conditions.stationPressure, pressureType: 'station',
+            altitude: 500, windSpeed: 0, windGust: 0, windDirection: 0, precipitationRate: 0
+        });
+    });
+
+    test('converts pressure units', () => {
+        expect(hpaToInHg(1013.25)).toBeCloseTo(29.92, 2);
+        expect(calculatePressureElevation(29.92, 29.92)).toBeCloseTo(0, 0);
+    });
+
+    test('throws error for invalid inputs', async () => {
+        await expect(new TomorrowIoProvider({ fetch: respondWith({}).fetch }).getConditions(denver))
+            .rejects.toThrow('tomorrow.io API key is not configured');
+        await expect(new TomorrowIoProvider({ apiKey: 'key', fetch: respondWith({}, 429).fetch }).getConditions(denver))
+            .rejects.toMatchObject({ name: 'APIError', status: 429 });
+        await expect(new TomorrowIoProvider({ apiKey: 'key' }).getConditions({ latitude: 95, longitude: 0 }))
+            .rejects.toThrow('Latitude must be between -90 and 90');
+        expect(() => createWeatherProvider('darksky')).toThrow('Unknown weather provider: darksky');
+        expect(() => createConditions({ temperature: 70, humidity: 50 }))
+            .toThrow('Station or sea-level pressure is required');
+        expect(() => createConditions({ temperature: 70, humidity: 120, seaLevelPressure: 30 }))
+            .toThrow('Humidity must be between 0% and 100%');
+    });
+});
@@ -0,0 +1,67 @@
+/**
+ * Unit tests for the wind reference frame
+ */
+
+import {
+    normalizeAngle,
+    parseDirection,
+    calculateRelativeWindAngle,
+    resolveWindComponents,
+    toShotFrameWind
+} from '../src/calculations/wind-frame.js';
+import { calculateWindEffect } from '../src/calculations/wind-calculations.js';
+
+describe('Wind frame conversion', () => {
+    test('normalizes angles and compass points', () => {
+        expect(normalizeAngle(-90)).toBe(270);
+        expect(normalizeAngle(450)).toBe(90);
+        expect(parseDirection('NNE')).toBe(22.5);
+        expect(parseDirection('sw')).toBe(225);
+        expect(parseDirection('135')).toBe(135);
+    });
+
+    test('wind from the target is a headwind', () => {
+        // Playing due east into an east wind
+        const { headwind, crosswind } = resolveWindComponents(10, 90, 90);
+        expect(headwind).toBeCloseTo(10, 10);
+        expect(crosswind).toBeCloseTo(0, 10);
+    });
+
+    test('wind from behind is a tailwind', () => {
+        const { headwind } = resolveWindComponents(10, 'S', 'N');
+        expect(headwind).toBeCloseTo(-10, 10);
+    });
+
+    test('wind from the right pushes the ball left', () => {
+        // Playing north, a west wind blows from the left
+        expect(resolveWindComponents(10, 'W', 0).crosswind).toBeCloseTo(10, 10);
+        expect(resolveWindComponents(10, 'E', 0).crosswind).toBeCloseTo(-10, 10);
+        expect(calculateRelativeWindAngle('E', 0)).toBe(90);
+    });
+
+    test('same weather wind changes with the shot bearing', () => {
+        expect(calculateRelativeWindAngle(270, 180)).toBe(90);
+        expect(calculateRelativeWindAngle(270, 0)).toBe(270);
+        expect(calculateRelativeWindAngle(10, 350)).toBe(20);
+    });
+
+    test('builds the integrator wind vector', () => {
+        const wind = toShotFrameWind(10, 'N', 'N');
+        expect(wind.x).toBeCloseTo(-10, 10);
+        expect(wind.y).toBe(0);
+        expect(wind.z).toBeCloseTo(0, 10);
+    });
+
+    test('relative angles feed the wind effect', () => {
+        const into = calculateWindEffect(10, calculateRelativeWindAngle(90, 90), 30);
+        const helping = calculateWindEffect(10, calculateRelativeWindAngle(270, 90), 30);
+        expect(into.distance).toBeLessThan(0);
+        expect(helping.distance).toBeGreaterThan(0);
+    });
+
+    test('throws error for invalid directions', () => {
+        expect(() => parseDirection('NORTHISH')).toThrow('Unknown compass direction: NORTHISH');
+        expect(() => parseDirection(null)).toThrow('Direction must be a number of degrees or a compass point');
+        expect(() => resolveWindComponents(-1, 0)).toThrow('Wind speed must be a non-negative number');
+    });
+});
@@ -0,0 +1,70 @@
+/**
+ * Unit tests for the wind profile
+ */
+
+import {
+    createWindProfile,
+    calculateWindProfileFactor,
+    calculateWindAtHeight,
+    calculateFlightWindFactor,
+    DEFAULT_REFERENCE_HEIGHT
+} from '../src/calculations/wind-profile.js';
+import { calculateWindEffect } from '../src/calculations/wind-calculations.js';
+import { calculateTrajectory } from '../src/ball-physics.js';
+import { PGA_CLUB_DATA } from '../constants/club-data.js';
+
+describe('Wind profile', () => {
+    test('reported wind applies at the reference height', () => {
+        expect(calculateWindProfileFactor(DEFAULT_REFERENCE_HEIGHT)).toBeCloseTo(1, 10);
+        expect(calculateWindProfileFactor(20, { model: 'power', referenceHeight: 20 })).toBeCloseTo(1, 10);
+        expect(calculateWindAtHeight(10, 65.6, { referenceHeight: 65.6 })).toBeCloseTo(10, 10);
+    });
+
+    test('wind increases with height and vanishes at the surface', () => {
+        const low = calculateWindProfileFactor(10);
+        const high = calculateWindProfileFactor(100);
+        expect(low).toBeLessThan(1);
+        expect(high).toBeGreaterThan(1);
+        expect(calculateWindProfileFactor(0)).toBe(0);
+    });
+
+    test('rougher courses have a steeper gradient', () => {
+        const links = calculateWindProfileFactor(100, { roughness: 'links' });
+        const trees = calculateWindProfileFactor(100, { roughness: 'treeLined' });
+        expect(trees).toBeGreaterThan(links);
+        expect(calculateWindProfileFactor(5, { roughness: 'treeLined' }))
+            .toBeLessThan(calculateWindProfileFactor(5, { roughness: 'links' }));
+    });
+
+    test('higher shots feel more of the wind', () => {
+        expect(calculateFlightWindFactor(120)).toBeGreaterThan(calculateFlightWindFactor(60));
+    });
+
+    test('throws error for invalid inputs', () => {
+        expect(() => createWindProfile({ roughness: 'desert' })).toThrow('Unknown surface roughness: desert');
+        expect(() => createWindProfile({ model: 'cubic' })).toThrow('Wind profile model must be log or power');
+        expect(() => createWindProfile({ referenceHeight: 0 }))
+            .toThrow('Reference height must be above the roughness length');
+        expect(() => calculateWindAtHeight(-5, 10)).toThrow('Wind speed must be a non-negative number');
+        expect(() => calculateFlightWindFactor(0)).toThrow('Apex height must be a positive number');
+    });
+});
+
+describe('Wind profile consumers', () => {
+    const sevenIron = PGA_CLUB_DATA.seven_iron;
+
+    test('integrator scales the wind with ball height', () => {
+        const headwind = { ...sevenIron, wind: { x: -10 } };
+        const calm = calculateTrajectory(sevenIron).carryDistance;
+        const links = calculateTrajectory({ ...headwind, windProfile: { roughness: 'links' } }).carryDistance;
+        const trees = calculateTrajectory({ ...headwind, windProfile: { roughness: 'treeLined' } }).carryDistance;
+        expect(links).toBeLessThan(calm);
+        expect(trees).toBeLessThan(links);
+    });
+
+    test('a lower reference height means stronger wind aloft', () => {
+        const at10m = calculateWindEffect(10, 0, 30);
+        const at2m = calculateWindEffect(10, 0, 30, { referenceHeight: 6.6 });
+        expect(at2m.distance).toBeLessThan(at10m.distance);
+    });
+});
@@ -0,0 +1,112 @@
+/**
+ * Unit tests for the yardage engine
+ */
+
+import YardageEngine, {
+    computeShot,
+    resolveConditions,
+    resolveClubLaunch,
+    ENGINE_VERSION
+} from '../src/calculations/yardage-engine.js';
+import { PGA_CLUB_DATA } from '../constants/club-data.js';
+
+describe('computeShot', () => {
+    test('standard conditions play the yardage', () => {
+        const shot = computeShot({}, { distance: 150 });
+        expect(shot.version).toBe(ENGINE_VERSION);
+        expect(shot.playsLike).toBeCloseTo(150, 6);
+        expect(shot.carry).toBeCloseTo(150, 0);
+        expect(shot.adjustments).toEqual({ airDensity: 0, ballTemperature: 0, rain: 0, wind: 0, elevation: 0 });
+        expect(shot.total).toBeGreaterThan(shot.carry);
+    });
+
+    test('breaks the plays-like yardage into its effects', () => {
+        const shot = computeShot(
+            { temperature: 80, humidity: 50, altitude: 5000, windSpeed: 10, windDirection: 'N' },
+            { distance: 150, bearing: 0, elevationChange: 15 }
+        );
+        expect(shot.adjustments.airDensity).toBeLessThan(0);
+        expect(shot.adjustments.wind).toBeGreaterThan(0);
+        expect(shot.adjustments.elevation).toBeGreaterThan(0);
+        // The ball left out at 80°F comes off a little faster than the launch data's
+        expect(shot.adjustments.ballTemperature).toBeLessThan(0);
+        const sum = shot.adjustments.airDensity + shot.adjustments.ballTemperature +
+            shot.adjustments.wind + shot.adjustments.elevation;
+        expect(shot.playsLike).toBeCloseTo(150 + sum, 10);
+        expect(shot.conditions.headwind).toBeCloseTo(10, 10);
+    });
+
+    test('shot bearing turns the same wind around', () => {
+        const conditions = { windSpeed: 15, windDirection: 270 };
+        const west = computeShot(conditions, { distance: 150, bearing: 270 });
+        const east = computeShot(conditions, { distance: 150, bearing: 90 });
+        const north = computeShot(conditions, { distance: 150, bearing: 0 });
+        expect(west.playsLike).toBeGreaterThan(150);
+        expect(east.playsLike).toBeLessThan(150);
+        // A west wind blows a northbound shot to the right
+        expect(north.lateral).toBeGreaterThan(5);
+    });
+
+    test('shapes the shot from a shape or face and path', () => {
+        const stock = computeShot({}, { distance: 150 });
+        expect(stock.shape).toMatchObject({ name: 'straight', startDirection: 0, spinAxis: 0 });
+        expect(stock.lateral).toBeCloseTo(0, 6);
+
+        // A draw starts right and curves back left; a fade the other way
+        const draw = computeShot({}, { distance: 150, shape: 'draw' });
+        expect(draw.shape.name).toBe('draw');
+        expect(draw.shape.startLine).toBeGreaterThan(0);
+        expect(draw.shape.curvature).toBeLessThan(0);
+        const fade = computeShot({}, { distance: 150, faceAngle: -1, clubPath: -4 });
+        expect(fade.shape).toMatchObject({ name: 'fade', startDirection: -draw.shape.startDirection });
+        expect(fade.lateral).toBeCloseTo(-draw.lateral, 6);
+
+        // Wind drift is reported apart from the curve
+        const windy = computeShot({ windSpeed: 15, windDirection: 270 }, { distance: 150, shape: 'draw' });
+        expect(windy.shape.curvature).toBeCloseTo(draw.shape.curvature, 6);
+        expect(windy.shape.windDrift).toBeGreaterThan(5);
+    });
+
+    test('gusts give a plays-like range', () => {
+        const shot = computeShot({ windSpeed: 10, windGust: 20, windDirection: 0 }, { distance: 150 });
+        expect(shot.gust.isGusty).toBe(true);
+        expect(shot.gust.low).toBeCloseTo(shot.playsLike, 10);
+        expect(shot.gust.high).toBeGreaterThan(shot.playsLike);
+    });
+
+    test('accepts a club name, bag entry or launch data', () => {
+        expect(computeShot({}, {}, '7-iron').distance).toBeCloseTo(PGA_CLUB_DATA.seven_iron.carryDistance, -1);
+        expect(computeShot({}, {}, { name: '7-Iron', distance: 160 }).carry).toBeCloseTo(160, 0);
+        expect(computeShot({}, {}, PGA_CLUB_DATA.driver).club).toBe('Driver');
+    });
+
+    test('exposes a versioned namespace', () => {
+        expect(YardageEngine.version).toBe(ENGINE_VERSION);
+        expect(YardageEngine.computeShot).toBe(computeShot);
+    });
+
+    test('throws error for invalid inputs', () => {
+        expect(() => computeShot({}, {})).toThrow('A club or a positive shot distance is required');
+        expect(() => computeShot({}, { distance: -5 })).toThrow('Shot distance must be a positive number');
+        expect(() => computeShot({}, { distance: 5 })).toThrow('Club distance must be between 16 and 132 yards');
+        expect(() => computeShot({}, { distance: 380 })).toThrow('Club distance must be between 24 and 373 yards');
+        expect(() => computeShot({}, { distance: 150, height: 'stratospheric' }))
+            .toThrow('Unknown trajectory height: stratospheric');
+        expect(() => computeShot({}, { distance: 150, shape: 'shank' })).toThrow('Unknown shot shape: shank');
+        expect(() => computeShot({}, { distance: 150, faceAngle: 30 })).toThrow('Face angle must be between -20 and 20 degrees');
+        expect(() => resolveClubLaunch('putter')).toThrow('Unknown club: putter');
+        expect(() => resolveConditions({ windSpeed: -1 })).toThrow('Wind speed must be a non-negative number');
+    });
+});
+
+describe('resolveConditions', () => {
+    test('standard defaults give standard air', () => {
+        const conditions = resolveConditions();
+        expect(conditions.airDensity).toBe(1);
+        expect(conditions.windGust).toBe(0);
+    });
+
+    test('altitude thins the air', () => {
+        expect(resolveConditions({ altitude: 5000 }).airDensity).toBeLessThan(0.85);
+    });
+});
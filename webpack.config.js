@@ -20,7 +20,8 @@ export default {
         main: './src/main.js',
         clubs: './src/clubs.js',
         calculator: './src/calculator.js',
-        wind: './src/wind.js'
+        wind: './src/wind.js',
+        conditions: './src/conditions.js'
     },
     output: {
         filename: '[name].bundle.js',
@@ -52,6 +53,10 @@ export default {
         },
         compress: true,
         port: 9000,
-        hot: true
+        hot: true,
+        // The weather station receiver serves the conditions API
+        proxy: {
+            '/api': `http://localhost:${env.STATION_PORT || 8090}`
+        }
     }
 };